@@ -2,6 +2,9 @@
  * @fileoverview Generator for JSON-LD structured data.
  */
 
+import { policyUrl } from '../utils/url-policy.js';
+import { toUri } from '../utils/uri.js';
+
 /**
  * @typedef {Object} JsonLdResult
  * @property {Array<Object>} schemas - Array of JSON-LD schema objects
@@ -352,25 +355,32 @@ function generateBreadcrumbSchema(schemas, filePath, siteConfig) {
 
   const breadcrumbItems = [];
   let currentPath = '';
+  const { urlPolicy } = siteConfig;
 
   // Add home
   breadcrumbItems.push({
     '@type': 'ListItem',
     position: 1,
     name: 'Home',
-    item: siteConfig.hostname
+    item: urlPolicy ? policyUrl('index.html', siteConfig.hostname, urlPolicy) : siteConfig.hostname
   });
 
-  // Add path segments
+  // Add path segments. Under a URL policy, ancestors are their section
+  // index pages and the last crumb is the page itself, as in its canonical
   pathSegments.forEach((segment, index) => {
     currentPath += `/${segment}`;
     const name = segment.replace(/-/g, ' ').replace(/\b\w/g, (l) => l.toUpperCase());
+    let item = `${siteConfig.hostname}${currentPath}`;
+    if (urlPolicy) {
+      const target = index === pathSegments.length - 1 ? filePath : `${currentPath}/index.html`;
+      item = policyUrl(target, siteConfig.hostname, urlPolicy);
+    }
 
     breadcrumbItems.push({
       '@type': 'ListItem',
       position: index + 2,
       name: name,
-      item: `${siteConfig.hostname}${currentPath}`
+      item: toUri(item)
     });
   });
 
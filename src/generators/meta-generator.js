@@ -68,6 +68,15 @@ export function generateMetaTags(metadata, siteConfig = {}) {
     });
   }
 
+  // hreflang alternates, resolved site-wide before the head pass
+  for (const { lang, url } of siteConfig.hreflang || []) {
+    linkTags.push({
+      rel: 'alternate',
+      hreflang: lang,
+      href: url
+    });
+  }
+
   // Theme color (if specified in site config)
   if (siteConfig.themeColor) {
     metaTags.push({
@@ -80,20 +89,50 @@ export function generateMetaTags(metadata, siteConfig = {}) {
   addTechnicalMetaTags(metaTags, metadata, siteConfig);
 
   return {
-    title: metadata.title,
+    title: siteConfig.titleTemplate
+      ? applyTitleTemplate(metadata.title, siteConfig.titleTemplate.template, siteConfig.titleTemplate)
+      : metadata.title,
     metaTags,
     linkTags
   };
 }
 
+/**
+ * Formats a `<title>` from a template. `%s` is the page title and `%site%`
+ * the site name. When the result is longer than `maxLength`, the template
+ * text around the title is dropped. A bare title that is still too long is
+ * returned whole: the page's own title is never cut.
+ * @param {string} title - Bare page title
+ * @param {string} template - Template, e.g. `'%s | %site%'`
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.siteName=''] - Value of `%site%`
+ * @param {number} [options.maxLength=60] - Longest result; 0 disables the limit
+ * @returns {string} Title text
+ *
+ * @example
+ * applyTitleTemplate('About', '%s | %site%', { siteName: 'Acme' }); // 'About | Acme'
+ */
+export function applyTitleTemplate(title, template, { siteName = '', maxLength = 60 } = {}) {
+  const bare = String(title ?? '');
+  const formatted = template.replace(/%site%/g, () => siteName).replace(/%s/g, () => bare);
+  if (!maxLength || formatted.length <= maxLength) {
+    return formatted;
+  }
+
+  // A template without %s (a home page showing only the site name) has no
+  // title to fall back to
+  return template.includes('%s') ? bare : formatted;
+}
+
 /**
  * Generates robots directive based on metadata and configuration
  * @param {Object} metadata - Extracted metadata
  * @param {Object} siteConfig - Site configuration
  * @returns {string|null} Robots directive string
  */
-function generateRobotsDirective(metadata, siteConfig) {
-  if (metadata.noIndex) {
+export function generateRobotsDirective(metadata, siteConfig = {}) {
+  // Staging and preview builds block indexing site-wide, whatever pages say
+  if (siteConfig.noindexSite || metadata.noIndex) {
     return 'noindex,nofollow';
   }
 
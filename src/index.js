@@ -8,10 +8,23 @@
  */
 import { batchOptimizeHeads } from './processors/head-optimizer.js';
 import { processSitemap } from './processors/sitemap.js';
+import { processNewsSitemap } from './processors/news-sitemap.js';
+import { resolveLastmods } from './processors/lastmod-resolver.js';
+import { resolveTitleTemplates } from './processors/title-templates.js';
 import { processRobots } from './processors/robots.js';
+import { detectDuplicates } from './processors/duplicate-detector.js';
+import { lintSeo, reportLintFindings } from './processors/seo-linter.js';
+import { writeSeoReport } from './processors/seo-report.js';
+import { analyzeLinks, checkLinks } from './processors/link-checker.js';
+import { resolveHreflang } from './processors/hreflang.js';
+import { processRobotsHeaders } from './processors/robots-headers.js';
+import { processSecurityTxt } from './processors/security-txt.js';
+import { processHumansTxt } from './processors/humans-txt.js';
+import { processAdsTxt } from './processors/ads-txt.js';
 import { processLlms } from './processors/llms.js';
 import { buildConfig, validateConfig } from './utils/config-builder.js';
 import { get } from './utils/object-utils.js';
+import { warn } from './utils/logger.js';
 
 /**
  * @typedef {Object} SeoOptions
@@ -27,7 +40,39 @@ import { get } from './utils/object-utils.js';
  * @property {boolean} [enableSitemap=true] - Whether to generate sitemap.xml
  * @property {boolean} [enableRobots=true] - Whether to generate/update robots.txt
  * @property {boolean} [enableLlms=false] - Whether to generate llms.txt
+ * @property {boolean} [enableNewsSitemap=false] - Whether to generate news-sitemap.xml
+ * @property {boolean} [enableRobotsHeaders=false] - Whether to write an X-Robots-Tag header file
+ * @property {RobotsHeadersConfig} [robotsHeaders] - X-Robots-Tag header file options
+ * @property {boolean} [enableDuplicateCheck=false] - Whether to report pages sharing a title, description or canonical
+ * @property {{enabled?: boolean, report?: string|false, strict?: boolean}} [duplicates] - Duplicate check options
+ *   (report defaults to 'seo-duplicates.json')
+ * @property {boolean} [enableLint=false] - Whether to run the SEO lint rules over every page
+ * @property {LintConfig} [lint] - SEO lint rule severities
+ * @property {boolean} [enableLinkCheck=false] - Whether to report broken internal links and orphan pages
+ * @property {{enabled?: boolean, report?: string|false, strict?: boolean, ignore?: Array<string>}} [links] - Link
+ *   check options (report defaults to 'seo-links.json'; ignore lists target globs that are not reported)
+ * @property {boolean} [enableHreflang=false] - Whether to write hreflang alternates into each page's head
+ * @property {HreflangConfig} [hreflang] - Head hreflang options
+ * @property {boolean} [enableReport=false] - Whether to write the per-page SEO report
+ * @property {{enabled?: boolean, output?: string|false, html?: string|false}} [report] - SEO report options
+ *   (output defaults to 'seo-report.json', html to 'seo-report.html')
+ * @property {boolean} [enableSecurityTxt=false] - Whether to write .well-known/security.txt
+ * @property {Object} [securityTxt] - security.txt fields (`contact`, `expiresInDays`, `encryption`, `policy`, ...)
+ * @property {boolean} [enableHumansTxt=false] - Whether to write humans.txt
+ * @property {Object} [humansTxt] - humans.txt sections (`team`, `thanks`, `site`)
+ * @property {boolean} [enableAdsTxt=false] - Whether to write ads.txt
+ * @property {Object} [adsTxt] - ads.txt seller `records` and variables
+ * @property {boolean} [enableAppAdsTxt=false] - Whether to write app-ads.txt
+ * @property {Object} [appAdsTxt] - app-ads.txt seller `records` and variables
+ * @property {NewsSitemapConfig} [newsSitemap] - Google News sitemap options
  * @property {Object} [llms] - llms.txt generation options
+ * @property {{trailingSlash?: 'always'|'never'|'preserve', extension?: 'keep'|'strip'}} [urlPolicy] - One URL form
+ *   for every output (canonical, og:url, JSON-LD, sitemap, llms.txt); without it each output keeps its own form
+ * @property {boolean} [noindexSite] - Block all indexing: robots.txt `Disallow: /`, `noindex,nofollow` on every
+ *   page, no sitemaps or llms.txt (defaults to true when the environment is in `noindexEnvironments`)
+ * @property {string|TitleTemplateConfig} [titleTemplate] - Template for `<title>` only, e.g. `'%s | %site%'`
+ * @property {string} [environment] - Build environment (defaults to METALSMITH_ENV)
+ * @property {Array<string>} [noindexEnvironments=['staging','preview']] - Environments built with `noindexSite`
  * @property {number} [batchSize=10] - Number of files to process in parallel
  * @property {number} [wordsPerMinute=200] - Reading speed for calculating reading time
  */
@@ -57,14 +102,85 @@ import { get } from './utils/object-utils.js';
  * @property {string} [pattern] - File pattern for sitemap inclusion (default: all HTML files)
  * @property {boolean} [omitIndex=false] - Omit index.html from URLs
  * @property {boolean} [auto=false] - Auto-calculate priority and changefreq
+ * @property {Array<Object>} [rules] - Ordered `{ match, priority?, changefreq? }` rules checked before the heuristics;
+ *   `match` is a glob or `(file, frontmatter) => boolean`
+ * @property {boolean} [preferFrontmatter=false] - Let frontmatter changefreq/priority win over auto values
+ * @property {number} [maxUrls=50000] - URLs per sitemap file before splitting into a sitemap index
+ * @property {number} [maxBytes=52428800] - Uncompressed bytes per sitemap file before splitting
+ * @property {'frontmatter'|'stats'|'git'|Function} [lastmodSource='frontmatter'] - Where lastmod comes from
+ *   when the page's frontmatter does not set it
+ * @property {boolean|string} [stylesheet=false] - Emit the bundled sitemap.xsl (`true`) or reference your own (href)
+ * @property {boolean|'only'} [gzip=false] - Write `.gz` sitemaps too (`true`) or only (`'only'`); the `.gz` file is referenced
+ * @property {boolean} [images=false] - Add image sitemap entries (social image, frontmatter images, body <img>)
+ * @property {string} [imagesProperty='images'] - Frontmatter property listing additional page images
+ * @property {boolean} [videos=false] - Add video sitemap entries (frontmatter, seo.videoUrl, body embeds)
+ * @property {string} [videosProperty='videos'] - Frontmatter property listing video descriptors
+ * @property {boolean} [alternates=false] - Derive reciprocal hreflang links from page locales
+ * @property {Array<string>} [locales] - Known locale path prefixes (e.g. ['en', 'de'])
+ * @property {string} [defaultLocale] - x-default locale (defaults to social.locale)
+ * @property {string} [translationKey='translationKey'] - Frontmatter property grouping translations
+ * @property {Array<Object>|Function} [additionalUrls] - Extra `{ loc, lastmod, changefreq, priority, alternates }`
+ *   entries for URLs without a Metalsmith file, or an (async) function `(files, metalsmith)` returning them
+ * @property {string|false} [exclusionReport=false] - Write pages left out for noindex/canonical reasons as JSON here
+ */
+
+/**
+ * @typedef {Object} NewsSitemapConfig
+ * @property {boolean} [enabled=false] - Generate the news sitemap
+ * @property {string} [output='news-sitemap.xml'] - News sitemap output filename
+ * @property {string} [publicationName] - Google News publication name (defaults to social.siteName)
+ * @property {string} [language] - Publication language (defaults to social.locale, e.g. en_US → en)
+ * @property {number} [maxAgeHours=48] - Only articles published this recently are listed
+ * @property {Date|string} [buildTime] - Reference time for the window (defaults to the current time)
  */
 
 /**
  * @typedef {Object} RobotsConfig
  * @property {boolean} [generateRobots=true] - Generate robots.txt if none exists
- * @property {boolean} [addSitemapReference=true] - Add sitemap reference to existing robots.txt
+ * @property {boolean} [addSitemapReference=true] - Add missing and replace stale sitemap references in an existing robots.txt
  * @property {Array<string>} [disallowPaths=[]] - Additional paths to disallow
  * @property {string} [userAgent='*'] - User agent for robots directives
+ * @property {Array<Object>} [groups] - `{ userAgent, allow, disallow, crawlDelay }` groups; replaces userAgent/disallowPaths
+ * @property {Array<string>} [presets] - Named presets appended as extra groups (`'blockAiTraining'`)
+ * @property {boolean} [validate=true] - Warn about problems in the final robots.txt
+ * @property {boolean} [strict=false] - Fail the build on robots.txt problems instead of warning
+ */
+
+/**
+ * @typedef {Object} LintConfig
+ * @property {boolean} [enabled=false] - Alternative to `enableLint`
+ * @property {Object<string, 'off'|'warn'|'error'>} [rules] - Severity per rule (see LINT_RULES in
+ *   processors/seo-linter.js, plus `config-invalid`)
+ * @property {Array<{pattern: string, rules: Object<string, 'off'|'warn'|'error'>}>} [overrides] - Severities
+ *   per glob, later entries win; `seo.lint` in frontmatter wins over both
+ */
+
+/**
+ * @typedef {Object} HreflangConfig
+ * @property {boolean} [enabled=false] - Alternative to `enableHreflang`
+ * @property {boolean} [auto=false] - Group translations automatically; `seo.alternates` in frontmatter always wins
+ * @property {Array<string>} [locales] - Known locale path prefixes (defaults to `sitemap.locales`)
+ * @property {string} [defaultLocale] - x-default locale (defaults to `sitemap.defaultLocale`, then `social.locale`)
+ * @property {string} [translationKey] - Grouping property (defaults to `sitemap.translationKey`)
+ * @property {boolean} [strict=false] - Fail the build on asymmetric or dangling alternates
+ */
+
+/**
+ * @typedef {Object} TitleTemplateConfig
+ * @property {string} template - `%s` is the page title, `%site%` the site name
+ * @property {string|false} [home='%s'] - Home page template; `false` applies `template`
+ * @property {Array<{pattern: string, template: string|false}>} [sections=[]] - Glob overrides, last match wins
+ * @property {number} [maxLength=60] - Longest title; the suffix is dropped first, 0 disables
+ * @property {string} [siteName] - `%site%` value (defaults to social.siteName, then defaults.title)
+ */
+
+/**
+ * @typedef {Object} RobotsHeadersConfig
+ * @property {boolean} [enabled=false] - Alternative to `enableRobotsHeaders`
+ * @property {'netlify'|'cloudflare'|'vercel'|'nginx'} [format='netlify'] - Target host
+ * @property {string} [output] - Output file (`_headers`, `vercel-headers.json` or `robots-headers.conf` by default)
+ * @property {Array<{pattern: string, robots: string}>} [rules=[]] - Directives for files matching a glob
+ *   (last match wins); a page's own restrictive robots directive takes precedence
  */
 
 /**
@@ -155,47 +271,193 @@ function plugin(options = {}) {
      * deduced values and defaults in priority order:
      * pluginOptions > siteMetadata > deduced values > defaults
      */
-    const config = buildConfig(pluginOptions, siteMetadata, files, seoProperty);
+    const config = buildConfig(pluginOptions, siteMetadata, files, seoProperty, {
+      ...process.env,
+      ...(typeof metalsmith.env === 'function' ? metalsmith.env() : {})
+    });
 
     // Validate configuration
     validateConfig(config, metadataPath);
 
-    /**
-     * Optimize <head> section
-     * Includes title, description, and social tags
-     */
-    const headOptimization = batchOptimizeHeads(files, config);
+    // Staging/preview builds must not advertise URLs to crawlers at all
+    if (config.noindexSite) {
+      const label = config.environment ? ` (${config.environment})` : '';
+      warn(`noindexSite${label}: every page gets noindex,nofollow; sitemaps and llms.txt are skipped`);
+    }
 
-    // Sitemap generation
-    let sitemapGeneration = Promise.resolve();
-    if (config.enableSitemap) {
-      // Add hostname to sitemap config (required by processor)
-      config.sitemap.hostname = config.hostname;
+    // Results the SEO report collects from the passes below
+    const reportInputs = {};
 
-      sitemapGeneration = processSitemap(files, metalsmith, config.sitemap);
-    }
+    // Resolve source-derived lastmod dates once, before the parallel passes,
+    // so the sitemap and the head pass agree on each page's modified date
+    resolveLastmods(files, metalsmith, config.sitemap)
+      .then((lastmods) => {
+        config.lastmods = lastmods;
+        config.sitemap.lastmods = lastmods;
+        if (config.titleTemplate) {
+          config.titleTemplates = resolveTitleTemplates(files, metalsmith, config.titleTemplate, config.seoProperty);
+        }
 
-    // Execute head optimization and sitemap in parallel.
-    // Safe because head optimization mutates file.contents while the
-    // sitemap reads only frontmatter. If you change the head pass to
-    // write back into frontmatter, this parallelism becomes unsound.
-    // See docs/THEORY.md §7 ("Parallel head pass + sitemap").
-    Promise.all([headOptimization, sitemapGeneration])
-      .then(() => {
+        // hreflang alternates - resolved site-wide so every page's head can
+        // list its translations, and checked so that they all link back
+        if (config.enableHreflang) {
+          const hreflang = {
+            locales: config.sitemap.locales,
+            translationKey: config.sitemap.translationKey,
+            defaultLocale: config.sitemap.defaultLocale ?? (config.social?.locale || ''),
+            ...config.hreflang,
+            hostname: config.hostname,
+            pattern: config.sitemap.pattern,
+            privateProperty: config.sitemap.privateProperty,
+            seoProperty: config.seoProperty,
+            fallbacks: config.fallbacks,
+            defaultRobots: config.defaults.robots,
+            urlPolicy: config.urlPolicy
+          };
+          config.hreflangLinks = resolveHreflang(files, metalsmith, hreflang);
+        }
+
+        // Internal links - read before the sitemap, which can rank pages by
+        // inbound links instead of depth (sitemap.priorityBy: 'links', which
+        // only auto mode reads)
+        if (config.enableLinkCheck || (config.sitemap.auto && config.sitemap.priorityBy === 'links')) {
+          const links = {
+            ...config.links,
+            hostname: config.hostname,
+            pattern: config.sitemap.pattern,
+            privateProperty: config.sitemap.privateProperty,
+            seoProperty: config.seoProperty,
+            fallbacks: config.fallbacks,
+            defaultRobots: config.defaults.robots,
+            urlPolicy: config.urlPolicy
+          };
+          const analysis = config.enableLinkCheck
+            ? checkLinks(files, metalsmith, links)
+            : analyzeLinks(files, metalsmith, links);
+          config.sitemap.inboundLinks = analysis.inbound;
+        }
+
+        // Sitemap generation
+        let sitemapGeneration = Promise.resolve();
+        if (config.enableSitemap && !config.noindexSite) {
+          // Add hostname to sitemap config (required by processor)
+          config.sitemap.hostname = config.hostname;
+          // Image/video entries reuse the head pass's metadata resolution
+          config.sitemap.seoProperty = config.seoProperty;
+          config.sitemap.fallbacks = config.fallbacks;
+          config.sitemap.urlPolicy = config.urlPolicy;
+          // Pages the head pass marks noindex stay out of the sitemap
+          config.sitemap.defaultRobots = config.defaults.robots;
+          // Unprefixed pages and x-default follow the site's primary locale,
+          // the same rule llms.txt uses for root emission
+          if (config.sitemap.defaultLocale === undefined) {
+            config.sitemap.defaultLocale = config.social?.locale || '';
+          }
+
+          sitemapGeneration = processSitemap(files, metalsmith, config.sitemap);
+        }
+
+        // News sitemap generation - opt-in, shares URL building with the sitemap
+        let newsSitemapGeneration = Promise.resolve();
+        if (config.enableNewsSitemap && !config.noindexSite) {
+          const news = config.newsSitemap;
+          news.hostname = config.hostname;
+          news.seoProperty = config.seoProperty;
+          news.fallbacks = config.fallbacks;
+          news.urlProperty = config.sitemap.urlProperty;
+          news.omitIndex = config.sitemap.omitIndex;
+          news.urlPolicy = config.urlPolicy;
+          news.defaultRobots = config.defaults.robots;
+          news.publicationName = news.publicationName || config.social.siteName || config.defaults.title;
+          news.language = news.language || config.social.locale;
+
+          newsSitemapGeneration = processNewsSitemap(files, metalsmith, news);
+        }
+
+        /**
+         * Optimize <head> section
+         * Includes title, description, and social tags
+         */
+        const headOptimization = batchOptimizeHeads(files, config);
+
+        // The head pass replaces file.contents while the sitemap may still
+        // be waiting on additionalUrls. Both sitemaps start first: the news
+        // sitemap finishes synchronously and the sitemap pins every page
+        // body when called, so neither reads a rewritten page. If you change
+        // the head pass to write back into frontmatter, this parallelism
+        // becomes unsound. See docs/THEORY.md §7 ("Parallel head pass + sitemap").
+        return Promise.all([headOptimization, sitemapGeneration, newsSitemapGeneration]);
+      })
+      .then((results) => {
+        reportInputs.headResults = results[0];
+        reportInputs.sitemap = results[1];
+
+        // Cross-file duplicate check - needs the seoMetadata the head pass
+        // attached to every page, so it cannot run inside that pass
+        if (config.enableDuplicateCheck) {
+          config.duplicates.hostname = config.hostname;
+          config.duplicates.seoProperty = config.seoProperty;
+          config.duplicates.urlPolicy = config.urlPolicy;
+          detectDuplicates(files, metalsmith, config.duplicates);
+        }
+
+        // SEO lint - reads the metadata and tags the head pass produced
+        if (config.enableLint) {
+          const lint = { ...config.lint, seoProperty: config.seoProperty, siteConfig: config };
+          reportInputs.lint = lintSeo(files, metalsmith, lint, results[0]);
+        }
+        return results;
+      })
+      .then(([, sitemapResult, newsResult]) => {
         // Robots.txt generation/update - after sitemap is done
         if (config.enableRobots) {
-          // Add required runtime values to robots config
+          // Add required runtime values to robots config. The sitemap
+          // processor reports the file crawlers should start from, which is
+          // the sitemap index when the sitemap had to be split, or its .gz file.
           config.robots.hostname = config.hostname;
-          config.robots.sitemapFile = config.sitemap.output;
+          config.robots.noindexSite = config.noindexSite;
+          config.robots.pattern = config.sitemap.pattern;
+          config.robots.privateProperty = config.sitemap.privateProperty;
+          config.robots.urlPolicy = config.urlPolicy;
+          config.robots.sitemapPageUrls = sitemapResult?.urls || [];
+          config.robots.sitemapFile = config.noindexSite
+            ? []
+            : [sitemapResult?.output || config.sitemap.output, newsResult?.output].filter(Boolean);
 
           return processRobots(files, metalsmith, config.robots);
         }
       })
+      .then(() => {
+        // X-Robots-Tag headers - opt-in, reads the directives the head pass
+        // stored in each page's seoMetadata
+        if (config.enableRobotsHeaders) {
+          config.robotsHeaders.hostname = config.hostname;
+          config.robotsHeaders.noindexSite = config.noindexSite;
+          config.robotsHeaders.urlPolicy = config.urlPolicy;
+          processRobotsHeaders(files, metalsmith, config.robotsHeaders);
+        }
+
+        // Other root text files - opt-in, independent of the other outputs
+        if (config.enableSecurityTxt) {
+          config.securityTxt.hostname = config.hostname;
+          processSecurityTxt(files, metalsmith, config.securityTxt);
+        }
+        if (config.enableHumansTxt) {
+          processHumansTxt(files, metalsmith, config.humansTxt);
+        }
+        if (config.enableAdsTxt) {
+          processAdsTxt(files, metalsmith, { ...config.adsTxt, name: 'adsTxt' });
+        }
+        if (config.enableAppAdsTxt) {
+          processAdsTxt(files, metalsmith, { ...config.appAdsTxt, name: 'appAdsTxt' });
+        }
+      })
       .then(() => {
         // llms.txt generation - opt-in, runs after robots
-        if (config.enableLlms) {
+        if (config.enableLlms && !config.noindexSite) {
           config.llms.hostname = config.hostname;
           config.llms.seoProperty = config.seoProperty;
+          config.llms.urlPolicy = config.urlPolicy;
           // Sensible header defaults pulled from site metadata
           if (!config.llms.title) {
             config.llms.title = config.social.siteName || config.defaults.title || 'Site';
@@ -211,7 +473,23 @@ function plugin(options = {}) {
           if (config.llms.defaultLocale === undefined) {
             config.llms.defaultLocale = config.social?.locale || '';
           }
-          return processLlms(files, metalsmith, config.llms);
+          return processLlms(files, metalsmith, config.llms).then((llms) => {
+            reportInputs.llms = llms;
+          });
+        }
+      })
+      .then(() => {
+        // SEO report - last, so it can say where every page was listed
+        if (config.enableReport) {
+          const { headResults, ...listings } = reportInputs;
+          const report = { ...config.report, ...listings, hostname: config.hostname, urlPolicy: config.urlPolicy };
+          writeSeoReport(files, metalsmith, report, headResults);
+        }
+
+        // Lint errors fail the build only now, so the report above still
+        // lists them
+        if (reportInputs.lint) {
+          reportLintFindings(reportInputs.lint);
         }
       })
       .then(() => done())
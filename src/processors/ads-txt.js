@@ -0,0 +1,142 @@
+/**
+ * @fileoverview ads.txt and app-ads.txt generation (IAB Tech Lab) for Metalsmith SEO
+ * Writes authorized seller records from configuration and merges them into
+ * an existing file
+ */
+
+import { warn } from '../utils/logger.js';
+import { sanitizeLineValue } from '../utils/line-format.js';
+
+const RELATIONSHIPS = ['DIRECT', 'RESELLER'];
+
+/** Variables that may appear several times. */
+const REPEATABLE_VARIABLES = ['subdomain'];
+
+/**
+ * @typedef {Object} AdsTxtRecord
+ * @property {string} domain - Advertising system domain (e.g. `'google.com'`)
+ * @property {string} publisherId - Seller account ID in that system
+ * @property {'DIRECT'|'RESELLER'} [relationship='DIRECT'] - Account relationship
+ * @property {string} [certificationId] - Certification authority ID (e.g. TAG ID)
+ */
+
+/**
+ * @typedef {Object} AdsTxtOptions
+ * @property {string} name - Option name for messages (`'adsTxt'` or `'appAdsTxt'`)
+ * @property {string} output - Output path (`ads.txt` or `app-ads.txt`)
+ * @property {Array<AdsTxtRecord>} [records=[]] - Authorized sellers
+ * @property {string} [contact] - `contact=` variable
+ * @property {string|Array<string>} [subdomains] - `subdomain=` variables
+ * @property {string} [ownerDomain] - `OWNERDOMAIN=` variable
+ * @property {string} [managerDomain] - `MANAGERDOMAIN=` variable
+ */
+
+/**
+ * Writes ads.txt (or app-ads.txt), or merges into an existing file: its
+ * records and variables stay, configured ones that are missing are added.
+ * A configured record whose relationship differs from the existing one is
+ * reported and the existing record kept. Comments are dropped.
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} metalsmith - Metalsmith instance
+ * @param {AdsTxtOptions} options - Configuration options
+ * @returns {void}
+ * @throws {Error} When a record is incomplete or has an unknown relationship
+ */
+export function processAdsTxt(files, _metalsmith, options) {
+  const { name, output, records = [] } = options;
+
+  const configured = records.map((record, index) => {
+    const relationship = String(record?.relationship || 'DIRECT').toUpperCase();
+    if (!record?.domain || !record?.publisherId) {
+      throw new Error(`[metalsmith-seo] ${name}.records[${index}] needs a domain and publisherId`);
+    }
+    if (!RELATIONSHIPS.includes(relationship)) {
+      throw new Error(
+        `[metalsmith-seo] ${name}.records[${index}].relationship must be DIRECT or RESELLER (got "${record.relationship}")`
+      );
+    }
+    return [record.domain, record.publisherId, relationship, record.certificationId]
+      .filter((field) => field !== undefined && field !== '')
+      .map(sanitizeField);
+  });
+
+  const { records: existingRecords, variables } = parseAdsTxt(files[output]?.contents.toString() || '');
+
+  for (const record of configured) {
+    const match = existingRecords.find((existing) => recordKey(existing) === recordKey(record));
+    if (!match) {
+      existingRecords.push(record);
+    } else if (match[2]?.toUpperCase() !== record[2]) {
+      warn(`${output}: keeping ${match.join(', ')} over configured relationship ${record[2]}`);
+    }
+  }
+
+  const configuredVariables = [
+    ['contact', options.contact],
+    ...[].concat(options.subdomains ?? []).map((subdomain) => ['subdomain', subdomain]),
+    ['OWNERDOMAIN', options.ownerDomain],
+    ['MANAGERDOMAIN', options.managerDomain]
+  ].filter(([, value]) => value);
+
+  for (const [variable, value] of configuredVariables) {
+    const key = variable.toLowerCase();
+    const present = variables.filter(([existing]) => existing.toLowerCase() === key);
+    if (present.some(([, existing]) => existing === value)) {
+      continue;
+    }
+    if (present.length > 0 && !REPEATABLE_VARIABLES.includes(key)) {
+      warn(`${output}: keeping ${present[0][0]}=${present[0][1]} over configured ${value}`);
+      continue;
+    }
+    variables.push([variable, sanitizeField(value)]);
+  }
+
+  const lines = [
+    ...existingRecords.map((record) => record.join(', ')),
+    ...variables.map(([variable, value]) => `${variable}=${value}`)
+  ];
+  files[output] = { contents: Buffer.from(`${lines.join('\n')}\n`, 'utf-8') };
+}
+
+/**
+ * Reads records (comma-separated) and variables (`name=value`) from an
+ * existing file.
+ * @param {string} content - File content
+ * @returns {{records: Array<Array<string>>, variables: Array<Array<string>>}} Parsed file
+ */
+function parseAdsTxt(content) {
+  const records = [];
+  const variables = [];
+  for (const rawLine of content.split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) {
+      continue;
+    }
+    const equals = line.indexOf('=');
+    if (equals !== -1 && !line.slice(0, equals).includes(',')) {
+      variables.push([line.slice(0, equals).trim(), line.slice(equals + 1).trim()]);
+    } else {
+      records.push(line.split(',').map((field) => field.trim()));
+    }
+  }
+  return { records, variables };
+}
+
+/**
+ * Identifies a record by advertising system and account.
+ * @param {Array<string>} record - Record fields
+ * @returns {string} Key
+ */
+function recordKey([domain, publisherId]) {
+  return `${String(domain).toLowerCase()},${publisherId}`;
+}
+
+/**
+ * Sanitizes one record field or variable value; commas would shift the
+ * following fields and `#` would start a comment.
+ * @param {*} value - Raw value
+ * @returns {string} Sanitized field
+ */
+function sanitizeField(value) {
+  return sanitizeLineValue(value).replace(/[,#]/g, '').trim();
+}
@@ -3,11 +3,71 @@
  *
  * Uses sensible defaults based on URL hierarchy and content type,
  * while avoiding flawed assumptions about content length or complex patterns.
+ * Sites whose importance does not follow depth can declare `rules`, which
+ * are consulted first; the heuristics below only fill what no rule sets.
  */
 
 import path from 'node:path';
 import { get } from '../utils/object-utils.js';
 
+const CHANGEFREQS = ['always', 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'never'];
+
+/**
+ * @typedef {Object} AutoRule
+ * @property {string|Function} match - Glob pattern, or `(file, frontmatter) => boolean`
+ * @property {number} [priority] - Priority for matching pages (0.0 to 1.0)
+ * @property {string} [changefreq] - Change frequency for matching pages
+ */
+
+/**
+ * Checks a rules list once per build so a typo fails loudly instead of
+ * silently falling through to the heuristics.
+ * @param {Array<AutoRule>} rules - Ordered rules
+ * @throws {Error} When a rule has no usable `match` or an out-of-range value
+ */
+export function validateRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('[metalsmith-seo] sitemap.rules must be an array');
+  }
+  rules.forEach((rule, index) => {
+    const { match, priority, changefreq } = rule || {};
+    if (typeof match !== 'string' && typeof match !== 'function') {
+      throw new Error(`[metalsmith-seo] sitemap.rules[${index}].match must be a glob pattern or a function`);
+    }
+    if (priority !== undefined && !(typeof priority === 'number' && priority >= 0 && priority <= 1)) {
+      throw new Error(`[metalsmith-seo] sitemap.rules[${index}].priority must be a number from 0.0 to 1.0`);
+    }
+    if (changefreq !== undefined && !CHANGEFREQS.includes(changefreq)) {
+      throw new Error(`[metalsmith-seo] sitemap.rules[${index}].changefreq must be one of ${CHANGEFREQS.join(', ')}`);
+    }
+  });
+}
+
+/**
+ * Finds the value the first matching rule assigns to a field. Rules are
+ * checked in order and a rule that matches but leaves the field unset is
+ * skipped, so one rule can pin priority while a later one sets changefreq.
+ * @param {string} file - File path relative to source directory
+ * @param {Object} frontmatter - File metadata and frontmatter
+ * @param {Array<AutoRule>} rules - Ordered rules
+ * @param {'priority'|'changefreq'} field - Field to resolve
+ * @param {Object} metalsmith - Metalsmith instance (for glob matching)
+ * @returns {number|string|undefined} Rule value, or undefined when no rule sets it
+ */
+export function findRuleValue(file, frontmatter, rules, field, metalsmith) {
+  for (const rule of rules) {
+    if (rule[field] === undefined) {
+      continue;
+    }
+    const matched =
+      typeof rule.match === 'function' ? rule.match(file, frontmatter) : metalsmith.match(rule.match, file).length > 0;
+    if (matched) {
+      return rule[field];
+    }
+  }
+  return undefined;
+}
+
 /**
  * Calculates SEO-focused priority based on URL hierarchy.
  * Avoids flawed assumptions about content length or complex pattern matching.
@@ -42,6 +102,28 @@ export function calculatePriority(file) {
   return Math.min(Math.max(priority, 0.1), 1.0);
 }
 
+/**
+ * Calculates priority from internal inbound links instead of URL depth, for
+ * sites whose important pages are not the shallow ones. The most-linked page
+ * gets 0.9 and a page nothing links to 0.3, on a log scale so a handful of
+ * navigation pages do not flatten everything else. The homepage stays at 1.0.
+ *
+ * @param {string} file - File path relative to source directory
+ * @param {number} inbound - Number of pages linking to this one
+ * @param {number} mostInbound - Highest inbound count on the site
+ * @returns {number} Calculated priority between 0.3 and 1.0, one decimal
+ */
+export function calculateLinkPriority(file, inbound, mostInbound) {
+  if (file === 'index.html' || file === 'index.htm') {
+    return 1.0;
+  }
+  if (!inbound || !mostInbound) {
+    return 0.3;
+  }
+  const share = Math.log1p(inbound) / Math.log1p(mostInbound);
+  return Math.round((0.3 + 0.6 * Math.min(share, 1)) * 10) / 10;
+}
+
 /**
  * Calculates sensible change frequency based on URL hierarchy and content type.
  * @param {string} file - File path relative to source directory
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Site-wide duplicate title, description and canonical detection.
+ *
+ * Runs after the head pass and reads the `seoMetadata` it attached to every
+ * HTML page, so it sees exactly what was written into each `<head>`,
+ * including fallback and auto-generated descriptions. Only pages search
+ * engines are asked to index take part: a page that is `noindex` or
+ * canonicalizes to another URL (see `url-builder.getIndexingExclusion`)
+ * duplicates on purpose.
+ */
+
+import { warn } from '../utils/logger.js';
+import { aggregateError } from '../utils/errors.js';
+import { policyUrl } from '../utils/url-policy.js';
+import { comparableUrl, getIndexingExclusion } from './url-builder.js';
+
+/**
+ * @typedef {Object} DuplicateGroup
+ * @property {string} value - The shared value, as written on the first page
+ * @property {Array<string>} files - Pages sharing it, sorted
+ */
+
+/**
+ * @typedef {Object} DuplicateReport
+ * @property {Array<DuplicateGroup>} titles - Pages sharing a title
+ * @property {Array<DuplicateGroup>} descriptions - Pages sharing a meta description
+ * @property {Array<DuplicateGroup>} canonicals - Pages resolving to the same canonical URL
+ */
+
+/**
+ * @typedef {Object} DuplicateOptions
+ * @property {string} hostname - Base hostname
+ * @property {string} [seoProperty='seo'] - Frontmatter property containing SEO data
+ * @property {Object} [urlPolicy] - URL policy, for each page's own URL
+ * @property {string|false} [report='seo-duplicates.json'] - JSON report path, `false` for none
+ * @property {boolean} [strict=false] - Fail the build when duplicates are found
+ */
+
+/**
+ * Groups indexable pages by normalized title, description and canonical
+ * URL, warns about every group with more than one page and writes the JSON
+ * report.
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} metalsmith - Metalsmith instance
+ * @param {DuplicateOptions} options - Configuration options
+ * @returns {DuplicateReport} Collisions found
+ * @throws {Error} In strict mode, when any collision was found
+ */
+export function detectDuplicates(files, _metalsmith, options) {
+  const { hostname, seoProperty = 'seo', urlPolicy, report = 'seo-duplicates.json', strict = false } = options;
+
+  const pages = Object.keys(files)
+    .sort()
+    .filter((file) => {
+      const metadata = files[file].seoMetadata;
+      if (!metadata) {
+        return false;
+      }
+      const ownUrl = policyUrl(file, hostname, urlPolicy || {});
+      return !getIndexingExclusion(files[file], metadata, ownUrl, { hostname, seoProperty });
+    });
+
+  const result = {
+    titles: groupBy(pages, (file) => files[file].seoMetadata.title, normalizeText),
+    descriptions: groupBy(pages, (file) => files[file].seoMetadata.description, normalizeText),
+    canonicals: groupBy(
+      pages,
+      (file) => files[file].seoMetadata.canonicalURL,
+      (url) => comparableUrl(url, hostname)
+    )
+  };
+
+  if (report) {
+    files[report] = { contents: Buffer.from(`${JSON.stringify(result, null, 2)}\n`, 'utf-8') };
+  }
+
+  const labels = { titles: 'title', descriptions: 'description', canonicals: 'canonical URL' };
+  const errors = Object.entries(result).flatMap(([kind, groups]) =>
+    groups.map(({ value, files: shared }) => ({
+      filePath: `${labels[kind]} "${value}"`,
+      error: new Error(`shared by ${shared.join(', ')}`)
+    }))
+  );
+
+  if (errors.length > 0 && strict) {
+    throw aggregateError(errors, 'Duplicate check', 'duplicate(s)');
+  }
+  for (const { filePath, error } of errors) {
+    warn(`Duplicate ${filePath} ${error.message}`);
+  }
+
+  return result;
+}
+
+/**
+ * Groups pages by a normalized key and keeps the groups with collisions.
+ * @param {Array<string>} pages - File paths, sorted
+ * @param {function(string): string|undefined} read - Reads the raw value of a page
+ * @param {function(string): string|null} normalize - Turns a raw value into a comparison key
+ * @returns {Array<DuplicateGroup>} Groups of two or more pages
+ */
+function groupBy(pages, read, normalize) {
+  const groups = new Map();
+  for (const file of pages) {
+    const value = read(file);
+    const key = value ? normalize(String(value)) : null;
+    if (!key) {
+      continue;
+    }
+    if (!groups.has(key)) {
+      groups.set(key, { value: String(value), files: [] });
+    }
+    groups.get(key).files.push(file);
+  }
+  return [...groups.values()].filter((group) => group.files.length > 1);
+}
+
+/**
+ * Normalizes text the way a reader would compare it: Unicode compatibility
+ * forms folded, case and runs of whitespace ignored.
+ * @param {string} text - Raw text
+ * @returns {string} Comparison key
+ */
+function normalizeText(text) {
+  return text.normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+}
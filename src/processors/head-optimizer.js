@@ -14,8 +14,10 @@ import {
   setTitleInDoc,
   setMetaInDoc,
   setLinkInDoc,
+  removeHreflangLinksFromDoc,
   addScriptToDoc
 } from '../utils/html-injector.js';
+import { aggregateError } from '../utils/errors.js';
 
 /**
  * @typedef {Object} HeadOptimizationOptions
@@ -28,6 +30,13 @@ import {
  * @property {boolean} [cleanExisting=true] - Remove existing SEO tags before injection
  * @property {boolean} [generateSitemap=true] - Whether to include files in sitemap
  * @property {number} [wordsPerMinute=200] - Reading speed for calculating reading time
+ * @property {Map<string, Date>} [lastmods] - Derived last-modified dates (see lastmod-resolver.js)
+ * @property {import('../utils/url-policy.js').UrlPolicy} [urlPolicy] - Shared URL policy for canonical and JSON-LD URLs
+ * @property {boolean} [noindexSite=false] - Force `noindex,nofollow` on every page (staging builds)
+ * @property {Object} [titleTemplate] - Resolved title template configuration (`siteName`, `maxLength`)
+ * @property {Map<string, string>} [titleTemplates] - Template per page (see title-templates.js)
+ * @property {Map<string, Array<{lang: string, url: string}>>} [hreflangLinks] - hreflang alternates per page
+ *   (see hreflang.js)
  */
 
 /**
@@ -54,7 +63,13 @@ export async function optimizeHead(filePath, frontmatter, options) {
     jsonLd = {},
     cleanExisting = true,
     generateSitemap = true,
-    wordsPerMinute = 200
+    wordsPerMinute = 200,
+    lastmods,
+    urlPolicy,
+    noindexSite = false,
+    titleTemplate,
+    titleTemplates,
+    hreflangLinks
   } = options;
 
   // Skip non-HTML files
@@ -72,7 +87,9 @@ export async function optimizeHead(filePath, frontmatter, options) {
     seoProperty,
     defaults,
     fallbacks,
-    wordsPerMinute
+    wordsPerMinute,
+    lastmods,
+    urlPolicy
   });
 
   // Check if file should be excluded from SEO processing
@@ -89,7 +106,11 @@ export async function optimizeHead(filePath, frontmatter, options) {
     hostname,
     social,
     jsonLd,
-    filePath
+    filePath,
+    urlPolicy,
+    noindexSite,
+    titleTemplate: titleTemplates?.has(filePath) ? { ...titleTemplate, template: titleTemplates.get(filePath) } : null,
+    hreflang: hreflangLinks?.get(filePath)
   });
 
   // Inject SEO content into HTML
@@ -110,11 +131,15 @@ export async function optimizeHead(filePath, frontmatter, options) {
  * @returns {Object} Generated SEO content
  */
 function generateAllSeoContent(metadata, config) {
-  const { hostname, social, jsonLd, filePath } = config;
+  const { hostname, social, jsonLd, filePath, urlPolicy, noindexSite, titleTemplate, hreflang } = config;
 
   // Site configuration combining hostname with social/jsonLd configs
   const siteConfig = {
     hostname,
+    urlPolicy,
+    noindexSite,
+    titleTemplate,
+    hreflang,
     ...social,
     ...jsonLd
   };
@@ -159,9 +184,10 @@ function injectSeoContent(html, metadata, generated, options = {}) {
     removeTagsFromDoc($);
   }
 
-  // Update title tag
+  // Update title tag. Only <title> carries the template; social tags and
+  // JSON-LD use the bare metadata.title
   if (metadata.title) {
-    setTitleInDoc($, metadata.title);
+    setTitleInDoc($, generated.meta.title);
   }
 
   // Inject meta tags (critical tags first)
@@ -177,7 +203,11 @@ function injectSeoContent(html, metadata, generated, options = {}) {
     }
   }
 
-  // Inject link tags (after critical meta tags)
+  // Inject link tags (after critical meta tags). A generated hreflang set
+  // replaces the page's existing one as a whole
+  if (cleanExisting && generated.meta.linkTags.some((link) => link.hreflang)) {
+    removeHreflangLinksFromDoc($);
+  }
   for (const link of generated.meta.linkTags) {
     setLinkInDoc(
       $,
@@ -301,35 +331,12 @@ export async function batchOptimizeHeads(files, options) {
   // We collect across the whole pass so the user sees every failing file
   // in one go rather than fixing one and discovering the next on rebuild.
   if (errors.length > 0) {
-    throw aggregateOptimizationError(errors, 'SEO optimization');
+    throw aggregateError(errors, 'SEO optimization');
   }
 
   return results;
 }
 
-/**
- * Builds a single Error summarizing per-file failures. Uses AggregateError
- * when more than one file failed so callers can introspect the originals.
- * @param {Array<{filePath: string, error: Error}>} errors - Per-file errors
- * @param {string} stage - Human-readable stage name for the message
- * @returns {Error} Aggregate error suitable for Metalsmith's done callback
- */
-function aggregateOptimizationError(errors, stage) {
-  const summary = errors.map(({ filePath, error }) => `  - ${filePath}: ${error.message}`).join('\n');
-  const message = `[metalsmith-seo] ${stage} failed for ${errors.length} file(s):\n${summary}`;
-
-  if (errors.length === 1) {
-    const wrapped = new Error(message);
-    wrapped.cause = errors[0].error;
-    return wrapped;
-  }
-
-  return new AggregateError(
-    errors.map((e) => e.error),
-    message
-  );
-}
-
 /**
  * Extracts SEO metadata from files without modifying HTML (for sitemap generation)
  * @param {Object} files - Metalsmith files object
@@ -350,7 +357,7 @@ export function extractAllMetadata(files, options) {
   });
 
   if (errors.length > 0) {
-    throw aggregateOptimizationError(errors, 'Metadata extraction');
+    throw aggregateError(errors, 'Metadata extraction');
   }
 
   return metadata;
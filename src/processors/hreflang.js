@@ -0,0 +1,200 @@
+/**
+ * @fileoverview hreflang alternates for the `<head>`, with reciprocity checks.
+ *
+ * Resolves every page's `<link rel="alternate" hreflang>` set before the
+ * head pass: a hand-written `seo.alternates` list, or with `auto`, the
+ * translation groups the sitemap uses (see sitemap-alternates.js). Every set
+ * references the page itself and gets an `x-default`. Search engines ignore
+ * annotations the other page does not confirm, so the whole build is then
+ * checked: each alternate on this site must be a page that links back.
+ */
+
+import { warn } from '../utils/logger.js';
+import { aggregateError } from '../utils/errors.js';
+import { get } from '../utils/object-utils.js';
+import { detectLocale, localesMatch } from '../utils/locale.js';
+import { policyUrl } from '../utils/url-policy.js';
+import { absoluteUrl, toUri } from '../utils/uri.js';
+import { extractMetadata } from './metadata-extractor.js';
+import { checkFile, comparableUrl, getIndexingExclusion } from './url-builder.js';
+import { buildHreflangLinks, groupTranslations, toHreflang } from './sitemap-alternates.js';
+
+const HREFLANG = /^(x-default|[a-z]{2,3}(-[a-z0-9]{1,8})*)$/i;
+
+/**
+ * @typedef {Object} HreflangOptions
+ * @property {string} hostname - Base hostname
+ * @property {boolean} [auto=false] - Group translations automatically; pages with `seo.alternates` keep theirs
+ * @property {Array<string>} [locales] - Known locale path prefixes
+ * @property {string} [defaultLocale] - Locale of unprefixed pages and the x-default target
+ * @property {string} [translationKey='translationKey'] - Frontmatter property that groups translations explicitly
+ * @property {string} [pattern='**\/*.html'] - Pages that get alternates
+ * @property {string} [privateProperty='private'] - Property marking private pages
+ * @property {string} [seoProperty='seo'] - Frontmatter property containing SEO data
+ * @property {Object} [fallbacks] - Fallback property mappings
+ * @property {string} [defaultRobots] - Site-wide default robots directive
+ * @property {import('../utils/url-policy.js').UrlPolicy} [urlPolicy] - Shared URL policy
+ * @property {boolean} [strict=false] - Fail the build on asymmetric or dangling alternates
+ */
+
+/**
+ * Resolves the hreflang links of every page and checks that they agree
+ * across the build. Links point at each page's canonical URL, the same one
+ * its `<link rel="canonical">` names.
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} metalsmith - Metalsmith instance
+ * @param {HreflangOptions} options - Configuration options
+ * @returns {Map<string, Array<{lang: string, url: string}>>} Links per file; pages without alternates are absent
+ * @throws {Error} When a `seo.alternates` list is malformed, or in strict mode when the check finds problems
+ */
+export function resolveHreflang(files, metalsmith, options) {
+  const {
+    hostname,
+    auto = false,
+    locales,
+    defaultLocale = '',
+    translationKey = 'translationKey',
+    pattern = '**/*.html',
+    privateProperty = 'private',
+    seoProperty = 'seo',
+    fallbacks = {},
+    defaultRobots,
+    urlPolicy,
+    strict = false
+  } = options;
+
+  const pages = [];
+  for (const file of Object.keys(files).sort()) {
+    const frontmatter = files[file];
+    if (!Buffer.isBuffer(frontmatter.contents) || !checkFile(file, frontmatter, metalsmith, pattern, privateProperty)) {
+      continue;
+    }
+    const metadata = extractMetadata(file, frontmatter, {
+      hostname,
+      seoProperty,
+      fallbacks,
+      defaults: { robots: defaultRobots },
+      urlPolicy
+    });
+    const ownUrl = policyUrl(file, hostname, urlPolicy || {});
+    const excluded = getIndexingExclusion(frontmatter, metadata, ownUrl, { hostname, seoProperty });
+    // A page answers to its canonical URL and to its file's own URL
+    const keys = new Set([comparableUrl(metadata.canonicalURL, hostname), comparableUrl(ownUrl, hostname)]);
+    pages.push({ file, frontmatter, url: metadata.canonicalURL, keys, indexable: !excluded });
+  }
+
+  const links = new Map();
+  for (const page of pages) {
+    const list = get(page.frontmatter, `${seoProperty}.alternates`);
+    if (list !== undefined && list !== null) {
+      links.set(page.file, explicitLinks(page, list, { hostname, locales, defaultLocale, seoProperty }));
+    }
+  }
+
+  if (auto) {
+    const candidates = pages.filter((page) => page.indexable && !links.has(page.file));
+    for (const members of groupTranslations(candidates, { locales, defaultLocale, translationKey })) {
+      const group = buildHreflangLinks(members, defaultLocale);
+      for (const member of members) {
+        links.set(member.file, group);
+      }
+    }
+  }
+
+  const problems = checkReciprocity(pages, links, hostname);
+  if (strict && problems.length > 0) {
+    throw aggregateError(problems, 'hreflang validation', 'problem(s)');
+  }
+  for (const { filePath, error } of problems) {
+    warn(`${filePath}: hreflang ${error.message}`);
+  }
+
+  return links;
+}
+
+/**
+ * Normalizes a hand-written `seo.alternates` list: URLs made absolute, a
+ * self-reference added when the page has a locale, and `x-default` added for
+ * the default-locale entry.
+ * @param {{file: string, frontmatter: Object, url: string, keys: Set<string>}} page - The page
+ * @param {*} list - Frontmatter value
+ * @param {Object} options - Normalization options
+ * @returns {Array<{lang: string, url: string}>} hreflang links
+ * @throws {Error} When the list or one of its entries is malformed
+ */
+function explicitLinks(page, list, { hostname, locales, defaultLocale, seoProperty }) {
+  const source = `${page.file}: ${seoProperty}.alternates`;
+  if (!Array.isArray(list)) {
+    throw new Error(`[metalsmith-seo] ${source} must be a list of { lang, url }`);
+  }
+
+  const links = list.map((entry, index) => {
+    if (!entry || typeof entry.lang !== 'string' || typeof entry.url !== 'string' || !entry.url) {
+      throw new Error(`[metalsmith-seo] ${source}[${index}] must be { lang, url }`);
+    }
+    const lang = toHreflang(entry.lang);
+    if (!HREFLANG.test(lang)) {
+      throw new Error(`[metalsmith-seo] ${source}[${index}].lang "${entry.lang}" is not a language code or x-default`);
+    }
+    return { lang, url: toUri(absoluteUrl(entry.url, hostname)) };
+  });
+
+  const locale = detectLocale(page.file, page.frontmatter, locales) || defaultLocale;
+  if (locale && !links.some((link) => page.keys.has(comparableUrl(link.url, hostname)))) {
+    links.unshift({ lang: toHreflang(locale), url: page.url });
+  }
+
+  if (!links.some((link) => link.lang === 'x-default')) {
+    const fallback = links.find((link) => localesMatch(link.lang, toHreflang(defaultLocale)));
+    if (fallback) {
+      links.push({ lang: 'x-default', url: fallback.url });
+    }
+  }
+
+  return links;
+}
+
+/**
+ * Checks that every alternate on this site is a page of the build that
+ * links back. Alternates on other hosts cannot be checked and are trusted;
+ * `x-default` only has to exist.
+ * @param {Array<{file: string, keys: Set<string>}>} pages - Candidate pages
+ * @param {Map<string, Array<{lang: string, url: string}>>} links - Links per file
+ * @param {string} hostname - Base hostname
+ * @returns {Array<{filePath: string, error: Error}>} Problems, labelled with the linking page
+ */
+function checkReciprocity(pages, links, hostname) {
+  const site = new URL(absoluteUrl('', hostname)).host;
+  const byUrl = new Map(pages.flatMap((page) => [...page.keys].map((key) => [key, page])));
+  const byFile = new Map(pages.map((page) => [page.file, page]));
+  const problems = [];
+
+  for (const [file, set] of links) {
+    const own = byFile.get(file).keys;
+    for (const { lang, url } of set) {
+      const key = comparableUrl(url, hostname);
+      if (own.has(key) || (key && new URL(url).host !== site)) {
+        continue;
+      }
+      const target = key ? byUrl.get(key) : null;
+      if (!target) {
+        problems.push({ filePath: file, error: new Error(`${lang} alternate ${url} is not a page in this build`) });
+        continue;
+      }
+      if (lang === 'x-default') {
+        continue;
+      }
+      const back = links.get(target.file) || [];
+      if (!back.some((link) => own.has(comparableUrl(link.url, hostname)))) {
+        problems.push({
+          filePath: file,
+          error: new Error(
+            `${lang} alternate ${url} does not link back (${target.file} has no alternate for this page)`
+          )
+        });
+      }
+    }
+  }
+
+  return problems;
+}
@@ -0,0 +1,159 @@
+/**
+ * @fileoverview humans.txt generation for Metalsmith SEO
+ * Writes the TEAM, THANKS and SITE sections of humanstxt.org from
+ * configuration and merges them into a hand-written file
+ */
+
+import { sanitizeLineValue } from '../utils/line-format.js';
+
+/**
+ * @typedef {Object<string, string|Array<string>>} HumansEntry
+ * @description One person or one set of site facts; keys become field names
+ *   (`name` → `Name:`, `lastUpdate` → `Last update:`), arrays are joined with commas
+ */
+
+/**
+ * @typedef {Object} HumansTxtOptions
+ * @property {string} [output='humans.txt'] - Output path
+ * @property {Array<HumansEntry>} [team=[]] - People who built the site
+ * @property {Array<HumansEntry>} [thanks=[]] - People to thank
+ * @property {HumansEntry} [site={}] - Site facts (language, standards, components, software)
+ * @property {Date} [now=new Date()] - Build time, written as `Last update`
+ */
+
+/**
+ * Writes humans.txt, or merges into an existing one: its sections and
+ * entries stay as written, configured people whose name is not there yet
+ * are appended to their section, missing site facts are added, and
+ * `Last update` is set to the build date.
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} metalsmith - Metalsmith instance
+ * @param {HumansTxtOptions} options - Configuration options
+ * @returns {void}
+ */
+export function processHumansTxt(files, _metalsmith, options) {
+  const { output = 'humans.txt', team = [], thanks = [], site = {}, now = new Date() } = options;
+
+  const sections = parseSections(files[output]?.contents.toString() || '');
+  addPeople(sections, 'TEAM', team);
+  addPeople(sections, 'THANKS', thanks);
+
+  const lastUpdate = now.toISOString().slice(0, 10).replace(/-/g, '/');
+  const siteLines = formatEntry({ ...site, lastUpdate });
+  const siteSection = findSection(sections, 'SITE');
+  const block = siteSection.blocks[0] || [];
+  for (const line of siteLines) {
+    const field = fieldName(line);
+    const index = block.findIndex((existing) => fieldName(existing) === field);
+    if (index === -1) {
+      block.push(line);
+    } else if (field === 'last update') {
+      block[index] = line;
+    }
+  }
+  siteSection.blocks[0] = block;
+
+  const content = sections
+    .filter((section) => section.blocks.some((lines) => lines.length > 0))
+    .map(({ title, blocks }) =>
+      [title ? `/* ${title} */` : null, blocks.map((lines) => lines.join('\n')).join('\n\n')]
+        .filter((part) => part !== null)
+        .join('\n')
+    )
+    .join('\n\n');
+
+  files[output] = { contents: Buffer.from(`${content}\n`, 'utf-8') };
+}
+
+/**
+ * Splits humans.txt into `/* TITLE *\/` sections of blank-line separated
+ * blocks. Text before the first heading becomes an untitled section.
+ * @param {string} content - File content
+ * @returns {Array<{title: string, blocks: Array<Array<string>>}>} Sections in file order
+ */
+function parseSections(content) {
+  const sections = [{ title: '', blocks: [[]] }];
+  for (const rawLine of content.split(/\r\n|\r|\n/)) {
+    const line = rawLine.trimEnd();
+    const heading = line.match(/^\/\*\s*(.+?)\s*\*\/$/);
+    const current = sections[sections.length - 1];
+    if (heading) {
+      sections.push({ title: heading[1].toUpperCase(), blocks: [[]] });
+    } else if (!line.trim()) {
+      current.blocks.push([]);
+    } else {
+      current.blocks[current.blocks.length - 1].push(line);
+    }
+  }
+  for (const section of sections) {
+    section.blocks = section.blocks.filter((lines) => lines.length > 0);
+  }
+  return sections;
+}
+
+/**
+ * Appends people whose name does not appear in the section yet.
+ * @param {Array<Object>} sections - Parsed sections, updated in place
+ * @param {string} title - Section title
+ * @param {Array<HumansEntry>} people - Configured people
+ */
+function addPeople(sections, title, people) {
+  if (people.length === 0) {
+    return;
+  }
+  const section = findSection(sections, title);
+  const lines = section.blocks.flat().map((line) => line.toLowerCase());
+  for (const person of people) {
+    const name = person.name ? String(person.name).toLowerCase() : '';
+    if (name && lines.some((line) => line.endsWith(`: ${name}`))) {
+      continue;
+    }
+    section.blocks.push(formatEntry(person));
+  }
+}
+
+/**
+ * Finds a section by title, appending it when missing.
+ * @param {Array<Object>} sections - Parsed sections, updated in place
+ * @param {string} title - Section title
+ * @returns {Object} Section
+ */
+function findSection(sections, title) {
+  let section = sections.find((candidate) => candidate.title === title);
+  if (!section) {
+    section = { title, blocks: [] };
+    sections.push(section);
+  }
+  return section;
+}
+
+/**
+ * Formats an entry as `Field: value` lines.
+ * @param {HumansEntry} entry - Entry
+ * @returns {Array<string>} Lines
+ */
+function formatEntry(entry) {
+  return Object.entries(entry)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${sanitizeLineValue(labelFor(key))}: ${sanitizeLineValue([].concat(value).join(', '))}`);
+}
+
+/**
+ * Turns an option key into a humans.txt field label.
+ * @param {string} key - camelCase key
+ * @returns {string} Label (`lastUpdate` → `Last update`)
+ */
+function labelFor(key) {
+  const words = key.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Reads the lower-cased field name of a line.
+ * @param {string} line - `Field: value` line
+ * @returns {string} Field name
+ */
+function fieldName(line) {
+  const colon = line.indexOf(':');
+  return (colon === -1 ? line : line.slice(0, colon)).trim().toLowerCase();
+}
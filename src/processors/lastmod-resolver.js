@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Resolves last-modified dates for pages whose frontmatter
+ * does not set one.
+ *
+ * The result is computed once per build, before the head pass and the
+ * sitemap run in parallel, so `<lastmod>`, the changefreq heuristic and
+ * `article:modified_time` all agree on a page's date. Frontmatter always
+ * wins; this module only fills the gaps.
+ *
+ * Strategies:
+ * - `'frontmatter'` (default): no derived dates, only what pages declare
+ * - `'stats'`: the source file's mtime as read by Metalsmith (`file.stats`)
+ * - `'git'`: the last commit touching the source file, from the local
+ *   repository (one `git log` call, no network)
+ * - a function `(file, frontmatter) => Date|string|undefined`, may be async
+ */
+
+import { execFile } from 'node:child_process';
+import path from 'node:path';
+import { promisify } from 'node:util';
+import { warn } from '../utils/logger.js';
+import { replaceBackslash } from './url-builder.js';
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * @typedef {Object} LastmodOptions
+ * @property {'frontmatter'|'stats'|'git'|Function} [lastmodSource='frontmatter'] - Date source
+ * @property {string} [pattern='**\/*.html'] - Glob pattern of the pages that need a date
+ */
+
+/**
+ * Resolves derived last-modified dates for the pages matching `pattern`.
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} metalsmith - Metalsmith instance (for matching and the source directory)
+ * @param {LastmodOptions} options - Resolution options
+ * @returns {Promise<Map<string, Date>>} Valid dates keyed by file path (pages without one are absent)
+ * @throws {Error} When `lastmodSource` is not a known strategy
+ */
+export async function resolveLastmods(files, metalsmith, options) {
+  const { lastmodSource = 'frontmatter', pattern = '**/*.html' } = options;
+  const lastmods = new Map();
+
+  if (lastmodSource === 'frontmatter') {
+    return lastmods;
+  }
+
+  const pages = Object.keys(files).filter((file) => {
+    const matched = metalsmith.match(pattern, file);
+    return matched && matched.length > 0;
+  });
+
+  let lookup;
+  if (typeof lastmodSource === 'function') {
+    lookup = (file) => lastmodSource(file, files[file]);
+  } else if (lastmodSource === 'stats') {
+    lookup = (file) => files[file].stats?.mtime;
+  } else if (lastmodSource === 'git') {
+    const commits = await readGitLastmods(metalsmith.source());
+    const byStem = indexByStem(commits);
+    lookup = (file) => {
+      const normalized = replaceBackslash(file);
+      return commits.get(normalized) || byStem.get(stripExtension(normalized));
+    };
+  } else {
+    throw new Error(
+      `[metalsmith-seo] Unknown lastmodSource "${lastmodSource}" (expected 'frontmatter', 'stats', 'git' or a function)`
+    );
+  }
+
+  for (const file of pages) {
+    const value = await lookup(file);
+    const date = value instanceof Date ? value : value ? new Date(value) : null;
+    if (date && Number.isFinite(date.getTime())) {
+      lastmods.set(file, date);
+    }
+  }
+
+  return lastmods;
+}
+
+/**
+ * Reads the last commit time of every file under a directory with a single
+ * `git log` call. Paths are relative to `cwd`. Outside a repository, or
+ * without git installed, an empty map is returned with a warning.
+ * @param {string} cwd - Source directory
+ * @returns {Promise<Map<string, Date>>} Commit dates keyed by forward-slash relative path
+ */
+async function readGitLastmods(cwd) {
+  const commits = new Map();
+  let stdout;
+  try {
+    ({ stdout } = await execFileAsync(
+      'git',
+      ['-c', 'core.quotepath=false', 'log', '--format=%x00%cI', '--name-only', '--relative', '--', '.'],
+      {
+        cwd,
+        maxBuffer: 256 * 1024 * 1024
+      }
+    ));
+  } catch (error) {
+    warn(`lastmodSource 'git' could not read the history of ${cwd}: ${error.message.split('\n')[0]}`);
+    return commits;
+  }
+
+  // Newest commits come first, so the first date seen for a path is its last change
+  let current;
+  for (const line of stdout.split('\n')) {
+    if (line.startsWith('\0')) {
+      current = new Date(line.slice(1));
+    } else if (line && current && !commits.has(line)) {
+      commits.set(line, current);
+    }
+  }
+
+  return commits;
+}
+
+/**
+ * Indexes commit dates by path without extension. Earlier plugins often
+ * rename files (`about.md` → `about.html`), so an output file without its
+ * own history falls back to the source with the same stem. Newer commits
+ * win when two sources share a stem.
+ * @param {Map<string, Date>} commits - Commit dates by source path, newest first
+ * @returns {Map<string, Date>} Commit dates by extensionless path
+ */
+function indexByStem(commits) {
+  const byStem = new Map();
+  for (const [source, date] of commits) {
+    const stem = stripExtension(source);
+    if (!byStem.has(stem)) {
+      byStem.set(stem, date);
+    }
+  }
+  return byStem;
+}
+
+/**
+ * Removes the final extension from a path (`blog/post.md` → `blog/post`).
+ * @param {string} file - File path
+ * @returns {string} Path without extension
+ */
+function stripExtension(file) {
+  return file.slice(0, file.length - path.extname(file).length);
+}
@@ -0,0 +1,228 @@
+/**
+ * @fileoverview Offline internal link analysis.
+ *
+ * Reads the `<a href>` links of every page and resolves each internal one
+ * against the files in the build, the way a browser would from the page's
+ * own URL. It reports links to files that do not exist, links to pages that
+ * are private or `noindex`, and orphan pages nothing links to, and counts
+ * each page's inbound links for the sitemap's `priorityBy: 'links'`.
+ *
+ * Runs before the head pass and the sitemap, so outputs written later in
+ * the build (sitemap.xml, robots.txt, the plugin's reports) are not files
+ * yet; links to them belong in `ignore`.
+ */
+
+import { warn } from '../utils/logger.js';
+import { aggregateError } from '../utils/errors.js';
+import { get } from '../utils/object-utils.js';
+import { collectLinks } from '../utils/html-reader.js';
+import { applyUrlPolicy, policyUrl } from '../utils/url-policy.js';
+import { extractMetadata } from './metadata-extractor.js';
+import { absoluteUrl } from '../utils/uri.js';
+import { comparableUrl, getIndexingExclusion, replaceBackslash } from './url-builder.js';
+
+/**
+ * @typedef {Object} LinkOptions
+ * @property {string} hostname - Base hostname; links to other hosts are not checked
+ * @property {string} [pattern='**\/*.html'] - Pages whose links are read, and that can be orphans
+ * @property {string} [privateProperty='private'] - Property marking private pages
+ * @property {string} [seoProperty='seo'] - Frontmatter property containing SEO data
+ * @property {Object} [fallbacks] - Fallback property mappings, for each page's robots directive
+ * @property {string} [defaultRobots] - Site-wide default robots directive
+ * @property {import('../utils/url-policy.js').UrlPolicy} [urlPolicy] - URL policy, for each page's own URL
+ * @property {Array<string>} [ignore=[]] - Globs of target paths that are neither broken links nor orphans
+ * @property {string|false} [report='seo-links.json'] - JSON report path, `false` for none
+ * @property {boolean} [strict=false] - Fail the build on broken links
+ */
+
+/**
+ * @typedef {Object} LinkAnalysis
+ * @property {Array<{file: string, href: string}>} broken - Links to files that are not in the build
+ * @property {Array<{file: string, href: string, target: string, reason: 'private'|'noindex'}>} restricted - Links
+ *   to pages crawlers are told to skip
+ * @property {Array<string>} orphans - Indexable pages no other page links to
+ * @property {Map<string, number>} inbound - Number of other pages linking to each page
+ */
+
+/**
+ * Resolves every internal link on every page. Pure: nothing is logged or
+ * written, so the sitemap can use the counts without the link check.
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} metalsmith - Metalsmith instance
+ * @param {LinkOptions} options - Configuration options
+ * @returns {LinkAnalysis} Findings and inbound link counts
+ */
+export function analyzeLinks(files, metalsmith, options) {
+  const { hostname, pattern = '**/*.html', urlPolicy, ignore = [] } = options;
+
+  const site = new URL(absoluteUrl('', hostname));
+  const isIgnored = (target) => ignore.some((glob) => metalsmith.match(glob, target).length > 0);
+
+  // Every file answers to its own path; comparableUrl folds index.html,
+  // .html and trailing slashes, so /blog/, /blog and /blog/index.html agree
+  const targets = new Map();
+  for (const file of Object.keys(files)) {
+    targets.set(comparableUrl(replaceBackslash(file), hostname), file);
+  }
+
+  const restrictions = new Map();
+  const restrictionOf = (file) => {
+    if (!restrictions.has(file)) {
+      restrictions.set(file, findRestriction(file, files[file], metalsmith, options));
+    }
+    return restrictions.get(file);
+  };
+
+  const pages = Object.keys(files)
+    .sort()
+    .filter((file) => Buffer.isBuffer(files[file].contents) && metalsmith.match(pattern, file).length > 0);
+
+  const broken = [];
+  const restricted = [];
+  const linkedFrom = new Map();
+  for (const file of pages) {
+    const pageUrl = policyUrl(file, hostname, urlPolicy || {});
+    for (const href of new Set(collectLinks(files[file].contents.toString()))) {
+      const url = resolveInternal(href, pageUrl, site);
+      if (!url) {
+        continue;
+      }
+      const target = targets.get(comparableUrl(url.href, hostname));
+      if (!target) {
+        if (!isIgnored(decodePath(url.pathname.slice(site.pathname.length)))) {
+          broken.push({ file, href });
+        }
+        continue;
+      }
+      if (target !== file) {
+        if (!linkedFrom.has(target)) {
+          linkedFrom.set(target, new Set());
+        }
+        linkedFrom.get(target).add(file);
+      }
+      const reason = restrictionOf(target);
+      if (reason) {
+        restricted.push({ file, href, target, reason });
+      }
+    }
+  }
+
+  const inbound = new Map(pages.map((file) => [file, linkedFrom.get(file)?.size || 0]));
+  const orphans = pages.filter(
+    (file) =>
+      inbound.get(file) === 0 &&
+      applyUrlPolicy(file, {}) !== '' &&
+      !isIgnored(replaceBackslash(file)) &&
+      !restrictionOf(file)
+  );
+
+  return { broken, restricted, orphans, inbound };
+}
+
+/**
+ * Analyzes internal links, logs every finding, writes the JSON report and,
+ * in strict mode, fails the build on broken links.
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} metalsmith - Metalsmith instance
+ * @param {LinkOptions} options - Configuration options
+ * @returns {LinkAnalysis} Findings and inbound link counts
+ * @throws {Error} In strict mode, when any link points at a missing file
+ */
+export function checkLinks(files, metalsmith, options) {
+  const { report = 'seo-links.json', strict = false } = options;
+  const analysis = analyzeLinks(files, metalsmith, options);
+  const { broken, restricted, orphans, inbound } = analysis;
+
+  if (report) {
+    const json = { broken, restricted, orphans, inbound: Object.fromEntries(inbound) };
+    files[report] = { contents: Buffer.from(`${JSON.stringify(json, null, 2)}\n`, 'utf-8') };
+  }
+
+  if (strict && broken.length > 0) {
+    const errors = broken.map(({ file, href }) => ({ filePath: file, error: new Error(`broken link ${href}`) }));
+    throw aggregateError(errors, 'Link check', 'broken link(s)');
+  }
+  for (const { file, href } of broken) {
+    warn(`${file}: broken link ${href}`);
+  }
+  for (const { file, href, target, reason } of restricted) {
+    warn(`${file}: link ${href} points at ${reason} page ${target}`);
+  }
+  for (const file of orphans) {
+    warn(`${file}: orphan page, no other page links to it`);
+  }
+
+  return analysis;
+}
+
+/**
+ * Resolves a link from a page and keeps it only when it stays on the site.
+ * @param {string} href - Raw link target
+ * @param {string} pageUrl - Absolute URL of the linking page
+ * @param {URL} site - Site root, including any path prefix
+ * @returns {URL|null} Resolved URL without query and fragment, or null for
+ *   other hosts, other schemes and paths outside the site prefix
+ */
+function resolveInternal(href, pageUrl, site) {
+  let url;
+  try {
+    url = new URL(href, pageUrl);
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(url.protocol) || url.host !== site.host || !`${url.pathname}/`.startsWith(site.pathname)) {
+    return null;
+  }
+  url.protocol = site.protocol;
+  url.search = '';
+  url.hash = '';
+  return url;
+}
+
+/**
+ * Why crawlers are told to skip a file, if they are.
+ * @param {string} file - File path
+ * @param {Object} frontmatter - File metadata and frontmatter
+ * @param {Object} metalsmith - Metalsmith instance
+ * @param {LinkOptions} options - Configuration options
+ * @returns {'private'|'noindex'|null} Restriction, or null for an indexable file
+ */
+function findRestriction(file, frontmatter, metalsmith, options) {
+  const {
+    hostname,
+    pattern = '**/*.html',
+    privateProperty = 'private',
+    seoProperty = 'seo',
+    fallbacks = {},
+    defaultRobots,
+    urlPolicy
+  } = options;
+  if (get(frontmatter, privateProperty)) {
+    return 'private';
+  }
+  if (metalsmith.match(pattern, file).length === 0) {
+    return null;
+  }
+  const metadata = extractMetadata(file, frontmatter, {
+    hostname,
+    seoProperty,
+    fallbacks,
+    defaults: { robots: defaultRobots }
+  });
+  const ownUrl = policyUrl(file, hostname, urlPolicy || {});
+  const exclusion = getIndexingExclusion(frontmatter, metadata, ownUrl, { hostname, seoProperty });
+  return exclusion?.reason === 'noindex' ? 'noindex' : null;
+}
+
+/**
+ * Decodes a URL path for glob matching, leaving malformed escapes as they are.
+ * @param {string} pathname - Percent-encoded path
+ * @returns {string} Decoded path
+ */
+function decodePath(pathname) {
+  try {
+    return decodeURIComponent(pathname);
+  } catch {
+    return pathname;
+  }
+}
@@ -20,6 +20,9 @@
 import path from 'node:path';
 import { load } from 'cheerio';
 import { get } from '../utils/object-utils.js';
+import { detectLocale, localesMatch } from '../utils/locale.js';
+import { policyUrl } from '../utils/url-policy.js';
+import { toUri } from '../utils/uri.js';
 
 /**
  * @typedef {Object} LlmsOptions
@@ -40,6 +43,7 @@ import { get } from '../utils/object-utils.js';
  *   plugin's resolved `social.locale`. Set to `''` to disable root emission
  *   and keep every locale under its own prefix.
  * @property {'date-desc'|'date-asc'|'alpha'} [sort='date-desc'] - Entry sort order
+ * @property {import('../utils/url-policy.js').UrlPolicy} [urlPolicy] - Shared URL policy for page links
  */
 
 // Tags whose closing produces a line break in the extracted plaintext.
@@ -173,28 +177,6 @@ function toDate(value) {
   return Number.isNaN(d.getTime()) ? null : d;
 }
 
-/**
- * Detect locale for a file. Prefers explicit metadata set by
- * metalsmith-multilingual; falls back to matching the leading path segment
- * against the configured `locales` list.
- * @param {string} file - File path
- * @param {Object} frontmatter - File frontmatter
- * @param {Array<string>} locales - Known locales
- * @returns {string} Locale id or empty string if unknown/default
- */
-function detectLocale(file, frontmatter, locales) {
-  if (frontmatter.locale && typeof frontmatter.locale === 'string') {
-    return frontmatter.locale;
-  }
-  if (Array.isArray(locales) && locales.length > 0) {
-    const first = file.split(/[\\/]/)[0];
-    if (locales.includes(first)) {
-      return first;
-    }
-  }
-  return '';
-}
-
 /**
  * Pick the group name for a file. Uses an explicit `groups` map first, then
  * falls back to the first Metalsmith collection the file belongs to, then
@@ -227,23 +209,28 @@ function pickGroup(file, frontmatter, metalsmith, groupsOption) {
 }
 
 /**
- * Build the absolute URL for a page, honoring canonical overrides.
+ * Build the absolute URL for a page, honoring canonical overrides and the
+ * shared URL policy when one is set.
  * @param {string} file - File path
  * @param {Object} frontmatter - File frontmatter
  * @param {string} hostname - Site hostname
- * @returns {string} Absolute URL
+ * @param {import('../utils/url-policy.js').UrlPolicy} [urlPolicy] - Shared URL policy
+ * @returns {string} Absolute URL, percent-encoded as a URI
  */
-function buildPageUrl(file, frontmatter, hostname) {
+function buildPageUrl(file, frontmatter, hostname, urlPolicy) {
   const canonical = frontmatter.canonical;
   if (typeof canonical === 'string' && canonical) {
-    return canonical;
+    return toUri(canonical);
+  }
+  if (urlPolicy) {
+    return toUri(policyUrl(file, hostname, urlPolicy));
   }
   const base = String(hostname || '').replace(/\/$/, '');
   let url = file.replace(/\\/g, '/');
   if (url.endsWith('/index.html')) {
     url = url.slice(0, -'index.html'.length);
   }
-  return `${base}/${url}`;
+  return toUri(`${base}/${url}`);
 }
 
 /**
@@ -257,10 +244,11 @@ function buildPageUrl(file, frontmatter, hostname) {
  * @param {string} options.hostname - Site hostname
  * @param {Object<string,string>} [options.groups] - Group patterns
  * @param {Array<string>} [options.locales] - Known locales
+ * @param {Object} [options.urlPolicy] - Shared URL policy
  * @returns {Array<Object>} Page entries
  */
 function collectEntries(files, metalsmith, options) {
-  const { pattern, privateProperty, seoProperty, hostname, groups, locales } = options;
+  const { pattern, privateProperty, seoProperty, hostname, groups, locales, urlPolicy } = options;
   const entries = [];
   for (const file of Object.keys(files)) {
     const frontmatter = files[file];
@@ -279,7 +267,7 @@ function collectEntries(files, metalsmith, options) {
     const plaintext = htmlToText(html);
     const title = resolveTitle(frontmatter, seoProperty) || path.basename(file);
     const description = resolveDescription(frontmatter, seoProperty, plaintext);
-    const url = buildPageUrl(file, frontmatter, hostname);
+    const url = buildPageUrl(file, frontmatter, hostname, urlPolicy);
     const group = pickGroup(file, frontmatter, metalsmith, groups);
     const locale = detectLocale(file, frontmatter, locales);
     const date = toDate(frontmatter.date || frontmatter.lastmod);
@@ -410,23 +398,6 @@ function renderFullText(entries, { title, description }) {
   return `${parts.join('\n').replace(/\n+$/, '')}\n`;
 }
 
-/**
- * Tolerant locale equality: accepts mixed short ('en') and full ('en_US')
- * forms so config-vs-file-metadata mismatches don't silently misroute output.
- * @param {string} a - Locale id
- * @param {string} b - Locale id
- * @returns {boolean} True if the two refer to the same language
- */
-function localesMatch(a, b) {
-  if (!a || !b) {
-    return false;
-  }
-  if (a === b) {
-    return true;
-  }
-  return a.split(/[_-]/)[0] === b.split(/[_-]/)[0];
-}
-
 /**
  * Compute an output path rooted under a locale prefix when applicable.
  * Files whose locale matches `defaultLocale` emit at the site root so the
@@ -448,7 +419,8 @@ function localizedOutput(output, locale, defaultLocale) {
  * @param {Object} files - Metalsmith files object
  * @param {Object} metalsmith - Metalsmith instance
  * @param {Object} options - Configuration
- * @returns {Promise<void>} Resolves when files have been added
+ * @returns {Promise<{listed: Array<string>}>} Resolves with the source path of every page
+ *   written to an index once the files have been added
  */
 export function processLlms(files, metalsmith, options) {
   return new Promise((resolve, reject) => {
@@ -468,7 +440,8 @@ export function processLlms(files, metalsmith, options) {
         perLocale = false,
         locales,
         defaultLocale = '',
-        sort = 'date-desc'
+        sort = 'date-desc',
+        urlPolicy
       } = options;
 
       const entries = collectEntries(files, metalsmith, {
@@ -477,7 +450,8 @@ export function processLlms(files, metalsmith, options) {
         seoProperty,
         hostname,
         groups,
-        locales
+        locales,
+        urlPolicy
       });
 
       sortEntries(entries, sort);
@@ -509,6 +483,7 @@ export function processLlms(files, metalsmith, options) {
         }
       }
 
+      const listed = [];
       for (const [indexPath, bucketEntries] of buckets) {
         if (bucketEntries.length === 0) {
           continue;
@@ -522,6 +497,7 @@ export function processLlms(files, metalsmith, options) {
           contents: Buffer.from(renderIndex(bucketEntries, header), 'utf-8'),
           mode: '0644'
         };
+        listed.push(...bucketEntries.map((entry) => entry.file));
         if (fullText) {
           // Mirror the index path to the full-text filename.
           const fullPath = indexPath.replace(
@@ -535,7 +511,7 @@ export function processLlms(files, metalsmith, options) {
         }
       }
 
-      resolve();
+      resolve({ listed: listed.sort() });
     } catch (error) {
       reject(new Error(`Failed to generate llms.txt: ${error.message}`));
     }
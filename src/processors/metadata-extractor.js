@@ -10,6 +10,8 @@
  */
 
 import { get } from '../utils/object-utils.js';
+import { policyUrl } from '../utils/url-policy.js';
+import { toUri } from '../utils/uri.js';
 
 /**
  * Extracts a property value following the priority chain:
@@ -94,6 +96,7 @@ function extractWithPriority(seoData, frontmatter, propertyConfig, fallbackPath,
  * @property {Object} [defaults] - Default values for missing metadata
  * @property {Object} [fallbacks] - Fallback property mappings
  * @property {number} [wordsPerMinute=200] - Reading speed for calculating reading time
+ * @property {Map<string, Date>} [lastmods] - Derived last-modified dates, used when frontmatter has none
  */
 
 /**
@@ -104,7 +107,15 @@ function extractWithPriority(seoData, frontmatter, propertyConfig, fallbackPath,
  * @returns {ExtractedMetadata} Extracted and normalized metadata
  */
 export function extractMetadata(filePath, frontmatter, options) {
-  const { hostname, seoProperty = 'seo', defaults = {}, fallbacks = {}, wordsPerMinute = 200 } = options;
+  const {
+    hostname,
+    seoProperty = 'seo',
+    defaults = {},
+    fallbacks = {},
+    wordsPerMinute = 200,
+    lastmods,
+    urlPolicy
+  } = options;
 
   // Ensure hostname is a string
   const hostnameStr = String(hostname || '');
@@ -117,15 +128,15 @@ export function extractMetadata(filePath, frontmatter, options) {
     // Core SEO properties
     title: extractTitle(seoData, frontmatter, defaults, fallbacks),
     description: extractDescription(seoData, frontmatter, defaults, fallbacks),
-    image: extractImage(seoData, frontmatter, defaults, fallbacks, hostnameStr),
-    canonicalURL: extractCanonicalURL(seoData, filePath, hostnameStr),
+    image: toUri(extractImage(seoData, frontmatter, defaults, fallbacks, hostnameStr)),
+    canonicalURL: toUri(extractCanonicalURL(seoData, filePath, hostnameStr, urlPolicy)),
     robots: extractRobots(seoData, defaults),
     noIndex: extractNoIndex(seoData),
     type: extractContentType(seoData, frontmatter),
 
     // Dates
     publishDate: extractPublishDate(seoData, frontmatter, fallbacks),
-    modifiedDate: extractModifiedDate(seoData, frontmatter, fallbacks),
+    modifiedDate: extractModifiedDate(seoData, frontmatter, fallbacks) || normalizeDate(lastmods?.get(filePath)),
 
     // Author and content metadata
     author: extractAuthor(seoData, frontmatter, fallbacks, defaults),
@@ -195,11 +206,15 @@ function extractImage(seoData, frontmatter, defaults, fallbacks, hostname) {
 /**
  * Extract canonical URL
  */
-function extractCanonicalURL(seoData, filePath, hostname) {
+function extractCanonicalURL(seoData, filePath, hostname, urlPolicy) {
   if (seoData.canonicalURL) {
     return seoData.canonicalURL;
   }
 
+  if (urlPolicy) {
+    return policyUrl(filePath, hostname, urlPolicy);
+  }
+
   // Auto-generate from file path
   const cleanPath = filePath
     .replace(/\.html?$/, '')
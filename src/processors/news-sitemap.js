@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Google News sitemap generator.
+ *
+ * Emits a separate `news-sitemap.xml` listing recently published articles
+ * with `<news:news>` entries, as required by Google News. Articles are the
+ * pages `extractMetadata` classifies as `type: 'article'`; only those
+ * published within the recency window (48 hours by default, measured from
+ * the build time) are included.
+ *
+ * Pages are filtered with the same rules as the main sitemap (`pattern`,
+ * `privateProperty`, noindex and canonical exclusions) and URLs are built the same way, so a news entry always
+ * points at the URL listed in sitemap.xml.
+ */
+
+import { warn } from '../utils/logger.js';
+import { generateSitemapXML } from '../utils/xml-generator.js';
+import { absoluteUrl } from '../utils/uri.js';
+import { checkFile, buildUrl, getIndexingExclusion } from './url-builder.js';
+import { extractMetadata } from './metadata-extractor.js';
+
+// Google News reads at most 1,000 URLs from one news sitemap
+const MAX_NEWS_URLS = 1000;
+
+/**
+ * @typedef {Object} NewsSitemapOptions
+ * @property {string} hostname - Base hostname for all URLs
+ * @property {string} publicationName - Publication name as registered with Google News
+ * @property {string} language - Publication language (ISO 639, or a locale such as `en_US`)
+ * @property {string} [output='news-sitemap.xml'] - Output filename
+ * @property {string} [pattern='**\/*.html'] - Glob pattern to match files for inclusion
+ * @property {string} [privateProperty='private'] - Property name to exclude files
+ * @property {number} [maxAgeHours=48] - Recency window; older articles are left out
+ * @property {Date|string} [buildTime] - Reference time for the window (defaults to now)
+ * @property {string} [urlProperty='canonical'] - Property name to read canonical URL from file metadata
+ * @property {boolean} [omitIndex=false] - Whether to omit index.html from URLs
+ * @property {Object} [urlPolicy] - Shared URL policy (replaces `omitIndex`)
+ * @property {string} [defaultRobots] - Site-wide robots directive; noindex or canonicalised-away pages are left out
+ * @property {string} [seoProperty='seo'] - Frontmatter property containing SEO data
+ * @property {Object} [fallbacks] - Fallback property mappings
+ */
+
+/**
+ * Processes Metalsmith files and generates the news sitemap.
+ *
+ * The file is written even when no article falls inside the window, so the
+ * robots.txt reference never points at a missing file between publications.
+ * Entries are ordered newest first; beyond 1,000 articles the oldest are
+ * dropped with a warning.
+ *
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} metalsmith - Metalsmith instance (for pattern matching)
+ * @param {NewsSitemapOptions} options - Configuration options
+ * @returns {Promise<{output: string}>} Resolves with the written path once it has been added to files
+ */
+export function processNewsSitemap(files, metalsmith, options) {
+  return new Promise((resolve, reject) => {
+    try {
+      const {
+        hostname,
+        publicationName,
+        language,
+        output = 'news-sitemap.xml',
+        pattern = '**/*.html',
+        privateProperty = 'private',
+        maxAgeHours = 48,
+        buildTime,
+        urlProperty = 'canonical',
+        omitIndex = false,
+        urlPolicy,
+        defaultRobots,
+        seoProperty = 'seo',
+        fallbacks = {}
+      } = options;
+
+      const now = buildTime ? new Date(buildTime).getTime() : Date.now();
+      const oldest = now - maxAgeHours * 60 * 60 * 1000;
+      const newsLanguage = toNewsLanguage(language);
+      const entries = [];
+
+      for (const file of Object.keys(files)) {
+        const frontmatter = files[file];
+        if (!Buffer.isBuffer(frontmatter.contents)) {
+          continue;
+        }
+        if (!checkFile(file, frontmatter, metalsmith, pattern, privateProperty)) {
+          continue;
+        }
+
+        const metadata = extractMetadata(file, frontmatter, {
+          hostname,
+          seoProperty,
+          fallbacks,
+          defaults: { robots: defaultRobots }
+        });
+        if (metadata.type !== 'article' || !metadata.publishDate) {
+          continue;
+        }
+
+        // Same indexing decision as the main sitemap and the page's <head>
+        const url = buildUrl(file, frontmatter, { urlProperty, omitIndex, urlPolicy });
+        if (getIndexingExclusion(frontmatter, metadata, absoluteUrl(url, hostname), { hostname, seoProperty })) {
+          continue;
+        }
+
+        // Inside the window and not scheduled for the future
+        const published = new Date(metadata.publishDate).getTime();
+        if (published < oldest || published > now) {
+          continue;
+        }
+
+        entries.push({
+          url,
+          news: {
+            publicationName,
+            language: newsLanguage,
+            publicationDate: metadata.publishDate,
+            title: metadata.title
+          }
+        });
+      }
+
+      entries.sort((a, b) => b.news.publicationDate.localeCompare(a.news.publicationDate));
+      if (entries.length > MAX_NEWS_URLS) {
+        warn(`News sitemap limited to ${MAX_NEWS_URLS} articles; ${entries.length - MAX_NEWS_URLS} older ones omitted`);
+        entries.length = MAX_NEWS_URLS;
+      }
+
+      files[output] = {
+        contents: Buffer.from(generateSitemapXML(entries, hostname), 'utf-8')
+      };
+
+      resolve({ output });
+    } catch (error) {
+      reject(new Error(`Failed to generate news sitemap: ${error.message}`));
+    }
+  });
+}
+
+/**
+ * Converts a locale to the language code Google News expects: the ISO 639
+ * language subtag, except for Chinese, where `zh-cn` and `zh-tw` are kept.
+ * @param {string} locale - Locale or language code (`en_US`, `de`, `zh_TW`)
+ * @returns {string} News language code (`en`, `de`, `zh-tw`)
+ */
+function toNewsLanguage(locale) {
+  const normalized = String(locale || '')
+    .toLowerCase()
+    .replace(/_/g, '-');
+  if (normalized === 'zh-cn' || normalized === 'zh-tw') {
+    return normalized;
+  }
+  return normalized.split('-')[0];
+}
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview X-Robots-Tag header files for static hosts.
+ *
+ * PDFs, feeds and other non-HTML files cannot carry a `<meta name="robots">`
+ * tag, so their indexing rules have to travel as an `X-Robots-Tag` response
+ * header. This processor collects one directive per file, from the head pass
+ * for HTML pages and from glob rules for everything else, and writes them in
+ * a format the host understands (see `utils/http-headers.js`).
+ */
+
+import { generateRobotsDirective } from '../generators/meta-generator.js';
+import { HEADER_FORMATS, serializeHeaders } from '../utils/http-headers.js';
+import { policyUrl } from '../utils/url-policy.js';
+import { toUri } from '../utils/uri.js';
+import { warn } from '../utils/logger.js';
+
+/**
+ * @typedef {Object} RobotsHeaderRule
+ * @property {string} pattern - Glob matched against file paths (e.g. `'**\/*.pdf'`)
+ * @property {string} robots - Directive to send (e.g. `'noindex'`)
+ */
+
+/**
+ * @typedef {Object} RobotsHeadersOptions
+ * @property {string} hostname - Base hostname
+ * @property {'netlify'|'cloudflare'|'vercel'|'nginx'} [format='netlify'] - Target host
+ * @property {string} [output] - Output file (defaults per format: `_headers`, `vercel-headers.json`,
+ *   `robots-headers.conf`)
+ * @property {Array<RobotsHeaderRule>} [rules=[]] - Glob rules; the last matching rule wins
+ * @property {boolean} [noindexSite=false] - Staging mode: one `noindex,nofollow` header for every path
+ * @property {Object} [urlPolicy] - URL policy used to turn files into request paths
+ */
+
+/**
+ * @typedef {Object} RobotsHeadersResult
+ * @property {string} output - Path of the file that was written
+ * @property {Array<import('../utils/http-headers.js').HeaderEntry>} entries - Headers in output order
+ */
+
+/**
+ * Writes the X-Robots-Tag header file. HTML pages contribute the directive
+ * the head pass put in their robots meta tag when it restricts anything
+ * (plain `index,follow` is the crawler default and is left out); other files
+ * get the last matching rule. A page's own directive wins over rules.
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} metalsmith - Metalsmith instance
+ * @param {RobotsHeadersOptions} options - Configuration options
+ * @returns {RobotsHeadersResult} What was written
+ * @throws {Error} When the format is unknown or a rule is incomplete
+ */
+export function processRobotsHeaders(files, metalsmith, options) {
+  const { hostname, format = 'netlify', rules = [], noindexSite = false, urlPolicy } = options;
+
+  if (!Object.hasOwn(HEADER_FORMATS, format)) {
+    throw new Error(
+      `[metalsmith-seo] robotsHeaders.format must be one of ${Object.keys(HEADER_FORMATS).join(', ')} (got "${format}")`
+    );
+  }
+  rules.forEach((rule, index) => {
+    if (!rule?.pattern || !rule?.robots) {
+      throw new Error(`[metalsmith-seo] robotsHeaders.rules[${index}] needs a pattern and robots`);
+    }
+  });
+
+  const output = options.output || HEADER_FORMATS[format];
+  const entries = noindexSite
+    ? [{ path: '/*', name: 'X-Robots-Tag', value: 'noindex,nofollow' }]
+    : collectEntries(files, metalsmith, { hostname, rules, urlPolicy, output });
+
+  let contents = serializeHeaders(entries, format);
+  if (files[output]) {
+    if (output === '_headers') {
+      // Netlify and Cloudflare read one file; keep the rules already in it
+      contents = `${files[output].contents.toString().trimEnd()}\n\n${contents}`;
+    } else {
+      warn(`robotsHeaders: replaced existing ${output}`);
+    }
+  }
+
+  files[output] = { contents: Buffer.from(contents, 'utf-8') };
+  return { output, entries };
+}
+
+/**
+ * Decides the directive for every file and expands each into its request
+ * paths.
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} metalsmith - Metalsmith instance
+ * @param {Object} options - Options
+ * @param {string} options.hostname - Base hostname
+ * @param {Array<RobotsHeaderRule>} options.rules - Glob rules
+ * @param {Object} [options.urlPolicy] - URL policy
+ * @param {string} options.output - The header file itself, which is skipped
+ * @returns {Array<import('../utils/http-headers.js').HeaderEntry>} Entries sorted by file
+ */
+function collectEntries(files, metalsmith, { hostname, rules, urlPolicy, output }) {
+  return Object.keys(files)
+    .filter((file) => file !== output)
+    .sort()
+    .flatMap((file) => {
+      const metadata = files[file].seoMetadata;
+      const pageDirective = metadata ? generateRobotsDirective(metadata) : null;
+      const rule = rules.findLast((candidate) => metalsmith.match(candidate.pattern, file).length > 0);
+      const value = (pageDirective && !isDefaultDirective(pageDirective) ? pageDirective : null) || rule?.robots;
+      if (!value) {
+        return [];
+      }
+      return requestPaths(file, hostname, urlPolicy).map((path) => ({ path, name: 'X-Robots-Tag', value }));
+    });
+}
+
+/**
+ * Lists the paths a file is requested under: its URL under the policy
+ * (`blog/index.html` → `/blog/`) and, when different, its file path, which
+ * hosts serve as well.
+ * @param {string} file - File path
+ * @param {string} hostname - Base hostname, optionally with a path prefix
+ * @param {Object} [urlPolicy] - URL policy
+ * @returns {Array<string>} Encoded request paths
+ */
+function requestPaths(file, hostname, urlPolicy) {
+  const paths = [
+    policyUrl(file, hostname, urlPolicy || {}),
+    `${String(hostname || '').replace(/\/$/, '')}/${file.replace(/\\/g, '/')}`
+  ]
+    .map((url) => toUri(url))
+    .filter((url) => URL.canParse(url))
+    .map((url) => new URL(url).pathname);
+  return [...new Set(paths)];
+}
+
+/**
+ * Whether a directive only restates what crawlers assume without one.
+ * @param {string} directive - Robots directive
+ * @returns {boolean} True for `index,follow` and `all`
+ */
+function isDefaultDirective(directive) {
+  const normalized = directive.toLowerCase().replace(/\s+/g, '');
+  return normalized === 'index,follow' || normalized === 'follow,index' || normalized === 'all';
+}
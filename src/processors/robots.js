@@ -3,14 +3,65 @@
  * Handles existing robots.txt files intelligently and generates basic ones when needed
  */
 
+import { warn } from '../utils/logger.js';
+import { toUri } from '../utils/uri.js';
+import { get } from '../utils/object-utils.js';
+import { policyUrl } from '../utils/url-policy.js';
+import { aggregateError } from '../utils/errors.js';
+import { editRobots, findMatchingRule, lintRobots, parseRobots, serializeRobots } from '../utils/robots-txt.js';
+
+/**
+ * User agents of crawlers that collect training data for AI models. Blocking
+ * them does not affect search indexing (Google-Extended and
+ * Applebot-Extended are opt-out tokens, not separate crawlers).
+ */
+const AI_TRAINING_CRAWLERS = [
+  'GPTBot',
+  'ClaudeBot',
+  'anthropic-ai',
+  'CCBot',
+  'Google-Extended',
+  'Applebot-Extended',
+  'Bytespider',
+  'meta-externalagent',
+  'FacebookBot',
+  'Amazonbot',
+  'cohere-ai',
+  'Diffbot',
+  'omgili'
+];
+
+/**
+ * Named presets, each expanding to groups appended after the configured ones.
+ * @type {Object<string, Array<import('../utils/robots-txt.js').RobotsGroup>>}
+ */
+const PRESETS = {
+  blockAiTraining: [{ userAgent: AI_TRAINING_CRAWLERS, disallow: ['/'] }]
+};
+
 /**
  * @typedef {Object} RobotsOptions
  * @property {string} hostname - Base hostname for sitemap URL
- * @property {string} [sitemapFile='sitemap.xml'] - Name of the sitemap file to reference
+ * @property {string|Array<string>} [sitemapFile='sitemap.xml'] - Sitemap file(s) to reference
  * @property {boolean} [generateRobots=true] - Whether to generate robots.txt if none exists
- * @property {boolean} [addSitemapReference=true] - Whether to add sitemap reference to existing robots.txt
+ * @property {boolean} [addSitemapReference=true] - Whether to add missing sitemap references to an existing robots.txt
+ *   and move ones naming this build's sitemap to the current hostname
  * @property {Array<string>} [disallowPaths=[]] - Additional paths to disallow
  * @property {string} [userAgent='*'] - User agent for robots directives
+ * @property {Array<import('../utils/robots-txt.js').RobotsGroup>} [groups] - User-agent groups with their own
+ *   Allow/Disallow/Crawl-delay rules; replaces `userAgent` and `disallowPaths`
+ * @property {Array<string>} [presets=[]] - Named presets to append (`'blockAiTraining'`)
+ * @property {boolean} [noindexSite=false] - Staging mode: write `Disallow: /` for every crawler,
+ *   replacing any existing robots.txt
+ * @property {boolean} [disallowPrivate=false] - Add an exact-match Disallow for every private page to the
+ *   `User-agent: *` group; this publishes the paths of those pages
+ * @property {string} [pattern='**\/*.html'] - Pages checked for `privateProperty`
+ * @property {string} [privateProperty='private'] - Frontmatter flag of pages to disallow
+ * @property {Object} [urlPolicy] - URL policy used to turn private pages into paths
+ * @property {boolean} [validate=true] - Check the final robots.txt and warn about problems
+ * @property {boolean} [strict=false] - Fail the build instead of warning
+ * @property {Array<string>} [sitemapPageUrls=[]] - Absolute URLs listed in the sitemap, checked against
+ *   the `User-agent: *` rules
  */
 
 /**
@@ -20,89 +71,373 @@
  * @param {RobotsOptions} options - Configuration options
  * @returns {void}
  */
-export function processRobots(files, _metalsmith, options) {
+export function processRobots(files, metalsmith, options) {
   const {
     hostname,
     sitemapFile = 'sitemap.xml',
     generateRobots = true,
     addSitemapReference = true,
     disallowPaths = [],
-    userAgent = '*'
+    userAgent = '*',
+    groups,
+    presets = [],
+    noindexSite = false,
+    disallowPrivate = false,
+    pattern = '**/*.html',
+    privateProperty = 'private',
+    urlPolicy,
+    validate = true,
+    strict = false,
+    sitemapPageUrls = []
   } = options;
 
   const robotsFile = 'robots.txt';
   const existingRobots = files[robotsFile];
   // Ensure hostname is a string
   const hostnameStr = String(hostname || '');
-  const sitemapUrl = `${hostnameStr.replace(/\/$/, '')}/${sitemapFile}`;
+  const sitemapUrls = [].concat(sitemapFile).map((file) => toUri(`${hostnameStr.replace(/\/$/, '')}/${file}`));
+  // What validation reports line numbers against, when not the final file
+  const lintSource = {};
+
+  if (noindexSite) {
+    // Blocks everything, including whatever a source robots.txt allowed
+    files[robotsFile] = {
+      contents: Buffer.from(serializeRobots({ groups: [{ userAgent: '*', disallow: ['/'] }] })),
+      mode: '0644'
+    };
+
+    warn(
+      existingRobots
+        ? 'noindexSite: replaced robots.txt with Disallow: /'
+        : 'noindexSite: generated robots.txt with Disallow: /'
+    );
+  } else if (existingRobots) {
+    // Merge configuration into the existing file instead of replacing it.
+    // Only the lines that change are touched; everything else, comments
+    // included, stays as the author wrote it
+    const original = existingRobots.contents.toString();
+    const robots = parseRobots(original);
+    const edits = { values: new Map(), insert: new Map(), groups: [], sitemapUrls: [] };
+    const changes = [];
+    warnConflicts(robots);
+    const configured = resolveGroups({ groups, userAgent, disallowPaths, presets });
+    Object.assign(lintSource, { source: original, configured });
+
+    const privateGroup = {
+      userAgent: '*',
+      disallow: disallowPrivate
+        ? findPrivatePaths(files, metalsmith, { hostname: hostnameStr, pattern, privateProperty, urlPolicy })
+        : []
+    };
+    for (const group of [...configured, privateGroup]) {
+      changes.push(...mergeGroup(robots, group, edits));
+    }
 
-  if (existingRobots) {
-    // Handle existing robots.txt file
     if (addSitemapReference) {
-      const content = existingRobots.contents.toString();
-
-      // Check if sitemap is already referenced
-      if (!content.includes('Sitemap:') && !content.includes('sitemap:')) {
-        // Add sitemap reference
-        const updatedContent = `${content.trim()}\n\nSitemap: ${sitemapUrl}\n`;
-        existingRobots.contents = Buffer.from(updatedContent);
-
-        // Only log in non-test environments
-        const isTest = process.env.NODE_ENV === 'test' || process.env.METALSMITH_ENV === 'test';
-        if (!isTest) {
-          console.warn('[metalsmith-seo] Added sitemap reference to existing robots.txt');
-        }
-      }
+      changes.push(...mergeSitemapUrls(robots, sitemapUrls, edits));
+    }
+
+    if (changes.length > 0) {
+      existingRobots.contents = Buffer.from(editRobots(original, edits));
+      warn(`Updated existing robots.txt: ${changes.join('; ')}`);
     }
   } else if (generateRobots) {
-    // Generate basic robots.txt file
-    const robotsContent = generateBasicRobots({
-      userAgent,
-      disallowPaths,
-      sitemapUrl
-    });
+    // Generate robots.txt from the configured groups plus any presets, with
+    // private pages disallowed when asked to
+    const robots = {
+      groups: resolveGroups({ groups, userAgent, disallowPaths, presets }).map(copyGroup),
+      sitemapUrls
+    };
+    if (disallowPrivate) {
+      mergeGroup(robots, {
+        userAgent: '*',
+        disallow: findPrivatePaths(files, metalsmith, { hostname: hostnameStr, pattern, privateProperty, urlPolicy })
+      });
+    }
 
     files[robotsFile] = {
-      contents: Buffer.from(robotsContent),
+      contents: Buffer.from(serializeRobots(robots)),
       mode: '0644'
     };
 
-    // Only log in non-test environments
-    const isTest = process.env.NODE_ENV === 'test' || process.env.METALSMITH_ENV === 'test';
-    if (!isTest) {
-      console.warn('[metalsmith-seo] Generated robots.txt with sitemap reference');
+    warn('Generated robots.txt with sitemap reference');
+  }
+
+  if (validate && files[robotsFile]) {
+    validateRobots(files[robotsFile].contents.toString(), {
+      ...lintSource,
+      hostname: hostnameStr,
+      sitemapPageUrls,
+      strict
+    });
+  }
+}
+
+/**
+ * Lints robots.txt, whether generated, merged or passed through, and checks
+ * that the final `User-agent: *` rules do not block pages the sitemap asks
+ * crawlers to index. A merged file is linted as the author wrote it, so line
+ * numbers point into their file; the configured rules merged into it have no
+ * line there and are linted on their own. Problems are warnings unless
+ * `strict` is set, in which case they are collected into one build error.
+ * @param {string} content - Final robots.txt content
+ * @param {Object} options - Options
+ * @param {string} [options.source=content] - Existing robots.txt content, before merging
+ * @param {Array<import('../utils/robots-txt.js').RobotsGroup>} [options.configured=[]] - Groups merged into it
+ * @param {string} options.hostname - Base hostname
+ * @param {Array<string>} options.sitemapPageUrls - Absolute URLs listed in the sitemap
+ * @param {boolean} options.strict - Whether problems fail the build
+ * @throws {Error} In strict mode, when any problem was found
+ */
+function validateRobots(content, { source = content, configured = [], hostname, sitemapPageUrls, strict }) {
+  const issues = [
+    ...lintRobots(source),
+    ...lintRobots(serializeRobots({ groups: configured })).map(({ message }) => ({
+      message: `configured rule: ${message}`
+    })),
+    ...findBlockedPages(parseRobots(content), sitemapPageUrls, hostname)
+  ];
+  if (issues.length === 0) {
+    return;
+  }
+
+  const errors = issues.map(({ line, message }) => ({
+    filePath: line ? `robots.txt:${line}` : 'robots.txt',
+    error: new Error(message)
+  }));
+  if (strict) {
+    throw aggregateError(errors, 'robots.txt validation', 'problem(s)');
+  }
+  for (const { filePath, error } of errors) {
+    warn(`${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Reports Disallow rules that keep crawlers away from sitemap pages, one
+ * issue per rule. Only `User-agent: *` groups are checked: groups naming a
+ * specific crawler (such as the AI training preset) block on purpose.
+ * @param {import('../utils/robots-txt.js').RobotsFile} robots - Parsed file
+ * @param {Array<string>} sitemapPageUrls - Absolute URLs listed in the sitemap
+ * @param {string} hostname - Base hostname
+ * @returns {Array<import('../utils/robots-txt.js').RobotsIssue>} Issues
+ */
+function findBlockedPages(robots, sitemapPageUrls, hostname) {
+  const wildcard = robots.groups.filter((group) => group.userAgent.includes('*'));
+  if (wildcard.length === 0 || sitemapPageUrls.length === 0) {
+    return [];
+  }
+
+  // Groups for the same user agent are combined (RFC 9309 §2.2.1)
+  const group = {
+    allow: wildcard.flatMap((g) => g.allow),
+    disallow: wildcard.flatMap((g) => g.disallow)
+  };
+  const origin = URL.canParse(hostname) ? new URL(toUri(hostname)).origin : null;
+  const blocked = new Map();
+  for (const url of sitemapPageUrls) {
+    const parsed = URL.canParse(url) ? new URL(url) : null;
+    if (!parsed || parsed.origin !== origin) {
+      continue;
+    }
+    const rule = findMatchingRule(group, `${parsed.pathname}${parsed.search}`);
+    if (rule?.field === 'disallow') {
+      blocked.set(rule.pattern, [...(blocked.get(rule.pattern) || []), url]);
+    }
+  }
+
+  return [...blocked].map(([pattern, urls]) => ({
+    message: `Disallow: ${pattern} blocks ${urls.length} sitemap URL(s): ${urls.slice(0, 3).join(', ')}${urls.length > 3 ? ', …' : ''}`
+  }));
+}
+
+/**
+ * Builds the group list for a generated robots.txt: the configured `groups`
+ * (or the single legacy `userAgent` / `disallowPaths` group), followed by the
+ * groups of each preset in order.
+ * @param {Object} options - Robots options
+ * @param {Array<Object>} [options.groups] - Configured groups
+ * @param {string} options.userAgent - Legacy single user agent
+ * @param {Array<string>} options.disallowPaths - Legacy disallow paths
+ * @param {Array<string>} options.presets - Preset names
+ * @returns {Array<import('../utils/robots-txt.js').RobotsGroup>} Groups in output order
+ * @throws {Error} When a group has no user agent or a preset is unknown
+ */
+function resolveGroups({ groups, userAgent, disallowPaths, presets }) {
+  const configured = groups || [{ userAgent, disallow: disallowPaths }];
+  configured.forEach((group, index) => {
+    const agents = [].concat(group?.userAgent ?? []).filter(Boolean);
+    if (agents.length === 0) {
+      throw new Error(`[metalsmith-seo] robots.groups[${index}] needs a userAgent`);
     }
+  });
+
+  const presetGroups = [].concat(presets).flatMap((name) => {
+    if (!Object.hasOwn(PRESETS, name)) {
+      throw new Error(
+        `[metalsmith-seo] Unknown robots preset "${name}" (expected one of ${Object.keys(PRESETS).join(', ')})`
+      );
+    }
+    return PRESETS[name];
+  });
+
+  return [...configured, ...presetGroups];
+}
+
+/**
+ * Copies a configured group into the parsed-file shape, so merging into it
+ * leaves the configuration and the presets untouched.
+ * @param {import('../utils/robots-txt.js').RobotsGroup} group - Configured group
+ * @returns {import('../utils/robots-txt.js').RobotsGroup} Group with array `userAgent`, `allow` and `disallow`
+ */
+function copyGroup(group) {
+  return {
+    ...group,
+    userAgent: [].concat(group.userAgent),
+    allow: [...(group.allow || [])],
+    disallow: [...(group.disallow || [])]
+  };
+}
+
+/**
+ * Moves `Sitemap:` lines naming one of this build's sitemaps under an old
+ * scheme or `www.` variant of the hostname to the current URL, and appends
+ * the build's sitemaps that are missing. Every other `Sitemap:` line is
+ * kept, other hosts included: it may name a sitemap another system serves or
+ * one submitted across hosts. A file that only lists such other sitemaps is
+ * left as it is, since its author maintains the list.
+ * @param {import('../utils/robots-txt.js').RobotsFile} robots - Parsed file
+ * @param {Array<string>} sitemapUrls - Sitemap URLs of this build
+ * @param {Object} edits - Edits for `editRobots`, updated in place
+ * @returns {Array<string>} Descriptions of the changes made
+ */
+function mergeSitemapUrls(robots, sitemapUrls, edits) {
+  const changes = [];
+  const listed = robots.sitemapUrls.map((url) => toUri(url));
+
+  robots.sitemapUrls.forEach((url, index) => {
+    const moved = sitemapUrls.find((own) => isMovedSitemap(listed[index], own));
+    if (moved && !listed.includes(moved)) {
+      edits.values.set(robots.sitemapLines[index], moved);
+      listed[index] = moved;
+      changes.push(`replaced Sitemap ${url} with ${moved}`);
+    }
+  });
+
+  if (listed.length > 0 && !listed.some((url) => sitemapUrls.includes(url))) {
+    return changes;
   }
+  const missing = sitemapUrls.filter((url) => !listed.includes(url));
+  edits.sitemapUrls.push(...missing);
+  changes.push(...missing.map((url) => `added Sitemap ${url}`));
+  return changes;
 }
 
 /**
- * Generates basic robots.txt content using a simple template
- * @param {Object} options - Generation options
- * @param {string} options.userAgent - User agent directive
- * @param {Array<string>} options.disallowPaths - Paths to disallow
- * @param {string} options.sitemapUrl - Full URL to sitemap
- * @returns {string} Robots.txt content
+ * Checks whether a listed sitemap URL is one of this build's sitemaps at a
+ * stale address: same path on the same host, give or take `www.`, but a
+ * different origin.
+ * @param {string} url - URL from the existing robots.txt
+ * @param {string} own - Sitemap URL of this build
+ * @returns {boolean} True when the URL should become `own`
  */
-function generateBasicRobots({ userAgent, disallowPaths, sitemapUrl }) {
-  // Strip CR/LF from each path so a value like "/foo\nDisallow: /" cannot
-  // smuggle additional directives into the generated file. userAgent gets
-  // the same treatment for the same reason.
-  const safeUserAgent = sanitizeRobotsValue(userAgent);
-  const safePaths = disallowPaths.map(sanitizeRobotsValue).filter((p) => p !== '');
-  const disallowDirectives = safePaths.length > 0 ? safePaths.map((p) => `Disallow: ${p}`).join('\n') : 'Disallow:';
-
-  return `User-agent: ${safeUserAgent}
-${disallowDirectives}
-
-Sitemap: ${sitemapUrl}
-`;
+function isMovedSitemap(url, own) {
+  if (!URL.canParse(url) || !URL.canParse(own)) {
+    return false;
+  }
+  const listed = new URL(url);
+  const current = new URL(own);
+  const host = (value) => value.hostname.replace(/^www\./, '');
+  return listed.origin !== current.origin && host(listed) === host(current) && listed.pathname === current.pathname;
 }
 
 /**
- * Removes characters that would break the line-oriented robots.txt format.
- * @param {*} value - Raw value (will be coerced to string)
- * @returns {string} Sanitized single-line value
+ * Warns about paths a group of the existing file both allows and disallows.
+ * Crawlers resolve the tie in favour of Allow, which is rarely what was meant.
+ * @param {import('../utils/robots-txt.js').RobotsFile} robots - Parsed file
+ */
+function warnConflicts(robots) {
+  for (const group of robots.groups) {
+    for (const path of group.allow.filter((allowed) => group.disallow.includes(allowed))) {
+      warn(`robots.txt conflict for User-agent ${group.userAgent.join(', ')}: ${path} is both allowed and disallowed`);
+    }
+  }
+}
+
+/**
+ * Adds a configured group's rules to the existing group sharing one of its
+ * user agents, or appends the group when no existing group does. A rule whose
+ * path the existing group already lists under the opposite directive is
+ * skipped with a warning: with equally specific rules crawlers let Allow win,
+ * so adding the Disallow would look effective without being so.
+ * @param {import('../utils/robots-txt.js').RobotsFile} robots - Parsed file, updated in place
+ * @param {import('../utils/robots-txt.js').RobotsGroup} group - Configured group
+ * @param {Object} [edits] - Edits for `editRobots`, updated in place; without them only `robots` changes
+ * @returns {Array<string>} Descriptions of the changes made
+ */
+function mergeGroup(robots, group, edits) {
+  const agents = [].concat(group.userAgent);
+  const allow = group.allow || [];
+  const disallow = group.disallow || [];
+  if (allow.length === 0 && disallow.length === 0) {
+    return [];
+  }
+
+  const target = robots.groups.find((existing) =>
+    existing.userAgent.some((agent) => agents.some((wanted) => wanted.toLowerCase() === agent.toLowerCase()))
+  );
+  if (!target) {
+    const added = { userAgent: agents, allow: [...allow], disallow: [...disallow], crawlDelay: group.crawlDelay };
+    robots.groups.push(added);
+    edits?.groups.push(added);
+    return [`added group for ${agents.join(', ')}`];
+  }
+
+  const changes = [];
+  const addRules = (field, opposite, paths) => {
+    for (const path of paths) {
+      if (target[field].includes(path)) {
+        continue;
+      }
+      if (target[opposite].includes(path)) {
+        warn(
+          `robots.txt conflict for User-agent ${target.userAgent.join(', ')}: ${path} is configured as ${field} but the existing file has it as ${opposite}; keeping the existing rule`
+        );
+        continue;
+      }
+      target[field].push(path);
+      // Groups appended by this merge are written whole at the end
+      if (edits && target.line !== undefined) {
+        edits.insert.set(target.line, [
+          ...(edits.insert.get(target.line) || []),
+          [field === 'allow' ? 'Allow' : 'Disallow', path]
+        ]);
+      }
+      changes.push(`added ${field === 'allow' ? 'Allow' : 'Disallow'} ${path} for ${target.userAgent.join(', ')}`);
+    }
+  };
+  addRules('allow', 'disallow', allow);
+  addRules('disallow', 'allow', disallow);
+  return changes;
+}
+
+/**
+ * Collects the URL paths of private pages, anchored with `$` so that
+ * disallowing `blog/index.html` (`/blog/`) does not also block the posts
+ * below it.
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} metalsmith - Metalsmith instance
+ * @param {Object} options - Options
+ * @param {string} options.hostname - Base hostname
+ * @param {string} options.pattern - Pages to check
+ * @param {string} options.privateProperty - Frontmatter flag of private pages
+ * @param {Object} [options.urlPolicy] - URL policy
+ * @returns {Array<string>} Disallow paths, sorted
  */
-function sanitizeRobotsValue(value) {
-  return String(value ?? '').replace(/[\r\n]+/g, '');
+function findPrivatePaths(files, metalsmith, { hostname, pattern, privateProperty, urlPolicy }) {
+  return metalsmith
+    .match(pattern, Object.keys(files))
+    .filter((file) => get(files[file], privateProperty))
+    .map((file) => `${new URL(toUri(policyUrl(file, hostname, urlPolicy || {}))).pathname}$`)
+    .sort();
 }
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview security.txt generation (RFC 9116) for Metalsmith SEO
+ * Writes `.well-known/security.txt` from configuration and merges into one
+ * that already exists in the source
+ */
+
+import { warn } from '../utils/logger.js';
+import { toUri } from '../utils/uri.js';
+import { parseFieldLines, sanitizeLineValue } from '../utils/line-format.js';
+
+/**
+ * Fields in the order they are written, with the option that feeds each.
+ * Expires and Canonical are computed.
+ */
+const FIELDS = [
+  ['Contact', 'contact'],
+  ['Expires', null],
+  ['Encryption', 'encryption'],
+  ['Acknowledgments', 'acknowledgments'],
+  ['Preferred-Languages', 'preferredLanguages'],
+  ['Canonical', null],
+  ['Policy', 'policy'],
+  ['Hiring', 'hiring']
+];
+
+/** Fields that appear at most once. */
+const SINGLE_FIELDS = ['expires', 'preferred-languages'];
+
+/**
+ * @typedef {Object} SecurityTxtOptions
+ * @property {string} hostname - Base hostname, used for the Canonical field
+ * @property {string} [output='.well-known/security.txt'] - Output path
+ * @property {string|Array<string>} [contact] - Contact URIs; bare email addresses get `mailto:`
+ * @property {number} [expiresInDays=180] - Days from build time until Expires (RFC 9116 recommends under a year)
+ * @property {string|Array<string>} [encryption] - Key URIs
+ * @property {string|Array<string>} [acknowledgments] - Hall of fame URIs
+ * @property {string|Array<string>} [preferredLanguages] - Language tags (e.g. `['en', 'de']`)
+ * @property {boolean} [canonical=true] - Add a Canonical field for the output URL
+ * @property {string|Array<string>} [policy] - Disclosure policy URIs
+ * @property {string|Array<string>} [hiring] - Security job URIs
+ * @property {Date} [now=new Date()] - Build time
+ */
+
+/**
+ * Writes security.txt, or merges into an existing one: its fields stay,
+ * configured values that are missing are added, and Expires is always
+ * renewed from the build time, so a regularly built site never serves an
+ * expired file. A PGP-signed file is left alone, since any change would
+ * break the signature.
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} metalsmith - Metalsmith instance
+ * @param {SecurityTxtOptions} options - Configuration options
+ * @returns {void}
+ * @throws {Error} When the result has no Contact field
+ */
+export function processSecurityTxt(files, _metalsmith, options) {
+  const {
+    hostname,
+    output = '.well-known/security.txt',
+    expiresInDays = 180,
+    canonical = true,
+    now = new Date()
+  } = options;
+
+  const existing = files[output]?.contents.toString();
+  if (existing?.includes('-----BEGIN PGP SIGNED MESSAGE-----')) {
+    warn(`${output} is PGP-signed; left unchanged (renew its Expires field before signing)`);
+    return;
+  }
+
+  const fields = parseFieldLines(existing || '');
+  const expires = new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000);
+  const configured = {
+    ...options,
+    contact: [].concat(options.contact ?? []).map(normalizeContact),
+    preferredLanguages: options.preferredLanguages && [].concat(options.preferredLanguages).join(', ')
+  };
+
+  for (const [field, key] of FIELDS) {
+    let values = key ? [].concat(configured[key] ?? []) : [];
+    if (field === 'Expires') {
+      values = [expires.toISOString().replace(/\.\d{3}Z$/, 'Z')];
+    } else if (field === 'Canonical' && canonical) {
+      values = [toUri(`${String(hostname || '').replace(/\/$/, '')}/${output}`)];
+    }
+    mergeField(fields, field, values, output);
+  }
+
+  if (!fields.some(([field]) => field.toLowerCase() === 'contact')) {
+    throw new Error('[metalsmith-seo] securityTxt.contact is required (RFC 9116)');
+  }
+
+  const order = FIELDS.map(([field]) => field.toLowerCase());
+  const rank = (field) => {
+    const index = order.indexOf(field.toLowerCase());
+    return index === -1 ? order.length : index;
+  };
+  const lines = fields
+    .map((pair, index) => ({ pair, index }))
+    .sort((a, b) => rank(a.pair[0]) - rank(b.pair[0]) || a.index - b.index)
+    .map(({ pair: [field, value] }) => `${sanitizeLineValue(field)}: ${sanitizeLineValue(value)}`);
+
+  files[output] = { contents: Buffer.from(`${lines.join('\n')}\n`, 'utf-8') };
+}
+
+/**
+ * Adds configured values of one field. Expires is replaced; for the other
+ * single-valued field an existing value wins and a differing configured one
+ * is reported.
+ * @param {Array<Array<string>>} fields - `[field, value]` pairs, updated in place
+ * @param {string} field - Field name
+ * @param {Array<string>} values - Configured values
+ * @param {string} output - File name for warnings
+ */
+function mergeField(fields, field, values, output) {
+  const name = field.toLowerCase();
+  const present = fields.filter(([existing]) => existing.toLowerCase() === name);
+
+  if (name === 'expires') {
+    fields.splice(0, fields.length, ...fields.filter((pair) => !present.includes(pair)));
+  } else if (SINGLE_FIELDS.includes(name) && present.length > 0) {
+    if (values.length > 0 && present[0][1] !== values[0]) {
+      warn(`${output}: keeping existing ${field} "${present[0][1]}" over configured "${values[0]}"`);
+    }
+    return;
+  }
+
+  for (const value of values.map(sanitizeLineValue).filter(Boolean)) {
+    if (!fields.some(([existing, current]) => existing.toLowerCase() === name && current === value)) {
+      fields.push([field, value]);
+    }
+  }
+}
+
+/**
+ * Turns a bare email address into a `mailto:` URI.
+ * @param {string} contact - Contact value
+ * @returns {string} Contact URI
+ */
+function normalizeContact(contact) {
+  const value = String(contact).trim();
+  return /^[^:@/\s]+@[^@\s]+$/.test(value) ? `mailto:${value}` : value;
+}
@@ -0,0 +1,222 @@
+/**
+ * @fileoverview Rule-based SEO linter over the head pass results.
+ *
+ * Each rule looks at one page's extracted metadata, the tags generated for
+ * it and its final HTML, and returns a message when something is off. Rules
+ * have a default severity (`'off'`, `'warn'` or `'error'`) that can be
+ * changed site-wide, per glob, or per page with `seo.lint` in frontmatter.
+ * Linting only collects findings; `reportLintFindings` logs the warnings
+ * and fails the build on errors. The plugin calls it after the SEO report
+ * is written, so a failing build still leaves the report of every finding.
+ */
+
+import { warn } from '../utils/logger.js';
+import { aggregateError } from '../utils/errors.js';
+import { get } from '../utils/object-utils.js';
+import { collectImagesWithoutAlt } from '../utils/html-reader.js';
+import { validateJsonLd } from '../generators/jsonld-generator.js';
+import { validateSeoConfig } from './head-optimizer.js';
+
+const SEVERITIES = ['off', 'warn', 'error'];
+
+/**
+ * @typedef {Object} LintContext
+ * @property {string} file - File path
+ * @property {Object} frontmatter - File metadata and frontmatter
+ * @property {Object} metadata - Extracted metadata
+ * @property {Object} generated - Generated tags (`meta`, `openGraph`, `twitter`, `jsonLd`)
+ * @property {string} html - Final page HTML
+ * @property {string} seoProperty - Frontmatter property containing SEO data
+ */
+
+/**
+ * Built-in rules. `check` returns a message, or nothing when the page passes.
+ * @type {Object<string, {severity: string, check: function(LintContext): (string|undefined)}>}
+ */
+export const LINT_RULES = {
+  'title-untitled': {
+    severity: 'error',
+    check: ({ metadata }) => (metadata.title === 'Untitled' ? 'title fell back to "Untitled"' : undefined)
+  },
+  'title-length': {
+    severity: 'warn',
+    check: ({ generated }) => lengthMessage('title', generated.meta.title, 10, 60)
+  },
+  'description-missing': {
+    severity: 'warn',
+    check: ({ metadata }) => (metadata.description ? undefined : 'no meta description')
+  },
+  'description-length': {
+    severity: 'warn',
+    check: ({ metadata }) => metadata.description && lengthMessage('description', metadata.description, 50, 160)
+  },
+  'og-image-missing': {
+    severity: 'warn',
+    check: ({ generated }) =>
+      generated.openGraph.metaTags.some((tag) => tag.property === 'og:image') ? undefined : 'no og:image'
+  },
+  'img-alt-missing': {
+    severity: 'warn',
+    check: ({ html }) => {
+      const images = collectImagesWithoutAlt(html);
+      return images.length > 0 ? `${images.length} <img> without alt: ${images.slice(0, 3).join(', ')}` : undefined;
+    }
+  },
+  'canonical-relative': {
+    severity: 'error',
+    check: ({ frontmatter, seoProperty }) => {
+      const canonical = get(frontmatter, `${seoProperty}.canonicalURL`);
+      return typeof canonical === 'string' && canonical && !/^https?:\/\//i.test(canonical)
+        ? `canonicalURL "${canonical}" is not absolute`
+        : undefined;
+    }
+  },
+  'article-publish-date': {
+    severity: 'warn',
+    check: ({ metadata }) =>
+      metadata.type === 'article' && !metadata.publishDate ? 'article without publishDate' : undefined
+  },
+  'jsonld-invalid': {
+    severity: 'warn',
+    check: ({ generated }) => {
+      const invalid = (generated.jsonLd?.schemas || []).filter((schema) => !validateJsonLd(schema));
+      return invalid.length > 0
+        ? `JSON-LD ${invalid.map((schema) => schema['@type'] || 'schema').join(', ')} missing required properties`
+        : undefined;
+    }
+  }
+};
+
+/**
+ * @typedef {Object} LintOptions
+ * @property {Object<string, string>} [rules={}] - Severity per rule name
+ * @property {Array<{pattern: string, rules: Object<string, string>}>} [overrides=[]] - Severities per glob,
+ *   later entries win
+ * @property {string} [seoProperty='seo'] - Frontmatter property containing SEO data (`seo.lint` per page)
+ * @property {Object} [siteConfig] - Plugin configuration, checked with `validateSeoConfig`
+ */
+
+/**
+ * Lints every page the head pass processed. The plugin configuration is
+ * checked first (`config-invalid`, a warning by default). Nothing is
+ * logged and no finding fails the build here; see `reportLintFindings`.
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} metalsmith - Metalsmith instance
+ * @param {LintOptions} options - Configuration options
+ * @param {Object} headResults - Head pass results keyed by file path
+ * @returns {Array<{file: string, rule: string, severity: string, message: string}>} Findings
+ * @throws {Error} When a severity or rule name is unknown
+ */
+export function lintSeo(files, metalsmith, options, headResults) {
+  const { rules = {}, overrides = [], seoProperty = 'seo', siteConfig } = options;
+
+  validateSeverities(rules, 'lint.rules');
+  overrides.forEach((override, index) => {
+    if (!override?.pattern) {
+      throw new Error(`[metalsmith-seo] lint.overrides[${index}] needs a pattern`);
+    }
+    validateSeverities(override.rules || {}, `lint.overrides[${index}].rules`);
+  });
+
+  const findings = [];
+  const configSeverity = rules['config-invalid'] || 'warn';
+  if (siteConfig && configSeverity !== 'off') {
+    for (const message of validateSeoConfig(siteConfig)) {
+      findings.push({ file: '(config)', rule: 'config-invalid', severity: configSeverity, message });
+    }
+  }
+
+  for (const file of Object.keys(headResults).sort()) {
+    const { metadata, generated } = headResults[file] || {};
+    if (!metadata || !generated) {
+      continue;
+    }
+
+    const pageRules = get(files[file], `${seoProperty}.lint`) || {};
+    validateSeverities(pageRules, `${file}: ${seoProperty}.lint`);
+    const severities = {
+      ...rules,
+      ...Object.assign(
+        {},
+        ...overrides.filter((override) => metalsmith.match(override.pattern, file).length > 0).map((o) => o.rules)
+      ),
+      ...pageRules
+    };
+
+    const context = {
+      file,
+      frontmatter: files[file],
+      metadata,
+      generated,
+      html: files[file].contents.toString(),
+      seoProperty
+    };
+    for (const [rule, { severity: defaultSeverity, check }] of Object.entries(LINT_RULES)) {
+      const severity = severities[rule] || defaultSeverity;
+      const message = severity === 'off' ? undefined : check(context);
+      if (message) {
+        findings.push({ file, rule, severity, message });
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Logs lint warnings and fails the build when any finding is an error.
+ * @param {Array<{file: string, rule: string, severity: string, message: string}>} findings - Findings
+ *   from `lintSeo`
+ * @throws {Error} When any finding has severity `'error'`
+ */
+export function reportLintFindings(findings) {
+  const errors = [];
+  for (const { file, rule, severity, message } of findings) {
+    if (severity === 'error') {
+      errors.push({ filePath: file, error: new Error(`[${rule}] ${message}`) });
+    } else {
+      warn(`${file}: [${rule}] ${message}`);
+    }
+  }
+  if (errors.length > 0) {
+    throw aggregateError(errors, 'SEO lint', 'error(s)');
+  }
+}
+
+/**
+ * Checks a severity map for unknown rules and values.
+ * @param {Object<string, string>} severities - Severity per rule name
+ * @param {string} source - Where the map came from, for messages
+ * @throws {Error} When a rule or severity is unknown
+ */
+function validateSeverities(severities, source) {
+  for (const [rule, severity] of Object.entries(severities)) {
+    if (rule !== 'config-invalid' && !Object.hasOwn(LINT_RULES, rule)) {
+      throw new Error(`[metalsmith-seo] Unknown lint rule "${rule}" in ${source}`);
+    }
+    if (!SEVERITIES.includes(severity)) {
+      throw new Error(
+        `[metalsmith-seo] ${source}["${rule}"] must be one of ${SEVERITIES.join(', ')} (got "${severity}")`
+      );
+    }
+  }
+}
+
+/**
+ * Describes a text outside a length range.
+ * @param {string} label - What the text is
+ * @param {string} text - Text to measure
+ * @param {number} min - Shortest acceptable length
+ * @param {number} max - Longest acceptable length
+ * @returns {string|undefined} Message, or nothing when the length is fine
+ */
+function lengthMessage(label, text, min, max) {
+  const length = String(text ?? '').length;
+  if (length < min) {
+    return `${label} is ${length} characters (recommended at least ${min})`;
+  }
+  if (length > max) {
+    return `${label} is ${length} characters (recommended at most ${max})`;
+  }
+  return undefined;
+}
@@ -0,0 +1,293 @@
+/**
+ * @fileoverview Per-page SEO report for content review.
+ *
+ * Runs after every other output, so it can say for each page the head pass
+ * processed what ended up in its `<head>` and where the page was listed:
+ * the sitemap, llms.txt and the lint findings. The same rows are written as
+ * JSON for tooling and as a standalone HTML table (inline styles and
+ * script, no external assets) that editors can sort and filter.
+ */
+
+import { escapeHtml } from '../utils/escape.js';
+import { policyUrl } from '../utils/url-policy.js';
+
+/**
+ * @typedef {Object} ReportPage
+ * @property {string} file - Source file path
+ * @property {string} url - The page's own URL
+ * @property {string} title - Final `<title>`
+ * @property {string} description - Meta description
+ * @property {string} canonical - Canonical URL
+ * @property {string} robots - Robots directive
+ * @property {string} type - Detected content type
+ * @property {number} wordCount - Words in the page
+ * @property {number|null} readingTime - Estimated reading time in minutes
+ * @property {Array<string>} jsonLdTypes - `@type` of every JSON-LD schema emitted
+ * @property {boolean|null} sitemap - Listed in the sitemap; `null` when no sitemap was written
+ * @property {string} [sitemapExclusion] - Why an indexable-looking page was left out (`noindex`, `canonical`)
+ * @property {boolean|null} llms - Listed in llms.txt; `null` when no llms.txt was written
+ * @property {Array<{rule: string, severity: string, message: string}>|null} lint - Lint findings;
+ *   `null` when the lint pass did not run
+ */
+
+/**
+ * @typedef {Object} ReportOptions
+ * @property {string} hostname - Base hostname
+ * @property {Object} [urlPolicy] - URL policy, for each page's own URL
+ * @property {string|false} [output='seo-report.json'] - JSON report path, `false` for none
+ * @property {string|false} [html='seo-report.html'] - HTML report path, `false` for none
+ * @property {import('./sitemap.js').SitemapResult} [sitemap] - Sitemap result, when one was written
+ * @property {{listed: Array<string>}} [llms] - llms.txt result, when one was written
+ * @property {Array<{file: string, rule: string, severity: string, message: string}>} [lint] - Lint
+ *   findings, when the lint pass ran
+ */
+
+/**
+ * Builds the report rows from the head pass results and writes the JSON and
+ * HTML reports into the build.
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} metalsmith - Metalsmith instance
+ * @param {ReportOptions} options - Configuration options
+ * @param {Object} headResults - Head pass results keyed by file path
+ * @returns {{summary: Object, site: Array<Object>, pages: Array<ReportPage>}} The report
+ */
+export function writeSeoReport(files, _metalsmith, options, headResults) {
+  const { hostname, urlPolicy, output = 'seo-report.json', html = 'seo-report.html', sitemap, llms, lint } = options;
+
+  const inSitemap = new Set(sitemap?.listed || []);
+  const exclusions = new Map((sitemap?.excluded || []).map((exclusion) => [exclusion.file, exclusion.reason]));
+  const inLlms = new Set(llms?.listed || []);
+
+  const pages = [];
+  for (const file of Object.keys(headResults).sort()) {
+    const { metadata, generated } = headResults[file] || {};
+    if (!metadata || !generated) {
+      continue;
+    }
+
+    pages.push({
+      file,
+      url: policyUrl(file, hostname, urlPolicy || {}),
+      title: generated.meta.title || '',
+      description: metadata.description || '',
+      canonical: metadata.canonicalURL || '',
+      robots: generated.meta.metaTags.find((tag) => tag.name === 'robots')?.content || '',
+      type: metadata.type || '',
+      wordCount: metadata.wordCount || 0,
+      readingTime: metadata.readingTime || null,
+      jsonLdTypes: (generated.jsonLd?.schemas || []).flatMap((schema) => schema['@type'] || []),
+      sitemap: sitemap ? inSitemap.has(file) : null,
+      ...(exclusions.has(file) ? { sitemapExclusion: exclusions.get(file) } : {}),
+      llms: llms ? inLlms.has(file) : null,
+      lint: lint ? pickFindings(lint, file) : null
+    });
+  }
+
+  const count = (severity) => (lint ? lint.filter((finding) => finding.severity === severity).length : null);
+  const report = {
+    summary: {
+      pages: pages.length,
+      sitemap: sitemap ? pages.filter((page) => page.sitemap).length : null,
+      llms: llms ? pages.filter((page) => page.llms).length : null,
+      errors: count('error'),
+      warnings: count('warn')
+    },
+    site: lint ? pickFindings(lint, '(config)') : [],
+    pages
+  };
+
+  if (output) {
+    files[output] = { contents: Buffer.from(`${JSON.stringify(report, null, 2)}\n`, 'utf-8') };
+  }
+  if (html) {
+    files[html] = { contents: Buffer.from(renderHtml(report), 'utf-8') };
+  }
+
+  return report;
+}
+
+/**
+ * Lint findings for one file, without the file path.
+ * @param {Array<Object>} findings - All findings
+ * @param {string} file - File path
+ * @returns {Array<{rule: string, severity: string, message: string}>} Findings for the file
+ */
+function pickFindings(findings, file) {
+  return findings
+    .filter((finding) => finding.file === file)
+    .map(({ rule, severity, message }) => ({ rule, severity, message }));
+}
+
+const STYLE = `
+body { font: 14px/1.4 system-ui, sans-serif; margin: 1.5rem; color: #1f2328; }
+h1 { font-size: 1.4rem; margin: 0 0 .5rem; }
+.controls { display: flex; gap: 1rem; align-items: center; margin: 1rem 0; }
+.controls input[type=search] { padding: .35rem .5rem; min-width: 20rem; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border-bottom: 1px solid #d0d7de; padding: .4rem .5rem; text-align: left; vertical-align: top; }
+th { position: sticky; top: 0; background: #f6f8fa; cursor: pointer; white-space: nowrap; user-select: none; }
+th[aria-sort=ascending]::after { content: " \\25B2"; }
+th[aria-sort=descending]::after { content: " \\25BC"; }
+td.num { text-align: right; }
+td.long { max-width: 24rem; overflow-wrap: anywhere; }
+.no { color: #9a6700; }
+.findings { margin: 0; padding-left: 1rem; }
+.error { color: #cf222e; }
+.warn { color: #9a6700; }
+`;
+
+// Sorts on header click (numbers compare numerically) and filters rows on
+// their text; kept dependency-free so the report opens from disk
+const SCRIPT = `
+(() => {
+  const table = document.getElementById('report');
+  const body = table.tBodies[0];
+  const rows = [...body.rows];
+  const filter = document.getElementById('filter');
+  const onlyFindings = document.getElementById('only-findings');
+  const apply = () => {
+    const query = filter.value.trim().toLowerCase();
+    for (const row of rows) {
+      const matches = !query || row.textContent.toLowerCase().includes(query);
+      row.hidden = !matches || (onlyFindings.checked && row.dataset.findings === '0');
+    }
+  };
+  filter.addEventListener('input', apply);
+  onlyFindings.addEventListener('change', apply);
+  const headers = [...table.tHead.rows[0].cells];
+  headers.forEach((th, index) => {
+    th.addEventListener('click', () => {
+      const direction = th.getAttribute('aria-sort') === 'ascending' ? -1 : 1;
+      for (const other of headers) {
+        other.removeAttribute('aria-sort');
+      }
+      th.setAttribute('aria-sort', direction === 1 ? 'ascending' : 'descending');
+      const key = (row) => row.cells[index].textContent.trim();
+      rows.sort((a, b) => direction * key(a).localeCompare(key(b), undefined, { numeric: true }));
+      body.append(...rows);
+    });
+  });
+})();
+`;
+
+const COLUMNS = [
+  'Page',
+  'Title',
+  'Description',
+  'Canonical',
+  'Robots',
+  'Type',
+  'Words',
+  'Reading (min)',
+  'JSON-LD',
+  'Sitemap',
+  'llms.txt',
+  'Lint'
+];
+
+/**
+ * Renders the report as a standalone HTML page.
+ * @param {Object} report - Report from `writeSeoReport`
+ * @returns {string} HTML document
+ */
+function renderHtml({ summary, site, pages }) {
+  const parts = [`${summary.pages} page(s)`];
+  if (summary.sitemap !== null) {
+    parts.push(`${summary.sitemap} in the sitemap`);
+  }
+  if (summary.llms !== null) {
+    parts.push(`${summary.llms} in llms.txt`);
+  }
+  if (summary.errors !== null) {
+    parts.push(`${summary.errors} lint error(s)`, `${summary.warnings} lint warning(s)`);
+  }
+
+  const siteFindings = site.length > 0 ? `<p>Site configuration:</p>\n${renderFindings(site)}\n` : '';
+  const rows = pages.map(renderRow).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex,nofollow">
+<title>SEO report</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<h1>SEO report</h1>
+<p>${escapeHtml(parts.join(' · '))}</p>
+${siteFindings}<div class="controls">
+<input type="search" id="filter" placeholder="Filter pages" aria-label="Filter pages">
+<label><input type="checkbox" id="only-findings"> Only pages with lint findings</label>
+</div>
+<table id="report">
+<thead><tr>${COLUMNS.map((column) => `<th scope="col">${escapeHtml(column)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows}
+</tbody>
+</table>
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Renders one table row.
+ * @param {ReportPage} page - Report row
+ * @returns {string} `<tr>` element
+ */
+function renderRow(page) {
+  const cells = [
+    `<a href="${escapeHtml(page.url)}">${escapeHtml(page.file)}</a>`,
+    escapeHtml(page.title),
+    escapeHtml(page.description),
+    escapeHtml(page.canonical),
+    escapeHtml(page.robots),
+    escapeHtml(page.type),
+    String(page.wordCount),
+    page.readingTime === null ? '' : String(page.readingTime),
+    escapeHtml(page.jsonLdTypes.join(', ')),
+    renderListed(page.sitemap, page.sitemapExclusion),
+    renderListed(page.llms),
+    page.lint ? renderFindings(page.lint) : ''
+  ];
+  const classes = ['', 'long', 'long', 'long', '', '', 'num', 'num', '', '', '', 'long'];
+  const tds = cells.map((cell, index) =>
+    classes[index] ? `<td class="${classes[index]}">${cell}</td>` : `<td>${cell}</td>`
+  );
+  return `<tr data-findings="${page.lint ? page.lint.length : 0}">${tds.join('')}</tr>`;
+}
+
+/**
+ * Renders a listed/not listed cell.
+ * @param {boolean|null} listed - Whether the page was listed; `null` when the output was not written
+ * @param {string} [reason] - Why the page was left out
+ * @returns {string} Cell HTML
+ */
+function renderListed(listed, reason) {
+  if (listed === null) {
+    return '';
+  }
+  if (listed) {
+    return 'yes';
+  }
+  return `<span class="no">no${reason ? ` (${escapeHtml(reason)})` : ''}</span>`;
+}
+
+/**
+ * Renders lint findings as a list.
+ * @param {Array<{rule: string, severity: string, message: string}>} findings - Findings
+ * @returns {string} `<ul>` element, or an empty string
+ */
+function renderFindings(findings) {
+  if (findings.length === 0) {
+    return '';
+  }
+  const items = findings.map(
+    ({ rule, severity, message }) =>
+      `<li class="${escapeHtml(severity)}">${escapeHtml(rule)}: ${escapeHtml(message)}</li>`
+  );
+  return `<ul class="findings">${items.join('')}</ul>`;
+}
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Automatic hreflang alternates for the sitemap and the head.
+ *
+ * Groups translated pages and gives every member of a group the same set of
+ * alternates, so the annotations are reciprocal by construction. Pages are
+ * considered translations of each other when they share a translation key
+ * frontmatter value, or otherwise when their paths match once the locale
+ * prefix (`de/about.html` → `about.html`) is removed. The sitemap writes the
+ * groups as `xhtml:link` elements, the head pass (see hreflang.js) as
+ * `<link rel="alternate" hreflang>` tags.
+ */
+
+import { detectLocale, localesMatch } from '../utils/locale.js';
+import { warn } from '../utils/logger.js';
+import { absoluteUrl } from '../utils/uri.js';
+
+/**
+ * @typedef {Object} TranslatablePage
+ * @property {string} file - File path relative to source directory
+ * @property {Object} frontmatter - File metadata and frontmatter
+ * @property {Object} entry - Sitemap entry for the page (receives `links`)
+ */
+
+/**
+ * @typedef {Object} GroupingOptions
+ * @property {Array<string>} [locales] - Known locale path prefixes
+ * @property {string} [defaultLocale] - Locale of unprefixed pages and the x-default target
+ * @property {string} translationKey - Frontmatter property that groups translations explicitly
+ */
+
+/**
+ * Assigns reciprocal hreflang links, plus an `x-default` pointing at the
+ * default-locale member, to every page that has at least one translation.
+ * Entries that already carry hand-written links keep them.
+ *
+ * @param {Array<TranslatablePage>} pages - Pages in sitemap order
+ * @param {GroupingOptions & {hostname: string}} options - Grouping options
+ * @returns {void}
+ */
+export function assignAlternates(pages, options) {
+  const { hostname, defaultLocale = '' } = options;
+  const candidates = pages.map((page) => ({ ...page, url: absoluteUrl(page.entry.url, hostname) }));
+
+  for (const members of groupTranslations(candidates, options)) {
+    const links = buildHreflangLinks(members, defaultLocale);
+    for (const { entry } of members) {
+      if (!Array.isArray(entry.links) || entry.links.length === 0) {
+        entry.links = links;
+      }
+    }
+  }
+}
+
+/**
+ * Groups pages that are translations of each other. A page whose locale is
+ * already taken in its group is left out with a warning.
+ * @param {Array<{file: string, frontmatter: Object, url: string}>} pages - Candidate pages, in order
+ * @param {GroupingOptions} options - Grouping options
+ * @returns {Array<Array<Object>>} Groups of two or more pages, each page extended with its `locale`
+ */
+export function groupTranslations(pages, options) {
+  const { locales, defaultLocale = '', translationKey } = options;
+  const groups = new Map();
+
+  for (const page of pages) {
+    const locale = detectLocale(page.file, page.frontmatter, locales) || defaultLocale;
+    if (!locale) {
+      continue;
+    }
+
+    const explicitKey = page.frontmatter[translationKey];
+    const key =
+      explicitKey !== undefined && explicitKey !== null && explicitKey !== ''
+        ? `key:${explicitKey}`
+        : `path:${stripLocalePrefix(page.file, locale, locales)}`;
+
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    const members = groups.get(key);
+    if (members.some((member) => member.locale === locale)) {
+      warn(`Ignored ${page.file} as a ${locale} alternate: the locale is already taken in its translation group`);
+      continue;
+    }
+    members.push({ ...page, locale });
+  }
+
+  return [...groups.values()].filter((members) => members.length > 1);
+}
+
+/**
+ * Builds the links every member of a translation group carries: one per
+ * member, itself included, plus `x-default` for the default-locale member.
+ * @param {Array<{locale: string, url: string}>} members - Group members
+ * @param {string} [defaultLocale] - Locale the x-default link points at
+ * @returns {Array<{lang: string, url: string}>} hreflang links
+ */
+export function buildHreflangLinks(members, defaultLocale = '') {
+  const links = members.map((member) => ({ lang: toHreflang(member.locale), url: member.url }));
+  const fallback = members.find((member) => localesMatch(member.locale, defaultLocale));
+  if (fallback) {
+    links.push({ lang: 'x-default', url: fallback.url });
+  }
+  return links;
+}
+
+/**
+ * Removes a leading locale directory so translations share a path key.
+ * @param {string} file - File path
+ * @param {string} locale - Detected locale of the file
+ * @param {Array<string>} [locales] - Known locale path prefixes
+ * @returns {string} Path relative to the locale root
+ */
+function stripLocalePrefix(file, locale, locales) {
+  const [first, ...rest] = file.split(/[\\/]/);
+  const isPrefix = first === locale || (Array.isArray(locales) && locales.includes(first));
+  return rest.length > 0 && isPrefix ? rest.join('/') : file.replace(/\\/g, '/');
+}
+
+/**
+ * Converts a locale id to an hreflang value (`en_US` → `en-US`).
+ * @param {string} locale - Locale id
+ * @returns {string} hreflang value
+ */
+export function toHreflang(locale) {
+  return locale.replace(/_/g, '-');
+}
@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Image and video collection for the sitemap media extensions.
+ *
+ * Both collectors combine three sources for one page: what the head pass
+ * already resolved (social image, title, description), structured
+ * frontmatter, and media embedded in the page body. Returned URLs are
+ * absolute; validation problems are reported through the shared warning
+ * channel and the offending entry is dropped rather than emitted invalid.
+ */
+
+import { get } from '../utils/object-utils.js';
+import { collectImageSources, collectMediaEmbeds } from '../utils/html-reader.js';
+import { warn } from '../utils/logger.js';
+import { absoluteUrl } from '../utils/uri.js';
+
+// Google's image sitemap extension accepts at most 1,000 images per URL
+const MAX_IMAGES_PER_URL = 1000;
+
+// Limits from Google's video sitemap extension
+const MAX_VIDEO_DESCRIPTION_LENGTH = 2048;
+const MAX_VIDEO_DURATION_SECONDS = 28800;
+
+// Iframe hosts recognised as video players, with an optional offline
+// thumbnail derivation for hosts that publish predictable thumbnail URLs
+const VIDEO_PLAYERS = [
+  {
+    pattern: /^https?:\/\/(?:www\.)?(?:youtube\.com|youtube-nocookie\.com)\/embed\/([\w-]+)/i,
+    thumbnail: (id) => `https://i.ytimg.com/vi/${id}/hqdefault.jpg`
+  },
+  {
+    pattern: /^https?:\/\/player\.vimeo\.com\/video\/(\d+)/i
+  }
+];
+
+/**
+ * @typedef {Object} SitemapVideo
+ * @property {string} thumbnailLoc - Absolute thumbnail URL
+ * @property {string} title - Video title
+ * @property {string} description - Video description (max 2048 characters)
+ * @property {string} [contentLoc] - Absolute URL of the media file
+ * @property {string} [playerLoc] - Absolute URL of the embeddable player
+ * @property {number} [duration] - Duration in seconds (1 to 28800)
+ * @property {string} [publicationDate] - ISO 8601 publication date
+ */
+
+/**
+ * Collects the absolute, de-duplicated image URLs for one page.
+ *
+ * Frontmatter images follow the same convention as the social image and are
+ * resolved against the site root; `<img>` sources in the body are resolved
+ * against the page URL, the way a browser would.
+ *
+ * @param {Object} frontmatter - File metadata and frontmatter
+ * @param {Object} metadata - Metadata extracted for the page (without site defaults)
+ * @param {string} pageUrl - Absolute URL of the page
+ * @param {Object} options - Collection options
+ * @param {string} options.hostname - Base hostname
+ * @param {string} options.imagesProperty - Frontmatter property holding additional images
+ * @returns {Array<string>} Absolute image URLs in discovery order
+ */
+export function collectPageImages(frontmatter, metadata, pageUrl, options) {
+  const { hostname, imagesProperty } = options;
+  const siteRoot = absoluteUrl('/', hostname);
+  const candidates = [];
+
+  // Social image as resolved for og:image (without the site-wide default)
+  if (metadata.image) {
+    candidates.push([metadata.image, siteRoot]);
+  }
+
+  // Additional images listed in frontmatter, as strings or { url } objects
+  for (const item of toArray(get(frontmatter, imagesProperty))) {
+    const src = typeof item === 'string' ? item : item?.url || item?.loc || item?.src;
+    if (typeof src === 'string' && src) {
+      candidates.push([rootRelative(src), siteRoot]);
+    }
+  }
+
+  // Images referenced in the page body
+  for (const src of collectImageSources(frontmatter.contents.toString())) {
+    candidates.push([src, pageUrl]);
+  }
+
+  const seen = new Set();
+  for (const [src, base] of candidates) {
+    const resolved = resolveHttpUrl(src, base);
+    if (resolved) {
+      seen.add(resolved);
+    }
+    if (seen.size >= MAX_IMAGES_PER_URL) {
+      break;
+    }
+  }
+
+  return [...seen];
+}
+
+/**
+ * Collects the validated video entries for one page.
+ *
+ * Sources, in order:
+ * 1. The `videosProperty` frontmatter array (or single object)
+ * 2. `seo.videoUrl`, the player URL the Twitter player card already uses
+ * 3. `<video>` elements and YouTube/Vimeo `<iframe>` embeds in the body
+ *
+ * Missing titles, descriptions and thumbnails fall back to the page's
+ * title, description and social image. Entries that still lack a required
+ * field (thumbnail, title, description, and a content or player URL) are
+ * dropped with a warning.
+ *
+ * @param {string} file - File path relative to source directory
+ * @param {Object} frontmatter - File metadata and frontmatter
+ * @param {Object} metadata - Metadata extracted for the page (without site defaults)
+ * @param {string} pageUrl - Absolute URL of the page
+ * @param {Object} options - Collection options
+ * @param {string} options.hostname - Base hostname
+ * @param {string} options.seoProperty - Frontmatter property containing SEO data
+ * @param {string} options.videosProperty - Frontmatter property holding video descriptors
+ * @returns {Array<SitemapVideo>} Valid video entries
+ */
+export function collectPageVideos(file, frontmatter, metadata, pageUrl, options) {
+  const { hostname, seoProperty, videosProperty } = options;
+  const siteRoot = absoluteUrl('/', hostname);
+  const candidates = [];
+
+  // Structured frontmatter descriptors
+  for (const item of toArray(get(frontmatter, videosProperty))) {
+    if (item && typeof item === 'object') {
+      candidates.push({
+        thumbnailLoc: resolveHttpUrl(rootRelative(item.thumbnail || item.thumbnailUrl), siteRoot),
+        title: item.title,
+        description: item.description,
+        contentLoc: resolveHttpUrl(rootRelative(item.contentUrl), siteRoot),
+        playerLoc: resolveHttpUrl(rootRelative(item.playerUrl), siteRoot),
+        duration: item.duration,
+        publicationDate: item.publicationDate
+      });
+    }
+  }
+
+  // The Twitter player card URL
+  const videoUrl = get(frontmatter, `${seoProperty}.videoUrl`);
+  if (typeof videoUrl === 'string' && videoUrl) {
+    candidates.push({ playerLoc: resolveHttpUrl(rootRelative(videoUrl), siteRoot) });
+  }
+
+  // Embedded players in the page body
+  for (const embed of collectMediaEmbeds(frontmatter.contents.toString())) {
+    const src = resolveHttpUrl(embed.src, pageUrl);
+    if (!src) {
+      continue;
+    }
+    if (embed.tag === 'video') {
+      candidates.push({
+        contentLoc: src,
+        thumbnailLoc: embed.poster ? resolveHttpUrl(embed.poster, pageUrl) : undefined,
+        title: embed.title
+      });
+      continue;
+    }
+    const player = VIDEO_PLAYERS.map((p) => ({ ...p, match: src.match(p.pattern) })).find((p) => p.match);
+    if (player) {
+      candidates.push({
+        playerLoc: src,
+        thumbnailLoc: player.thumbnail ? player.thumbnail(player.match[1]) : undefined,
+        title: embed.title
+      });
+    }
+  }
+
+  const videos = [];
+  const seen = new Set();
+  for (const candidate of candidates) {
+    const video = completeVideo(candidate, metadata);
+    const key = video.contentLoc || video.playerLoc;
+    if (key && seen.has(key)) {
+      continue;
+    }
+
+    const missing = ['thumbnailLoc', 'title', 'description'].filter((field) => !video[field]);
+    if (!video.contentLoc && !video.playerLoc) {
+      missing.push('contentLoc or playerLoc');
+    }
+    if (missing.length > 0) {
+      warn(`Skipped video in ${file} for the sitemap: missing ${missing.join(', ')}`);
+      continue;
+    }
+
+    seen.add(key);
+    videos.push(video);
+  }
+
+  return videos;
+}
+
+/**
+ * Fills page-level fallbacks into a video candidate and normalizes the
+ * optional fields, dropping (with a warning) values the protocol rejects.
+ * @param {Object} candidate - Raw video fields
+ * @param {Object} metadata - Page metadata used for fallbacks
+ * @returns {SitemapVideo} Completed video entry (not yet checked for required fields)
+ */
+function completeVideo(candidate, metadata) {
+  const video = {
+    thumbnailLoc: candidate.thumbnailLoc || metadata.image || undefined,
+    title: candidate.title || metadata.title || undefined,
+    description: String(candidate.description || metadata.description || '').slice(0, MAX_VIDEO_DESCRIPTION_LENGTH),
+    contentLoc: candidate.contentLoc || undefined,
+    playerLoc: candidate.playerLoc || undefined
+  };
+
+  if (candidate.duration !== undefined) {
+    const duration = Number(candidate.duration);
+    if (Number.isInteger(duration) && duration >= 1 && duration <= MAX_VIDEO_DURATION_SECONDS) {
+      video.duration = duration;
+    } else {
+      warn(`Ignored video duration "${candidate.duration}": expected whole seconds between 1 and 28800`);
+    }
+  }
+
+  if (candidate.publicationDate) {
+    const date = new Date(candidate.publicationDate);
+    if (Number.isNaN(date.getTime())) {
+      warn(`Ignored video publication date "${candidate.publicationDate}": not a valid date`);
+    } else {
+      video.publicationDate = date.toISOString();
+    }
+  }
+
+  return video;
+}
+
+/**
+ * Resolves a URL against a base and keeps it only if it is http(s).
+ * @param {string} src - Raw URL
+ * @param {string} base - Absolute base URL
+ * @returns {string|undefined} Absolute URL, or undefined if unusable
+ */
+function resolveHttpUrl(src, base) {
+  if (typeof src !== 'string' || !src) {
+    return undefined;
+  }
+  try {
+    const resolved = new URL(src, base);
+    return resolved.protocol === 'http:' || resolved.protocol === 'https:' ? resolved.href : undefined;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Treats scheme-less frontmatter paths as site-root relative, matching how
+ * the social image is resolved.
+ * @param {string} src - Raw path or URL
+ * @returns {string} Path with a leading slash, or the input if already absolute
+ */
+function rootRelative(src) {
+  if (typeof src !== 'string' || !src) {
+    return src;
+  }
+  return src.startsWith('/') || /^[a-z][a-z0-9+.-]*:/i.test(src) ? src : `/${src}`;
+}
+
+/**
+ * Normalizes a frontmatter value that may be a single item or a list.
+ * @param {*} value - Frontmatter value
+ * @returns {Array} List of items (empty when unset)
+ */
+function toArray(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return value ? [value] : [];
+}
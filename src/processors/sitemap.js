@@ -13,7 +13,10 @@
  * - Proper namespace declarations for sitemap and xhtml (when needed)
  * - XML character escaping for security (prevents XXE and other XML attacks)
  * - Support for all standard sitemap elements: loc, lastmod, changefreq, priority
- * - Support for alternate language links (hreflang) via xhtml:link elements
+ * - Support for alternate language links (hreflang) via xhtml:link elements,
+ *   hand-written or derived from page locales
+ * - Automatic splitting into a sitemap index once a sitemap exceeds the
+ *   protocol limits (50,000 URLs or 50 MB uncompressed per file)
  *
  * ## Attribution
  *
@@ -23,10 +26,28 @@
  */
 
 import path from 'node:path';
-import { get } from '../utils/object-utils.js';
-import { checkFile, buildUrl } from './url-builder.js';
-import { calculatePriority, calculateChangefreq } from './auto-calculator.js';
-import { generateSitemapXML } from '../utils/xml-generator.js';
+import { gzipSync } from 'node:zlib';
+import { get, omitUndefined } from '../utils/object-utils.js';
+import { checkFile, buildUrl, replaceBackslash, comparableUrl, getIndexingExclusion } from './url-builder.js';
+import { extractMetadata } from './metadata-extractor.js';
+import { collectPageImages, collectPageVideos } from './sitemap-media.js';
+import { assignAlternates } from './sitemap-alternates.js';
+import {
+  calculatePriority,
+  calculateLinkPriority,
+  calculateChangefreq,
+  findRuleValue,
+  validateRules
+} from './auto-calculator.js';
+import { generateSitemapXML, generateSitemapIndexXML, generateUrlXML } from '../utils/xml-generator.js';
+import { SITEMAP_XSL } from '../utils/sitemap-xsl.js';
+import { warn } from '../utils/logger.js';
+import { absoluteUrl, toUri } from '../utils/uri.js';
+
+// Per-file limits from the sitemaps.org protocol
+const MAX_URLS_PER_SITEMAP = 50000;
+const MAX_BYTES_PER_SITEMAP = 50 * 1024 * 1024;
+const PRIORITY_HEURISTICS = ['depth', 'links'];
 
 /**
  * @typedef {Object} SitemapOptions
@@ -35,6 +56,7 @@ import { generateSitemapXML } from '../utils/xml-generator.js';
  * @property {string} [links] - Property name to read additional links from file metadata
  * @property {'always'|'hourly'|'daily'|'weekly'|'monthly'|'yearly'|'never'} [changefreq] - Default change frequency
  * @property {boolean} [omitIndex] - Whether to omit index.html from URLs
+ * @property {import('../utils/url-policy.js').UrlPolicy} [urlPolicy] - Shared URL policy (replaces `omitIndex`)
  * @property {string} [output='sitemap.xml'] - Output filename for the sitemap
  * @property {string} [pattern] - Glob pattern to match files for inclusion (default: all HTML files)
  * @property {string|number} [priority] - Default priority for all URLs (0.0 to 1.0)
@@ -43,6 +65,59 @@ import { generateSitemapXML } from '../utils/xml-generator.js';
  * @property {string} [privateProperty='private'] - Property name to check if file should be excluded
  * @property {string} [priorityProperty='priority'] - Property name to read priority from file metadata
  * @property {boolean} [auto=false] - Enable automatic priority and changefreq calculation based on content analysis
+ * @property {Array<import('./auto-calculator.js').AutoRule>} [rules] - Ordered auto-mode rules, checked before the heuristics
+ * @property {boolean} [preferFrontmatter=false] - In auto mode, let frontmatter changefreq/priority win
+ * @property {'depth'|'links'} [priorityBy='depth'] - Auto-mode priority heuristic: URL depth, or
+ *   internal inbound links (see `calculateLinkPriority`)
+ * @property {Map<string, number>} [inboundLinks] - Inbound link count per file, for `priorityBy: 'links'`
+ * @property {number} [maxUrls=50000] - Maximum URLs per sitemap file before splitting into a sitemap index
+ * @property {number} [maxBytes=52428800] - Maximum uncompressed bytes per sitemap file before splitting
+ * @property {Map<string, Date>} [lastmods] - Dates resolved from `lastmodSource`, used when frontmatter has none
+ * @property {boolean|string} [stylesheet=false] - Emit the bundled `sitemap.xsl` (`true`) or reference
+ *   an existing stylesheet by href (string) for human-readable browser rendering
+ * @property {boolean|'only'} [gzip=false] - Also write `.gz` copies (`true`) or only gzipped files (`'only'`)
+ * @property {boolean} [images=false] - Emit `<image:image>` entries (image sitemap extension)
+ * @property {string} [imagesProperty='images'] - Frontmatter property holding additional page images
+ * @property {boolean} [videos=false] - Emit `<video:video>` entries (video sitemap extension)
+ * @property {string} [videosProperty='videos'] - Frontmatter property holding video descriptors
+ * @property {boolean} [alternates=false] - Derive reciprocal hreflang links from page locales
+ * @property {Array<string>} [locales] - Known locale path prefixes for alternate detection
+ * @property {string} [defaultLocale] - Locale of unprefixed pages and the `x-default` target
+ * @property {string} [translationKey='translationKey'] - Frontmatter property that groups translations
+ * @property {string} [defaultRobots] - Site-wide robots directive (`defaults.robots`), as the head pass applies it
+ * @property {string|false} [exclusionReport=false] - Write the excluded pages as JSON to this path
+ * @property {Array<AdditionalUrl>|Function} [additionalUrls] - Entries for URLs without a Metalsmith file, or an
+ *   (async) function `(files, metalsmith)` returning them
+ * @property {string} [seoProperty='seo'] - Frontmatter property containing SEO data (for page-level fallbacks)
+ * @property {Object} [fallbacks] - Fallback property mappings (for page-level fallbacks)
+ */
+
+/**
+ * @typedef {Object} AdditionalUrl
+ * @property {string} loc - Absolute URL, or a path resolved against the hostname
+ * @property {Date|string} [lastmod] - Last modified date
+ * @property {string} [changefreq] - Change frequency
+ * @property {number|string} [priority] - Priority (0.0 to 1.0)
+ * @property {Array<{lang: string, url: string}>} [alternates] - hreflang alternates
+ */
+
+/**
+ * @typedef {Object} SitemapResult
+ * @property {string} output - Path of the file crawlers should be pointed at
+ *   (the sitemap itself, or the sitemap index when the sitemap was split)
+ * @property {Array<string>} sitemaps - Paths of every urlset file that was written
+ *   (the gzipped paths when `gzip` is enabled)
+ * @property {Array<SitemapExclusion>} excluded - Pages left out because their head says not to index them
+ * @property {Array<string>} urls - Absolute, encoded URL of every listed page
+ * @property {Array<string>} listed - Source path of every listed page, in output order
+ */
+
+/**
+ * @typedef {Object} SitemapExclusion
+ * @property {string} file - Source file path
+ * @property {string} url - Absolute URL the page would have been listed under
+ * @property {'noindex'|'canonical'} reason - Why the page was left out
+ * @property {string} detail - The robots directive, or the canonical URL the page points at
  */
 
 /**
@@ -55,6 +130,71 @@ import { generateSitemapXML } from '../utils/xml-generator.js';
  * 4. Processes alternate language links (hreflang)
  * 5. Generates the final XML content and adds it to the files object
  *
+ * ## Indexing Exclusions
+ *
+ * The sitemap follows the head pass: pages whose robots directive contains
+ * `noindex` (`seo.noIndex`, `seo.robots` or `defaults.robots`) and pages
+ * whose explicit `seo.canonicalURL` points at a different URL are left out,
+ * so the sitemap never lists a URL the page itself disowns. Every exclusion
+ * is reported in the result's `excluded` list and, with `exclusionReport`,
+ * written to a JSON file.
+ *
+ * ## Additional URLs
+ *
+ * `additionalUrls` adds entries for URLs served by other systems on the same
+ * host, which have no file in the build. They are merged with the
+ * file-derived entries and sorted with them; an entry whose URL a page
+ * already provides is dropped, as is one on another host.
+ *
+ * ## Image Sitemap Extension
+ *
+ * With `images: true`, each entry lists the page's images as
+ * `<image:image><image:loc>` elements. Images are collected from the social
+ * image the head pass resolves (`seo.image`, `card.image`, the image
+ * fallback), the `imagesProperty` frontmatter array, and every `<img>` in the
+ * page body. The site-wide `defaults.socialImage` is not included because it
+ * does not appear on the page itself.
+ *
+ * ## Video Sitemap Extension
+ *
+ * With `videos: true`, each entry lists `<video:video>` blocks built from the
+ * `videosProperty` frontmatter, `seo.videoUrl` (the Twitter player URL), and
+ * `<video>` / YouTube / Vimeo embeds in the body. Missing titles,
+ * descriptions and thumbnails fall back to the page's own; videos that are
+ * still incomplete are skipped with a warning.
+ *
+ * ## Automatic hreflang Alternates
+ *
+ * With `alternates: true`, translated pages are grouped by their
+ * `translationKey` frontmatter value, or by their path once the locale
+ * prefix is removed, using the same locale detection as llms.txt. Every
+ * member of a group lists all members plus an `x-default` pointing at the
+ * `defaultLocale` version. Hand-written `links` take precedence.
+ *
+ * ## Sitemap Index Splitting
+ *
+ * When the entries exceed `maxUrls` or the serialized urlset would exceed
+ * `maxBytes`, the entries are split into numbered files next to the
+ * configured output (`sitemap-1.xml`, `sitemap-2.xml`, …) and a
+ * `<sitemapindex>` referencing them is written to the output path itself.
+ * Crawlers and robots.txt therefore always use the same entry point.
+ *
+ * ## Browser Stylesheet
+ *
+ * With `stylesheet: true`, the bundled XSL stylesheet is written as
+ * `sitemap.xsl` next to the output and every sitemap file (urlsets and
+ * index) carries an `<?xml-stylesheet?>` instruction pointing at it, so
+ * browsers render a sortable table instead of raw XML. A string value is
+ * used as the href of a stylesheet the site provides itself.
+ *
+ * ## Gzip Output
+ *
+ * With `gzip: true`, every sitemap file (urlsets and the index) is also
+ * written as a `.gz` copy compressed with node's zlib; with `gzip: 'only'`
+ * just the compressed files are written. Either way the `.gz` file is the
+ * primary one: the index and robots.txt reference it. Size limits still
+ * apply to the uncompressed XML, as the protocol requires.
+ *
  * ## File Processing Logic
  *
  * Files are processed in a specific order to ensure consistent output:
@@ -86,10 +226,17 @@ import { generateSitemapXML } from '../utils/xml-generator.js';
  * - Last modification date (recent = higher priority)
  * - Content length (longer = slightly higher priority)
  *
+ * With `priorityBy: 'links'` the depth heuristic is replaced by internal
+ * inbound link counts (`inboundLinks`, from the link checker).
+ *
+ * `rules` (glob or predicate → priority/changefreq) are consulted first and
+ * the heuristics fill whatever no rule sets. By default auto mode ignores
+ * frontmatter values; with `preferFrontmatter` they win over both.
+ *
  * @param {Object} files - Metalsmith files object containing all site files
  * @param {Object} metalsmith - Metalsmith instance for utilities like pattern matching
  * @param {SitemapOptions} options - Configuration options for sitemap generation
- * @returns {Promise<void>} Resolves when sitemap has been generated and added to files
+ * @returns {Promise<SitemapResult>} Resolves with the written sitemap paths once they have been added to files
  *
  * @example
  * // Basic usage
@@ -109,121 +256,437 @@ import { generateSitemapXML } from '../utils/xml-generator.js';
  * });
  */
 export function processSitemap(files, metalsmith, options) {
-  return new Promise((resolve, reject) => {
-    try {
-      const {
-        auto = false,
-        changefreq,
-        hostname,
-        lastmod,
-        links: linksOption,
-        omitIndex,
-        output = 'sitemap.xml',
-        pattern = '**/*.html',
-        priority,
-        urlProperty = 'canonical',
-        modifiedProperty = 'lastmod',
-        privateProperty = 'private',
-        priorityProperty = 'priority'
-      } = options;
-
-      const links = [];
-
-      // Custom sorting to ensure consistent output order
-      // Files in root directory come first, then subdirectories
-      const sortedFiles = Object.keys(files).sort((a, b) => {
-        const aDepth = a.split(path.sep).length;
-        const bDepth = b.split(path.sep).length;
-        if (aDepth !== bDepth) {
-          return aDepth - bDepth; // Shallower paths first
-        }
-        return a.localeCompare(b); // Alphabetical within same depth
-      });
-
-      sortedFiles.forEach(function (file) {
-        // Get the current file's frontmatter
-        const frontmatter = files[file];
-
-        // Validate file.contents is a Buffer before processing
-        if (!Buffer.isBuffer(frontmatter.contents)) {
-          return;
-        }
-
-        // Only process files that pass the check
-        if (!checkFile(file, frontmatter, metalsmith, pattern, privateProperty)) {
-          return;
-        }
-
-        // Get lastmod value and format it properly
-        let lastmodValue = get(frontmatter, modifiedProperty) || lastmod;
-        if (lastmodValue instanceof Date) {
-          // Format date as ISO string to match old library behavior
-          // The old sitemap library normalized times to midnight UTC
-          const d = new Date(lastmodValue);
-          d.setUTCHours(0, 0, 0, 0);
-          lastmodValue = d.toISOString();
-        } else if (typeof lastmodValue === 'string') {
-          // Parse the date string
-          const parsed = new Date(lastmodValue);
-          if (!Number.isNaN(parsed.getTime())) {
-            // Normalize to midnight UTC like the old library did
-            parsed.setUTCHours(0, 0, 0, 0);
-            lastmodValue = parsed.toISOString();
-          }
-        }
-
-        // Create the sitemap entry (reject keys with falsy values)
-        let entryChangefreq, entryPriority;
-
-        if (auto) {
-          /**
-           * Auto mode
-           * Calculate values, ignore global and frontmatter settings!
-           */
-          entryChangefreq = calculateChangefreq(file, frontmatter, {
-            modifiedProperty,
-            lastmod
-          });
-          entryPriority = calculatePriority(file);
-        } else {
-          /**
-           * Manual mode
-           * Use global defaults, allow frontmatter overrides
-           */
-          entryChangefreq = frontmatter.changefreq || changefreq;
-          entryPriority = get(frontmatter, priorityProperty) || priority;
-        }
-
-        const entry = Object.fromEntries(
-          Object.entries({
-            changefreq: entryChangefreq,
-            priority: entryPriority,
-            lastmod: lastmodValue,
-            links: linksOption ? get(frontmatter, linksOption) : undefined
-          }).filter(([value]) => value !== undefined)
-        );
-
-        // Add the url (which is allowed to be falsy)
-        entry.url = buildUrl(file, frontmatter, {
-          urlProperty,
-          omitIndex
+  const { additionalUrls = [] } = options;
+
+  // The head pass replaces file.contents while additionalUrls resolves, so
+  // pin every body now: entries, images and videos come from the pages as
+  // they were before their <head> was rewritten
+  const bodies = new Map(Object.keys(files).map((file) => [file, files[file].contents]));
+
+  return Promise.resolve()
+    .then(() => (typeof additionalUrls === 'function' ? additionalUrls(files, metalsmith) : additionalUrls))
+    .then((additional) => buildSitemap(files, metalsmith, options, additional || [], bodies))
+    .catch((error) => {
+      throw new Error(`Failed to generate sitemap: ${error.message}`);
+    });
+}
+
+/**
+ * Builds the sitemap entries and writes the sitemap files. The synchronous
+ * half of `processSitemap`, run once `additionalUrls` has been resolved.
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} metalsmith - Metalsmith instance
+ * @param {SitemapOptions} options - Sitemap options
+ * @param {Array<AdditionalUrl>} additional - Resolved additional entries
+ * @param {Map<string, Buffer>} bodies - Page bodies as they were when `processSitemap` was called
+ * @returns {SitemapResult} Written sitemap paths and exclusions
+ */
+function buildSitemap(files, metalsmith, options, additional, bodies) {
+  const {
+    auto = false,
+    rules = [],
+    preferFrontmatter = false,
+    priorityBy = 'depth',
+    inboundLinks = new Map(),
+    changefreq,
+    hostname,
+    lastmod,
+    links: linksOption,
+    omitIndex,
+    urlPolicy,
+    output = 'sitemap.xml',
+    pattern = '**/*.html',
+    priority,
+    urlProperty = 'canonical',
+    modifiedProperty = 'lastmod',
+    privateProperty = 'private',
+    priorityProperty = 'priority',
+    maxUrls = MAX_URLS_PER_SITEMAP,
+    maxBytes = MAX_BYTES_PER_SITEMAP,
+    gzip = false,
+    stylesheet = false,
+    lastmods,
+    images = false,
+    imagesProperty = 'images',
+    videos = false,
+    videosProperty = 'videos',
+    alternates = false,
+    locales,
+    defaultLocale,
+    translationKey = 'translationKey',
+    defaultRobots,
+    exclusionReport = false,
+    seoProperty = 'seo',
+    fallbacks = {}
+  } = options;
+
+  if (auto) {
+    validateRules(rules);
+    if (!PRIORITY_HEURISTICS.includes(priorityBy)) {
+      throw new Error(
+        `[metalsmith-seo] sitemap.priorityBy must be one of ${PRIORITY_HEURISTICS.join(', ')} (got "${priorityBy}")`
+      );
+    }
+  }
+  let mostInbound = 0;
+  for (const count of inboundLinks.values()) {
+    mostInbound = Math.max(mostInbound, count);
+  }
+  const heuristicPriority = (file) =>
+    priorityBy === 'links' ? calculateLinkPriority(file, inboundLinks.get(file), mostInbound) : calculatePriority(file);
+
+  let links = [];
+  const pages = [];
+  const excluded = [];
+
+  // Custom sorting to ensure consistent output order
+  // Files in root directory come first, then subdirectories
+  const sortedFiles = [...bodies.keys()].sort(compareByDepth);
+
+  sortedFiles.forEach(function (file) {
+    // Get the current file's frontmatter, with the pinned body
+    const frontmatter = { ...files[file], contents: bodies.get(file) };
+
+    // Validate file.contents is a Buffer before processing
+    if (!Buffer.isBuffer(frontmatter.contents)) {
+      return;
+    }
+
+    // Only process files that pass the check
+    if (!checkFile(file, frontmatter, metalsmith, pattern, privateProperty)) {
+      return;
+    }
+
+    // Add the url (which is allowed to be falsy)
+    const url = buildUrl(file, frontmatter, {
+      urlProperty,
+      omitIndex,
+      urlPolicy
+    });
+    const pageUrl = absoluteUrl(url, hostname);
+
+    // Page-level values as the head pass resolves them, minus the
+    // site-wide defaults (which are not part of this page's content)
+    // except robots, which decides whether the page is indexable at all
+    const metadata = extractMetadata(file, frontmatter, {
+      hostname,
+      seoProperty,
+      fallbacks,
+      defaults: { robots: defaultRobots }
+    });
+
+    const exclusion = getIndexingExclusion(frontmatter, metadata, pageUrl, { hostname, seoProperty });
+    if (exclusion) {
+      excluded.push({ file, url: pageUrl, ...exclusion });
+      return;
+    }
+
+    // Get lastmod value and format it properly: frontmatter first, then
+    // the date derived from `lastmodSource`, then the global default
+    const fallbackLastmod = lastmods?.get(file) || lastmod;
+    const lastmodValue = normalizeLastmod(get(frontmatter, modifiedProperty) || fallbackLastmod);
+
+    // Create the sitemap entry (reject keys with falsy values)
+    let entryChangefreq, entryPriority;
+
+    if (auto) {
+      /**
+       * Auto mode
+       * Rules first, then the heuristics; global settings are ignored and
+       * frontmatter only counts with `preferFrontmatter`
+       */
+      entryChangefreq =
+        findRuleValue(file, frontmatter, rules, 'changefreq', metalsmith) ??
+        calculateChangefreq(file, frontmatter, {
+          modifiedProperty,
+          lastmod: fallbackLastmod
         });
+      entryPriority = findRuleValue(file, frontmatter, rules, 'priority', metalsmith) ?? heuristicPriority(file);
+
+      if (preferFrontmatter) {
+        entryChangefreq = frontmatter.changefreq || entryChangefreq;
+        entryPriority = get(frontmatter, priorityProperty) || entryPriority;
+      }
+    } else {
+      /**
+       * Manual mode
+       * Use global defaults, allow frontmatter overrides
+       */
+      entryChangefreq = frontmatter.changefreq || changefreq;
+      entryPriority = get(frontmatter, priorityProperty) || priority;
+    }
+
+    const entry = omitUndefined({
+      changefreq: entryChangefreq,
+      priority: entryPriority,
+      lastmod: lastmodValue,
+      links: linksOption ? get(frontmatter, linksOption) : undefined
+    });
+
+    entry.url = url;
+
+    if (images || videos) {
+      const pageImages = images ? collectPageImages(frontmatter, metadata, pageUrl, { hostname, imagesProperty }) : [];
+      if (pageImages.length > 0) {
+        entry.images = pageImages;
+      }
+
+      const pageVideos = videos
+        ? collectPageVideos(file, frontmatter, metadata, pageUrl, { hostname, seoProperty, videosProperty })
+        : [];
+      if (pageVideos.length > 0) {
+        entry.videos = pageVideos;
+      }
+    }
 
-        // Add the entry to the links array
-        links.push(entry);
-      });
+    // Add the entry to the links array
+    links.push(entry);
+    pages.push({ file, frontmatter, entry });
+  });
+
+  // Alternates need every page, so they are linked after the first pass
+  if (alternates) {
+    assignAlternates(pages, { hostname, locales, defaultLocale, translationKey });
+  }
+
+  if (additional.length > 0) {
+    links = mergeAdditionalUrls(pages, additional, hostname);
+  }
+
+  if (exclusionReport) {
+    files[exclusionReport] = { contents: Buffer.from(`${JSON.stringify(excluded, null, 2)}\n`, 'utf-8') };
+  }
 
-      // Generate sitemap XML content
-      const sitemapContent = generateSitemapXML(links, hostname);
+  const urls = links.map((link) => toUri(absoluteUrl(link.url, hostname)));
+  const listed = pages.map((page) => page.file);
+  const xmlOptions = { stylesheet: resolveStylesheet(files, output, hostname, stylesheet) };
+  const chunks = splitEntries(links, hostname, { maxUrls, maxBytes, xmlOptions });
+
+  if (chunks.length <= 1) {
+    // Generate sitemap XML content and add it to the files object
+    const primary = writeSitemapFile(files, output, generateSitemapXML(links, hostname, xmlOptions), gzip);
+
+    return { output: primary, sitemaps: [primary], excluded, urls, listed };
+  }
+
+  // Too large for one file: write numbered urlsets plus an index at `output`
+  const sitemaps = chunks.map((chunk, index) => {
+    const chunkFile = writeSitemapFile(
+      files,
+      chunkFilename(output, index + 1),
+      generateSitemapXML(chunk, hostname, xmlOptions),
+      gzip
+    );
+    return {
+      file: chunkFile,
+      url: replaceBackslash(chunkFile),
+      lastmod: latestLastmod(chunk)
+    };
+  });
 
-      // Add the sitemap file to the files object
-      files[output] = {
-        contents: Buffer.from(sitemapContent, 'utf-8')
-      };
+  const primary = writeSitemapFile(files, output, generateSitemapIndexXML(sitemaps, hostname, xmlOptions), gzip);
 
-      resolve();
-    } catch (error) {
-      reject(new Error(`Failed to generate sitemap: ${error.message}`));
+  return { output: primary, sitemaps: sitemaps.map((sitemap) => sitemap.file), excluded, urls, listed };
+}
+
+/**
+ * Orders paths root level first, then by depth, alphabetically within the
+ * same depth, so output is stable across builds and platforms.
+ * @param {string} a - File path or URL path
+ * @param {string} b - File path or URL path
+ * @returns {number} Sort order
+ */
+function compareByDepth(a, b) {
+  const aDepth = a.split(/[\\/]/).length;
+  const bDepth = b.split(/[\\/]/).length;
+  if (aDepth !== bDepth) {
+    return aDepth - bDepth; // Shallower paths first
+  }
+  return a.localeCompare(b); // Alphabetical within same depth
+}
+
+/**
+ * Normalizes a lastmod value to an ISO string at midnight UTC, matching the
+ * old sitemap library. Unparseable strings pass through unchanged.
+ * @param {Date|string|undefined} value - Raw lastmod value
+ * @returns {string|undefined} Normalized lastmod
+ */
+function normalizeLastmod(value) {
+  if (value instanceof Date) {
+    const d = new Date(value);
+    d.setUTCHours(0, 0, 0, 0);
+    return d.toISOString();
+  }
+  if (typeof value === 'string') {
+    const parsed = new Date(value);
+    if (!Number.isNaN(parsed.getTime())) {
+      parsed.setUTCHours(0, 0, 0, 0);
+      return parsed.toISOString();
+    }
+  }
+  return value;
+}
+
+/**
+ * Merges `additionalUrls` into the file-derived entries. Pages win over an
+ * additional entry for the same URL, the first of two additional entries
+ * wins, and entries on another host are skipped; each case is warned about.
+ * The result is sorted by URL path with the same rule used for files.
+ * @param {Array<Object>} pages - File-derived `{ file, entry }` pairs in output order
+ * @param {Array<AdditionalUrl>} additional - Additional entries
+ * @param {string} hostname - Base hostname
+ * @returns {Array<Object>} Sitemap entries in output order
+ * @throws {Error} When an entry has no `loc`
+ */
+function mergeAdditionalUrls(pages, additional, hostname) {
+  const origin = new URL(hostname).origin;
+  const seen = new Set(pages.map(({ entry }) => comparableUrl(entry.url, hostname)));
+  const keyed = pages.map(({ file, entry }) => ({ key: replaceBackslash(file), entry }));
+
+  additional.forEach((item, index) => {
+    const { loc, lastmod, changefreq, priority, alternates } = item || {};
+    if (typeof loc !== 'string' || !loc) {
+      throw new Error(`[metalsmith-seo] sitemap.additionalUrls[${index}] needs a loc`);
     }
+
+    const url = new URL(absoluteUrl(loc, hostname));
+    if (url.origin !== origin) {
+      warn(`sitemap.additionalUrls: skipping ${url.href}, which is not on ${origin}`);
+      return;
+    }
+    const comparable = comparableUrl(url.href, hostname);
+    if (seen.has(comparable)) {
+      warn(`sitemap.additionalUrls: skipping duplicate ${url.href}`);
+      return;
+    }
+    seen.add(comparable);
+
+    const entry = omitUndefined({
+      url: url.href,
+      lastmod: normalizeLastmod(lastmod),
+      changefreq,
+      priority,
+      links: alternates
+    });
+    keyed.push({ key: url.pathname.replace(/^\//, ''), entry });
   });
+
+  return keyed.sort((a, b) => compareByDepth(a.key, b.key)).map(({ entry }) => entry);
+}
+
+/**
+ * Splits sitemap entries into chunks that each respect the URL-count and
+ * byte-size limits. Sizes are measured on the serialized `<url>` elements
+ * plus the fixed urlset envelope, so the byte limit holds for the final file.
+ * @param {Array<Object>} links - Sitemap entries in output order
+ * @param {string} hostname - Base hostname used for serialization
+ * @param {Object} limits - Split limits
+ * @param {number} limits.maxUrls - Maximum entries per chunk
+ * @param {number} limits.maxBytes - Maximum serialized bytes per chunk
+ * @param {Object} limits.xmlOptions - Serialization options that affect the envelope
+ * @returns {Array<Array<Object>>} Chunks in order (a single chunk when no split is needed)
+ */
+function splitEntries(links, hostname, { maxUrls, maxBytes, xmlOptions }) {
+  const envelopeBytes = Buffer.byteLength(generateSitemapXML([], hostname, xmlOptions));
+  const chunks = [];
+  let current = [];
+  let currentBytes = envelopeBytes;
+
+  for (const link of links) {
+    const linkBytes = Buffer.byteLength(generateUrlXML(link, hostname));
+    const full = current.length >= maxUrls || currentBytes + linkBytes > maxBytes;
+
+    // An oversized single entry still gets a chunk of its own
+    if (full && current.length > 0) {
+      chunks.push(current);
+      current = [];
+      currentBytes = envelopeBytes;
+    }
+
+    current.push(link);
+    currentBytes += linkBytes;
+  }
+
+  if (current.length > 0) {
+    chunks.push(current);
+  }
+
+  return chunks;
+}
+
+/**
+ * Resolves the stylesheet option to the href written into each sitemap,
+ * adding the bundled stylesheet to the build when `stylesheet` is `true`.
+ * The bundled file lives next to the sitemap and is referenced by an
+ * absolute path so a sitemap in a subdirectory, or a site hosted under a
+ * path prefix, still finds it; the href stays same-origin as browsers require.
+ * @param {Object} files - Metalsmith files object
+ * @param {string} output - Configured sitemap output path
+ * @param {string} hostname - Base hostname
+ * @param {boolean|string} stylesheet - Stylesheet option
+ * @returns {string|undefined} Stylesheet href, if any
+ */
+function resolveStylesheet(files, output, hostname, stylesheet) {
+  if (typeof stylesheet === 'string' && stylesheet) {
+    return stylesheet;
+  }
+  if (stylesheet !== true) {
+    return undefined;
+  }
+
+  const xslFile = path.join(path.dirname(output), 'sitemap.xsl');
+  files[xslFile] = { contents: Buffer.from(SITEMAP_XSL, 'utf-8') };
+
+  const basePath = new URL(hostname).pathname.replace(/\/$/, '');
+  return `${basePath}/${replaceBackslash(xslFile)}`;
+}
+
+/**
+ * Adds a sitemap file to the files object, plain, gzipped or both.
+ * @param {Object} files - Metalsmith files object
+ * @param {string} file - Path of the plain XML file
+ * @param {string} xml - Serialized sitemap
+ * @param {boolean|'only'} gzip - Gzip mode
+ * @returns {string} Path of the primary file (the `.gz` path when gzip is enabled)
+ */
+function writeSitemapFile(files, file, xml, gzip) {
+  const contents = Buffer.from(xml, 'utf-8');
+  if (gzip !== 'only') {
+    files[file] = { contents };
+  }
+  if (!gzip) {
+    return file;
+  }
+
+  const gzFile = `${file}.gz`;
+  files[gzFile] = { contents: gzipSync(contents) };
+  return gzFile;
+}
+
+/**
+ * Derives the filename of a numbered child sitemap from the configured
+ * output, e.g. `sitemap.xml` → `sitemap-2.xml`, `maps/site.xml` → `maps/site-2.xml`.
+ * @param {string} output - Configured sitemap output path
+ * @param {number} number - 1-based chunk number
+ * @returns {string} Child sitemap path
+ */
+function chunkFilename(output, number) {
+  const ext = path.extname(output);
+  const base = path.basename(output, ext);
+  return path.join(path.dirname(output), `${base}-${number}${ext}`);
+}
+
+/**
+ * Finds the most recent lastmod among a chunk's entries for the index file.
+ * @param {Array<Object>} chunk - Sitemap entries
+ * @returns {string|undefined} Latest ISO date string, if any entry has one
+ */
+function latestLastmod(chunk) {
+  let latest;
+  for (const link of chunk) {
+    if (typeof link.lastmod === 'string' && (!latest || link.lastmod > latest)) {
+      latest = link.lastmod;
+    }
+  }
+  return latest;
 }
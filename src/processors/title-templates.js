@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Resolves which title template each page uses.
+ *
+ * Computed once per build, before the head pass, because section overrides
+ * are globs and only Metalsmith can match them. The head pass then formats
+ * `<title>` with the template it is handed (see
+ * `meta-generator.applyTitleTemplate`); Open Graph, Twitter and JSON-LD keep
+ * the bare title.
+ *
+ * Precedence, first match wins:
+ * 1. the page's own `seo.titleTemplate` (a template, or `false` for none)
+ * 2. `home` for the root `index.html`
+ * 3. the last section whose `pattern` matches the file
+ * 4. `template`
+ */
+
+import { get } from '../utils/object-utils.js';
+
+/**
+ * @typedef {Object} TitleTemplateConfig
+ * @property {string} template - Default template; `%s` is the page title, `%site%` the site name
+ * @property {string|false} [home='%s'] - Template for the home page (`false` uses `template`)
+ * @property {Array<{pattern: string, template: string|false}>} [sections=[]] - Overrides by glob, last match wins
+ * @property {number} [maxLength=60] - Longest `<title>`; the suffix is dropped first (0 disables)
+ * @property {string} siteName - Value of `%site%`
+ */
+
+/**
+ * Picks the template of every HTML page.
+ * @param {Object} files - Metalsmith files object
+ * @param {Object} metalsmith - Metalsmith instance
+ * @param {TitleTemplateConfig} titleTemplate - Resolved configuration
+ * @param {string} seoProperty - Frontmatter property holding SEO data
+ * @returns {Map<string, string>} Templates keyed by file path (pages without one are absent)
+ * @throws {Error} When a section is missing its pattern or template
+ */
+export function resolveTitleTemplates(files, metalsmith, titleTemplate, seoProperty) {
+  const { template, home = '%s', sections = [] } = titleTemplate;
+  sections.forEach((section, index) => {
+    if (!section?.pattern || section.template === undefined) {
+      throw new Error(`[metalsmith-seo] titleTemplate.sections[${index}] needs a pattern and template`);
+    }
+  });
+
+  const templates = new Map();
+  for (const file of Object.keys(files).filter((name) => /\.html?$/i.test(name))) {
+    const own = get(files[file], `${seoProperty}.titleTemplate`);
+    let chosen = template;
+    if (own !== undefined) {
+      chosen = own;
+    } else if (home !== false && /^index\.html?$/i.test(file)) {
+      chosen = home;
+    } else {
+      chosen = sections.findLast((section) => metalsmith.match(section.pattern, file).length > 0)?.template ?? template;
+    }
+    if (chosen) {
+      templates.set(file, chosen);
+    }
+  }
+  return templates;
+}
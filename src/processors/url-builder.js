@@ -4,6 +4,9 @@
 
 import path from 'node:path';
 import { get } from '../utils/object-utils.js';
+import { generateRobotsDirective } from '../generators/meta-generator.js';
+import { applyUrlPolicy } from '../utils/url-policy.js';
+import { absoluteUrl } from '../utils/uri.js';
 
 /**
  * Determines whether a file should be included in the sitemap.
@@ -30,18 +33,77 @@ export function checkFile(file, frontmatter, metalsmith, pattern, privatePropert
   return true;
 }
 
+/**
+ * Decides whether a page that passed `checkFile` must still stay out of
+ * sitemaps because its `<head>` tells crawlers not to index this URL.
+ * The robots decision is the head pass's own (`generateRobotsDirective`),
+ * so a page is never listed while its meta robots says `noindex`. An
+ * explicit `seo.canonicalURL` that points at a different URL excludes the
+ * page too: the sitemap should only list the canonical version.
+ * Auto-generated canonicals always describe the page itself and are ignored.
+ * @param {Object} frontmatter - File metadata and frontmatter
+ * @param {Object} metadata - Page metadata from `extractMetadata`
+ * @param {string} pageUrl - Absolute URL the sitemap would list
+ * @param {Object} options - Exclusion options
+ * @param {string} options.hostname - Base hostname for relative canonicals
+ * @param {string} [options.seoProperty='seo'] - Frontmatter property containing SEO data
+ * @returns {{reason: 'noindex'|'canonical', detail: string}|null} Why the page is excluded, or null
+ */
+export function getIndexingExclusion(frontmatter, metadata, pageUrl, options) {
+  const { hostname, seoProperty = 'seo' } = options;
+
+  const directive = generateRobotsDirective(metadata);
+  if (directive && /\b(noindex|none)\b/i.test(directive)) {
+    return { reason: 'noindex', detail: directive };
+  }
+
+  const canonical = get(frontmatter, `${seoProperty}.canonicalURL`);
+  if (typeof canonical === 'string' && canonical) {
+    const target = comparableUrl(canonical, hostname);
+    if (target && target !== comparableUrl(pageUrl, hostname)) {
+      return { reason: 'canonical', detail: target };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reduces a URL to the form used to decide whether two URLs name the same
+ * page: fragment dropped, host lowercased, and `index.html`, `.html` and
+ * trailing slashes removed, matching how auto canonicals are built.
+ * @param {string} url - Relative or absolute URL
+ * @param {string} hostname - Base hostname for relative URLs
+ * @returns {string|null} Comparable URL, or null when it cannot be parsed
+ */
+export function comparableUrl(url, hostname) {
+  let parsed;
+  try {
+    parsed = new URL(absoluteUrl(url, hostname));
+  } catch {
+    return null;
+  }
+  const pathname = parsed.pathname
+    .replace(/\/index\.html?$/, '/')
+    .replace(/\.html?$/, '')
+    .replace(/\/+$/, '');
+  return `${parsed.origin}${pathname}${parsed.search}`;
+}
+
 /**
  * Constructs the final URL for a file based on configuration options.
- * Handles canonical URL overrides and index file omission.
+ * Handles canonical URL overrides and index file omission; with a
+ * `urlPolicy` the policy decides the form instead of `omitIndex`.
  * @param {string} file - File path relative to source directory
  * @param {Object} frontmatter - File metadata and frontmatter
  * @param {Object} options - URL building options
  * @param {string} options.urlProperty - Property name to read canonical URL from file metadata
  * @param {boolean} options.omitIndex - Whether to omit index.html from URLs
+ * @param {import('../utils/url-policy.js').UrlPolicy} [options.urlPolicy] - Shared URL policy
  * @returns {string} Final URL for the sitemap entry
  */
 export function buildUrl(file, frontmatter, options) {
-  const { urlProperty, omitIndex } = options;
+  const { urlProperty, omitIndex, urlPolicy } = options;
 
   // Frontmatter settings take precedence
   const canonicalUrl = get(frontmatter, urlProperty);
@@ -49,6 +111,10 @@ export function buildUrl(file, frontmatter, options) {
     return canonicalUrl;
   }
 
+  if (urlPolicy) {
+    return applyUrlPolicy(file, urlPolicy);
+  }
+
   // Remove index.html if necessary
   const indexFile = 'index.html';
   if (omitIndex && path.basename(file) === indexFile) {
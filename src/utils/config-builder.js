@@ -4,6 +4,8 @@
  * @author Werner Glinka
  */
 
+import { validateUrlPolicy } from './url-policy.js';
+
 /**
  * Helper to conditionally add properties to an object
  * @param {Object} source - Source object to read from
@@ -60,9 +62,10 @@ function deduceSiteMetadata(files, seoProperty, pluginDefaults) {
  * @param {Object} siteMetadata - Site metadata from Metalsmith
  * @param {Object} files - Metalsmith files object
  * @param {string} seoProperty - The SEO property name
+ * @param {Object} [env=process.env] - Environment variables (Metalsmith's `env()` merged over the process's)
  * @returns {Object} Complete merged configuration
  */
-export function buildConfig(pluginOptions, siteMetadata, files, seoProperty) {
+export function buildConfig(pluginOptions, siteMetadata, files, seoProperty, env = process.env) {
   const hasSiteMetadata = Object.keys(siteMetadata).length > 0;
   let deducedSiteName = '';
   let deducedDescription = '';
@@ -105,10 +108,20 @@ export function buildConfig(pluginOptions, siteMetadata, files, seoProperty) {
     seoProperty,
     enableSitemap: pluginOptions.enableSitemap !== undefined ? pluginOptions.enableSitemap : true,
     enableRobots: pluginOptions.enableRobots !== undefined ? pluginOptions.enableRobots : true,
-    enableLlms:
-      pluginOptions.enableLlms !== undefined
-        ? pluginOptions.enableLlms
-        : Boolean(pluginOptions.llms?.enabled || siteMetadata.llms?.enabled || false),
+    enableLlms: isOptedIn(pluginOptions, siteMetadata, 'enableLlms', 'llms'),
+    enableNewsSitemap: isOptedIn(pluginOptions, siteMetadata, 'enableNewsSitemap', 'newsSitemap'),
+    enableRobotsHeaders: isOptedIn(pluginOptions, siteMetadata, 'enableRobotsHeaders', 'robotsHeaders'),
+    enableSecurityTxt: isOptedIn(pluginOptions, siteMetadata, 'enableSecurityTxt', 'securityTxt'),
+    enableHumansTxt: isOptedIn(pluginOptions, siteMetadata, 'enableHumansTxt', 'humansTxt'),
+    enableAdsTxt: isOptedIn(pluginOptions, siteMetadata, 'enableAdsTxt', 'adsTxt'),
+    enableAppAdsTxt: isOptedIn(pluginOptions, siteMetadata, 'enableAppAdsTxt', 'appAdsTxt'),
+    enableDuplicateCheck: isOptedIn(pluginOptions, siteMetadata, 'enableDuplicateCheck', 'duplicates'),
+    enableLint: isOptedIn(pluginOptions, siteMetadata, 'enableLint', 'lint'),
+    enableReport: isOptedIn(pluginOptions, siteMetadata, 'enableReport', 'report'),
+    enableLinkCheck: isOptedIn(pluginOptions, siteMetadata, 'enableLinkCheck', 'links'),
+    enableHreflang: isOptedIn(pluginOptions, siteMetadata, 'enableHreflang', 'hreflang'),
+    urlPolicy: pluginOptions.urlPolicy || siteMetadata.urlPolicy || null,
+    ...resolveEnvironment(pluginOptions, env),
     batchSize: pluginOptions.batchSize || 10,
     wordsPerMinute: pluginOptions.wordsPerMinute || 200,
 
@@ -174,6 +187,102 @@ export function buildConfig(pluginOptions, siteMetadata, files, seoProperty) {
       ...(pluginOptions.llms || {})
     },
 
+    // Complete news sitemap configuration with defaults. Publication name and
+    // language are resolved from `social` in index.js when not set here.
+    newsSitemap: {
+      // Defaults
+      output: 'news-sitemap.xml',
+      pattern: '**/*.html',
+      privateProperty: 'private',
+      maxAgeHours: 48,
+
+      // Merge site metadata
+      ...(siteMetadata.newsSitemap || {}),
+
+      // Override with explicit news sitemap config
+      ...(pluginOptions.newsSitemap || {})
+    },
+
+    // X-Robots-Tag header file configuration with defaults. The output file
+    // depends on the format and is resolved by the processor.
+    robotsHeaders: {
+      // Defaults
+      format: 'netlify',
+      rules: [],
+
+      // Merge site metadata
+      ...(siteMetadata.robotsHeaders || {}),
+
+      // Override with explicit header config
+      ...(pluginOptions.robotsHeaders || {})
+    },
+
+    // Duplicate title/description/canonical check with defaults
+    duplicates: {
+      report: 'seo-duplicates.json',
+      strict: false,
+      ...(siteMetadata.duplicates || {}),
+      ...(pluginOptions.duplicates || {})
+    },
+
+    // SEO lint rules with defaults; rule severities default per rule
+    lint: {
+      rules: {},
+      overrides: [],
+      ...(siteMetadata.lint || {}),
+      ...(pluginOptions.lint || {})
+    },
+
+    // Head hreflang alternates; grouping settings default to the sitemap's
+    hreflang: {
+      auto: false,
+      strict: false,
+      ...(siteMetadata.hreflang || {}),
+      ...(pluginOptions.hreflang || {})
+    },
+
+    // Internal link check with defaults
+    links: {
+      report: 'seo-links.json',
+      strict: false,
+      ignore: [],
+      ...(siteMetadata.links || {}),
+      ...(pluginOptions.links || {})
+    },
+
+    // Per-page SEO report for content review; either output can be switched off
+    report: {
+      output: 'seo-report.json',
+      html: 'seo-report.html',
+      ...(siteMetadata.report || {}),
+      ...(pluginOptions.report || {})
+    },
+
+    // Root text files. Each is opt-in and merges into a file of the same
+    // name that already exists in the source
+    securityTxt: {
+      output: '.well-known/security.txt',
+      expiresInDays: 180,
+      canonical: true,
+      ...(siteMetadata.securityTxt || {}),
+      ...(pluginOptions.securityTxt || {})
+    },
+    humansTxt: {
+      output: 'humans.txt',
+      ...(siteMetadata.humansTxt || {}),
+      ...(pluginOptions.humansTxt || {})
+    },
+    adsTxt: {
+      output: 'ads.txt',
+      ...(siteMetadata.adsTxt || {}),
+      ...(pluginOptions.adsTxt || {})
+    },
+    appAdsTxt: {
+      output: 'app-ads.txt',
+      ...(siteMetadata.appAdsTxt || {}),
+      ...(pluginOptions.appAdsTxt || {})
+    },
+
     // Complete robots configuration with defaults
     robots: {
       // Defaults
@@ -190,18 +299,85 @@ export function buildConfig(pluginOptions, siteMetadata, files, seoProperty) {
     }
   };
 
+  // Needs the merged social settings for the default site name
+  config.titleTemplate = buildTitleTemplate(
+    pluginOptions.titleTemplate ?? siteMetadata.titleTemplate,
+    config.social.siteName || config.defaults.title || ''
+  );
+
   return config;
 }
 
+/**
+ * Normalizes the `titleTemplate` option. A string is shorthand for
+ * `{ template }`; the site name defaults to the Open Graph site name.
+ * @param {string|Object|undefined} option - Option value
+ * @param {string} siteName - Fallback for `%site%`
+ * @returns {Object|null} Template configuration, or null when unset
+ */
+function buildTitleTemplate(option, siteName) {
+  if (!option) {
+    return null;
+  }
+  return {
+    home: '%s',
+    sections: [],
+    maxLength: 60,
+    siteName,
+    ...(typeof option === 'string' ? { template: option } : option)
+  };
+}
+
+/**
+ * Resolves an opt-in output: the `enable*` flag wins when set, otherwise the
+ * section's `enabled` property in plugin options or site metadata.
+ * @param {Object} pluginOptions - Plugin options
+ * @param {Object} siteMetadata - Site metadata
+ * @param {string} flag - Top-level flag (e.g. `'enableLlms'`)
+ * @param {string} section - Section name (e.g. `'llms'`)
+ * @returns {boolean} Whether the output is enabled
+ */
+function isOptedIn(pluginOptions, siteMetadata, flag, section) {
+  if (pluginOptions[flag] !== undefined) {
+    return pluginOptions[flag];
+  }
+  return Boolean(pluginOptions[section]?.enabled || siteMetadata[section]?.enabled || false);
+}
+
+/**
+ * Decides whether this build must keep search engines out. `noindexSite`
+ * wins when set; otherwise the build environment (the `environment` option,
+ * else `METALSMITH_ENV`) is compared with `noindexEnvironments`, so staging
+ * and preview builds are blocked without touching plugin options.
+ * @param {Object} pluginOptions - Plugin options
+ * @param {Object} env - Environment variables
+ * @returns {{environment: string, noindexSite: boolean}} Resolved environment settings
+ */
+function resolveEnvironment(pluginOptions, env) {
+  const environment = pluginOptions.environment || env.METALSMITH_ENV || '';
+  const noindexEnvironments = pluginOptions.noindexEnvironments || ['staging', 'preview'];
+  const noindexSite =
+    pluginOptions.noindexSite !== undefined
+      ? Boolean(pluginOptions.noindexSite)
+      : noindexEnvironments.includes(environment);
+  return { environment, noindexSite };
+}
+
 /**
  * Validates the final configuration and throws helpful errors if required values are missing
  * @param {Object} config - The built configuration object
  * @param {string} metadataPath - The metadata path used for error messaging
- * @throws {Error} When hostname is not provided
+ * @throws {Error} When hostname is not provided, or the URL policy or title template is invalid
  */
 export function validateConfig(config, metadataPath) {
   if (!config.hostname) {
     const metadataHint = metadataPath === 'site' ? 'site.url' : `${metadataPath}.url`;
     throw new Error(`[metalsmith-seo] hostname is required (set in plugin options or ${metadataHint} in metadata)`);
   }
+  if (config.urlPolicy) {
+    validateUrlPolicy(config.urlPolicy);
+  }
+  if (config.titleTemplate && typeof config.titleTemplate.template !== 'string') {
+    throw new Error("[metalsmith-seo] titleTemplate needs a template string (e.g. '%s | %site%')");
+  }
 }
@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Error reporting shared by all processors.
+ * Collects every failure of a pass into one error, so the user sees all of
+ * them in one go rather than fixing one and discovering the next on rebuild.
+ */
+
+/**
+ * Builds a single Error summarizing several failures. Uses AggregateError
+ * when there is more than one so callers can introspect the originals.
+ * @param {Array<{filePath: string, error: Error}>} errors - Failures, each labelled with where it happened
+ * @param {string} stage - Human-readable stage name for the message
+ * @param {string} [noun='file(s)'] - What the failures are counted in
+ * @returns {Error} Aggregate error suitable for Metalsmith's done callback
+ */
+export function aggregateError(errors, stage, noun = 'file(s)') {
+  const summary = errors.map(({ filePath, error }) => `  - ${filePath}: ${error.message}`).join('\n');
+  const message = `[metalsmith-seo] ${stage} failed for ${errors.length} ${noun}:\n${summary}`;
+
+  if (errors.length === 1) {
+    const wrapped = new Error(message);
+    wrapped.cause = errors[0].error;
+    return wrapped;
+  }
+
+  return new AggregateError(
+    errors.map((e) => e.error),
+    message
+  );
+}
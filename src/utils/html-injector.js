@@ -158,6 +158,15 @@ export function removeTagsFromDoc($, tags = []) {
   $('link[rel="canonical"]').remove();
 }
 
+/**
+ * Removes every `<link rel="alternate" hreflang>` from a Cheerio document,
+ * so a regenerated set does not keep languages a page no longer has
+ * @param {import('cheerio').CheerioAPI} $ - Cheerio document instance
+ */
+export function removeHreflangLinksFromDoc($) {
+  $('link[rel="alternate"][hreflang]').remove();
+}
+
 /**
  * Updates or creates the title tag in a Cheerio document
  * @param {import('cheerio').CheerioAPI} $ - Cheerio document instance
@@ -220,8 +229,12 @@ export function setMetaInDoc($, name, content, type = 'name') {
 export function setLinkInDoc($, rel, href, attributes = {}) {
   const $head = ensureHead($);
 
-  // Find existing link tag
-  const $existing = $head.find(`link[rel="${rel}"]`);
+  // Find existing link tag; alternates are told apart by language, compared
+  // as a value so quotes or brackets in it cannot break the selector
+  const { hreflang } = attributes;
+  const $existing = $head
+    .find(`link[rel="${rel}"]`)
+    .filter((_, el) => !hreflang || $(el).attr('hreflang') === hreflang);
 
   // Build attributes string
   const attrs = Object.entries(attributes)
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Read-only queries over page HTML.
+ *
+ * Where html-injector.js rewrites the `<head>`, this module only looks at a
+ * document and returns plain data (image sources, embeds, links) for the
+ * file-level outputs such as the sitemap. Nothing here mutates HTML.
+ */
+
+import { load } from 'cheerio';
+
+/**
+ * Collects the `src` of every `<img>` element in document order. Inline
+ * `data:` images and empty sources are skipped because they have no URL a
+ * crawler could fetch.
+ * @param {string} html - HTML content
+ * @returns {Array<string>} Raw (possibly relative) image sources
+ */
+export function collectImageSources(html) {
+  if (typeof html !== 'string' || html === '') {
+    return [];
+  }
+
+  const $ = load(html);
+  const sources = [];
+
+  $('img[src]').each((_, el) => {
+    const src = ($(el).attr('src') || '').trim();
+    if (src && !/^data:/i.test(src)) {
+      sources.push(src);
+    }
+  });
+
+  return sources;
+}
+
+/**
+ * Collects embedded media players: `<video>` elements (with their `src` or
+ * first `<source src>`) and `<iframe>` embeds. Callers decide which iframe
+ * hosts count as video players.
+ * @param {string} html - HTML content
+ * @returns {Array<{tag: string, src: string, poster?: string, title?: string}>} Embeds in document order
+ */
+export function collectMediaEmbeds(html) {
+  if (typeof html !== 'string' || html === '') {
+    return [];
+  }
+
+  const $ = load(html);
+  const embeds = [];
+
+  $('video, iframe[src]').each((_, el) => {
+    const $el = $(el);
+    const src = ($el.attr('src') || $el.find('source[src]').first().attr('src') || '').trim();
+    if (!src) {
+      return;
+    }
+    const title = ($el.attr('title') || $el.attr('aria-label') || '').trim();
+    const poster = ($el.attr('poster') || '').trim();
+
+    embeds.push({
+      tag: el.tagName,
+      src,
+      ...(poster ? { poster } : {}),
+      ...(title ? { title } : {})
+    });
+  });
+
+  return embeds;
+}
+
+/**
+ * Collects `<img>` elements that have no `alt` attribute at all. An empty
+ * `alt=""` marks a decorative image and is not reported.
+ * @param {string} html - HTML content
+ * @returns {Array<string>} Their sources (or `'(no src)'`) in document order
+ */
+export function collectImagesWithoutAlt(html) {
+  if (typeof html !== 'string' || html === '') {
+    return [];
+  }
+
+  const $ = load(html);
+  return $('img:not([alt])')
+    .map((_, el) => ($(el).attr('src') || '').trim() || '(no src)')
+    .get();
+}
+
+/**
+ * Collects the `href` of every `<a>` element in document order. Empty and
+ * fragment-only links are skipped because they never leave the page.
+ * @param {string} html - HTML content
+ * @returns {Array<string>} Raw (possibly relative) link targets
+ */
+export function collectLinks(html) {
+  if (typeof html !== 'string' || html === '') {
+    return [];
+  }
+
+  const $ = load(html);
+  return $('a[href]')
+    .map((_, el) => ($(el).attr('href') || '').trim())
+    .get()
+    .filter((href) => href && !href.startsWith('#'));
+}
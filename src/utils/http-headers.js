@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Serializes per-path response headers for static hosts.
+ *
+ * Netlify and Cloudflare Pages read a `_headers` file from the build output,
+ * Vercel takes a `headers` array in `vercel.json`, and nginx has no per-file
+ * mechanism, so it gets a `map` from request URI to header value. This module
+ * only knows the formats; which paths get which headers is decided in
+ * `processors/robots-headers.js`.
+ */
+
+import { sanitizeLineValue } from './line-format.js';
+
+/**
+ * @typedef {Object} HeaderEntry
+ * @property {string} path - Request path starting with `/`, or `/*` for every path
+ * @property {string} name - Header name
+ * @property {string} value - Header value
+ */
+
+/** Supported formats and their default output files. */
+export const HEADER_FORMATS = {
+  netlify: '_headers',
+  cloudflare: '_headers',
+  vercel: 'vercel-headers.json',
+  nginx: 'robots-headers.conf'
+};
+
+/**
+ * Serializes header entries in one host's format. All entries must share the
+ * same header name when `format` is `'nginx'`, since a map sets one variable.
+ * @param {Array<HeaderEntry>} entries - Entries in output order
+ * @param {'netlify'|'cloudflare'|'vercel'|'nginx'} format - Target format
+ * @returns {string} File content
+ *
+ * @example
+ * serializeHeaders([{ path: '/report.pdf', name: 'X-Robots-Tag', value: 'noindex' }], 'netlify');
+ * // '/report.pdf\n  X-Robots-Tag: noindex\n'
+ */
+export function serializeHeaders(entries, format) {
+  if (format === 'vercel') {
+    const headers = entries.map(({ path, name, value }) => ({
+      source: path === '/*' ? '/(.*)' : escapeVercelSource(path),
+      headers: [{ key: name, value }]
+    }));
+    return `${JSON.stringify({ headers }, null, 2)}\n`;
+  }
+
+  if (format === 'nginx') {
+    return serializeNginxMap(entries);
+  }
+
+  return entries
+    .map(({ path, name, value }) => `${sanitizeLineValue(path)}\n  ${name}: ${sanitizeLineValue(value)}\n`)
+    .join('\n');
+}
+
+/**
+ * Builds an nginx `map` (http context) whose variable carries the header
+ * value; an empty value makes `add_header` send nothing. `$uri` is
+ * percent-decoded by nginx, so the keys are too.
+ * @param {Array<HeaderEntry>} entries - Entries sharing one header name
+ * @returns {string} nginx snippet
+ */
+function serializeNginxMap(entries) {
+  const name = entries[0]?.name || 'X-Robots-Tag';
+  const variable = `$${name.toLowerCase().replace(/[^a-z0-9]+/g, '_')}`;
+  const catchAll = entries.find((entry) => entry.path === '/*');
+  const lines = [
+    `# Include in the http block, then add to the server block:`,
+    `#   add_header ${name} ${variable} always;`,
+    `map $uri ${variable} {`,
+    `  default ${nginxString(catchAll ? catchAll.value : '')};`,
+    ...entries
+      .filter((entry) => entry !== catchAll)
+      .map(({ path, value }) => `  ${nginxString(decodePath(path))} ${nginxString(value)};`),
+    '}'
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Escapes characters path-to-regexp would read as parameters or modifiers.
+ * @param {string} path - Literal request path
+ * @returns {string} Vercel `source` pattern matching only that path
+ */
+function escapeVercelSource(path) {
+  return path.replace(/[:()*+?{}]/g, '\\$&');
+}
+
+/**
+ * Quotes a value for nginx configuration.
+ * @param {string} value - Raw value
+ * @returns {string} Double-quoted, escaped value
+ */
+function nginxString(value) {
+  return `"${sanitizeLineValue(value).replace(/["\\]/g, '\\$&')}"`;
+}
+
+/**
+ * Percent-decodes a path, leaving malformed escapes alone.
+ * @param {string} path - Encoded path
+ * @returns {string} Decoded path
+ */
+function decodePath(path) {
+  try {
+    return decodeURIComponent(path);
+  } catch {
+    return path;
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Helpers for the line-oriented `Field: value` text files the
+ * plugin writes at the site root (robots.txt, security.txt, humans.txt,
+ * ads.txt) and for header files.
+ *
+ * Every value written to one of these files goes through
+ * `sanitizeLineValue`, so configuration or frontmatter containing CR/LF
+ * cannot smuggle extra directives into them.
+ */
+
+/**
+ * Removes characters that would break a line-oriented format.
+ * @param {*} value - Raw value (will be coerced to string)
+ * @returns {string} Sanitized single-line value
+ */
+export function sanitizeLineValue(value) {
+  return String(value ?? '').replace(/[\r\n]+/g, '');
+}
+
+/**
+ * Reads `Field: value` lines, skipping blank lines and `#` comments.
+ * @param {string} content - File content
+ * @returns {Array<Array<string>>} `[field, value]` pairs in file order, field names as written
+ */
+export function parseFieldLines(content) {
+  return String(content)
+    .split(/\r\n|\r|\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#') && line.includes(':'))
+    .map((line) => {
+      const colon = line.indexOf(':');
+      return [line.slice(0, colon).trim(), line.slice(colon + 1).trim()];
+    });
+}
@@ -0,0 +1,43 @@
+/**
+ * @fileoverview Locale detection and comparison shared by the per-locale
+ * outputs (llms.txt buckets, sitemap hreflang alternates).
+ */
+
+/**
+ * Detect locale for a file. Prefers explicit metadata set by
+ * metalsmith-multilingual; falls back to matching the leading path segment
+ * against the configured `locales` list.
+ * @param {string} file - File path
+ * @param {Object} frontmatter - File frontmatter
+ * @param {Array<string>} locales - Known locales
+ * @returns {string} Locale id or empty string if unknown/default
+ */
+export function detectLocale(file, frontmatter, locales) {
+  if (frontmatter.locale && typeof frontmatter.locale === 'string') {
+    return frontmatter.locale;
+  }
+  if (Array.isArray(locales) && locales.length > 0) {
+    const first = file.split(/[\\/]/)[0];
+    if (locales.includes(first)) {
+      return first;
+    }
+  }
+  return '';
+}
+
+/**
+ * Tolerant locale equality: accepts mixed short ('en') and full ('en_US')
+ * forms so config-vs-file-metadata mismatches don't silently misroute output.
+ * @param {string} a - Locale id
+ * @param {string} b - Locale id
+ * @returns {boolean} True if the two refer to the same language
+ */
+export function localesMatch(a, b) {
+  if (!a || !b) {
+    return false;
+  }
+  if (a === b) {
+    return true;
+  }
+  return a.split(/[_-]/)[0] === b.split(/[_-]/)[0];
+}
@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Warning output shared by all processors.
+ * Keeps the `[metalsmith-seo]` prefix and the test-environment check in one place.
+ */
+
+/**
+ * Whether the build runs under a test runner, where warnings are noise.
+ * @returns {boolean} True when NODE_ENV or METALSMITH_ENV is 'test'
+ */
+export function isTestEnv() {
+  return process.env.NODE_ENV === 'test' || process.env.METALSMITH_ENV === 'test';
+}
+
+/**
+ * Prints a prefixed warning unless running in a test environment.
+ * @param {string} message - Warning text without the plugin prefix
+ */
+export function warn(message) {
+  if (!isTestEnv()) {
+    console.warn(`[metalsmith-seo] ${message}`);
+  }
+}
@@ -23,3 +23,11 @@ export const get = (obj, pathStr, defaultValue) => {
   }
   return result;
 };
+
+/**
+ * Returns a shallow copy of an object without its undefined properties.
+ * @param {Object} obj - The object to copy
+ * @returns {Object} The copy
+ */
+export const omitUndefined = (obj) =>
+  Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined));
@@ -0,0 +1,305 @@
+/**
+ * @fileoverview robots.txt parsing and serialization (RFC 9309 groups).
+ *
+ * A robots.txt file is a list of groups, each naming one or more user agents
+ * followed by their rules, plus file-wide `Sitemap:` lines. This module only
+ * knows the format; which groups a site gets is decided in
+ * `processors/robots.js`. Every value is sanitized so a stray CR/LF cannot
+ * smuggle extra directives into the file.
+ *
+ * Serializing writes a file in one fixed layout, which suits generated
+ * files. An existing file is changed with `editRobots` instead, which
+ * touches only the lines it adds or rewrites, so the author's comments,
+ * blank lines and rule order survive.
+ */
+
+import { sanitizeLineValue } from './line-format.js';
+
+/**
+ * @typedef {Object} RobotsGroup
+ * @property {string|Array<string>} userAgent - One or more user agent tokens
+ * @property {Array<string>} [allow=[]] - Paths to allow
+ * @property {Array<string>} [disallow=[]] - Paths to disallow
+ * @property {number|string} [crawlDelay] - Seconds between requests (non-standard, honored by some crawlers)
+ * @property {Array<Array<string>>} [other] - Other directives of the group as `[field, value]` pairs
+ * @property {number} [line] - 0-based index of the group's last line, in a parsed file
+ */
+
+/**
+ * @typedef {Object} RobotsFile
+ * @property {Array<RobotsGroup>} groups - Groups in file order, `userAgent` always an array
+ * @property {Array<string>} sitemapUrls - `Sitemap:` values in file order
+ * @property {Array<number>} sitemapLines - 0-based index of each `Sitemap:` line
+ * @property {Array<Array<string>>} other - Directives before the first group as `[field, value]` pairs
+ */
+
+/**
+ * Parses robots.txt content into groups. Consecutive `User-agent:` lines
+ * share one group; field names are matched case-insensitively and keep their
+ * spelling when passed through. Empty Allow/Disallow values are dropped, since
+ * an empty rule matches nothing.
+ * @param {string} content - robots.txt content
+ * @returns {RobotsFile} Parsed file
+ *
+ * @example
+ * parseRobots('User-agent: *\nDisallow: /admin/\nSitemap: https://example.com/sitemap.xml');
+ * // { groups: [{ userAgent: ['*'], allow: [], disallow: ['/admin/'] }],
+ * //   sitemapUrls: ['https://example.com/sitemap.xml'], other: [] }
+ * // (plus the line indexes `line` and `sitemapLines`)
+ */
+export function parseRobots(content) {
+  const groups = [];
+  const sitemapUrls = [];
+  const sitemapLines = [];
+  const other = [];
+  let group = null;
+  let readingAgents = false;
+
+  for (const [index, rawLine] of String(content)
+    .split(/\r\n|\r|\n/)
+    .entries()) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const colon = line.indexOf(':');
+    if (colon === -1) {
+      continue;
+    }
+
+    const name = line.slice(0, colon).trim();
+    const field = name.toLowerCase();
+    const value = line.slice(colon + 1).trim();
+
+    if (field === 'user-agent') {
+      if (!readingAgents) {
+        group = { userAgent: [], allow: [], disallow: [] };
+        groups.push(group);
+        readingAgents = true;
+      }
+      group.userAgent.push(value);
+      group.line = index;
+      continue;
+    }
+    readingAgents = false;
+
+    if (field === 'sitemap') {
+      if (value) {
+        sitemapUrls.push(value);
+        sitemapLines.push(index);
+      }
+      continue;
+    }
+    if (!group) {
+      other.push([name, value]);
+      continue;
+    }
+
+    group.line = index;
+    if (field === 'allow' || field === 'disallow') {
+      if (value) {
+        group[field].push(value);
+      }
+    } else if (field === 'crawl-delay') {
+      group.crawlDelay = value;
+    } else {
+      group.other = [...(group.other || []), [name, value]];
+    }
+  }
+
+  return { groups, sitemapUrls, sitemapLines, other };
+}
+
+/**
+ * Edits robots.txt content line by line, leaving every line it does not
+ * touch as it was, comments and blank lines included. Line indexes are
+ * 0-based and refer to the unedited content.
+ * @param {string} content - robots.txt content
+ * @param {Object} edits - Edits
+ * @param {Map<number, string>} [edits.values] - New value for the directive on a line; the field name,
+ *   spacing and any trailing comment are kept
+ * @param {Map<number, Array<Array<string>>>} [edits.insert] - `[field, value]` directives to insert
+ *   after a line
+ * @param {Array<RobotsGroup>} [edits.groups=[]] - Groups to append
+ * @param {Array<string>} [edits.sitemapUrls=[]] - Sitemap URLs to append
+ * @returns {string} Edited content, with the original line endings
+ */
+export function editRobots(content, { values = new Map(), insert = new Map(), groups = [], sitemapUrls = [] }) {
+  const text = String(content);
+  const eol = text.includes('\r\n') ? '\r\n' : '\n';
+  const lines = text.split(/\r\n|\r|\n/);
+  const endsWithNewline = lines.at(-1) === '';
+  if (endsWithNewline) {
+    lines.pop();
+  }
+
+  const edited = lines.flatMap((line, index) => [
+    values.has(index) ? replaceValue(line, values.get(index)) : line,
+    ...(insert.get(index) || []).map(directiveLine)
+  ]);
+
+  if (groups.length > 0 || sitemapUrls.length > 0) {
+    if (edited.length > 0 && edited.at(-1).trim() !== '') {
+      edited.push('');
+    }
+    edited.push(...serializeRobots({ groups, sitemapUrls }).trimEnd().split('\n'));
+    return `${edited.join(eol)}${eol}`;
+  }
+  return `${edited.join(eol)}${endsWithNewline ? eol : ''}`;
+}
+
+/**
+ * Swaps the value of a `Field: value` line.
+ * @param {string} line - Original line
+ * @param {string} value - New value
+ * @returns {string} Line with the new value
+ */
+function replaceValue(line, value) {
+  const [, field, comment = ''] = line.match(/^(\s*[^:#]*:\s*)[^#]*?(\s*#.*)?$/) || [];
+  return field === undefined ? line : `${field}${sanitizeLineValue(value)}${comment}`;
+}
+
+/**
+ * Serializes groups and sitemap URLs to robots.txt content. A group without
+ * rules gets an empty `Disallow:`, which allows everything.
+ * @param {Object} robots - File model
+ * @param {Array<RobotsGroup>} robots.groups - Groups in output order
+ * @param {Array<string>} [robots.sitemapUrls=[]] - Absolute sitemap URLs
+ * @param {Array<Array<string>>} [robots.other=[]] - Directives written before the first group
+ * @returns {string} robots.txt content
+ */
+export function serializeRobots({ groups, sitemapUrls = [], other = [] }) {
+  const blocks = groups.map((group) => {
+    const lines = [].concat(group.userAgent).map((agent) => `User-agent: ${sanitizeLineValue(agent)}`);
+    const rules = [
+      ...(group.allow || []).map((path) => ['Allow', path]),
+      ...(group.disallow || []).map((path) => ['Disallow', path])
+    ]
+      .map(([field, path]) => [field, sanitizeLineValue(path)])
+      .filter(([, path]) => path !== '');
+
+    if (rules.length > 0) {
+      lines.push(...rules.map(([field, path]) => `${field}: ${path}`));
+    } else {
+      lines.push('Disallow:');
+    }
+    if (group.crawlDelay !== undefined) {
+      lines.push(`Crawl-delay: ${sanitizeLineValue(group.crawlDelay)}`);
+    }
+    lines.push(...(group.other || []).map(directiveLine));
+    return lines.join('\n');
+  });
+
+  if (other.length > 0) {
+    blocks.unshift(other.map(directiveLine).join('\n'));
+  }
+
+  if (sitemapUrls.length > 0) {
+    blocks.push(sitemapUrls.map((url) => `Sitemap: ${sanitizeLineValue(url)}`).join('\n'));
+  }
+
+  return `${blocks.join('\n\n')}\n`;
+}
+
+/**
+ * Formats a passed-through `[field, value]` directive.
+ * @param {Array<string>} directive - Field name and value
+ * @returns {string} Directive line
+ */
+function directiveLine([field, value]) {
+  return `${sanitizeLineValue(field)}: ${sanitizeLineValue(value)}`;
+}
+
+/**
+ * Directives crawlers are known to read. Host and Clean-param are Yandex
+ * extensions, listed so they do not show up as typos.
+ */
+const KNOWN_DIRECTIVES = ['user-agent', 'allow', 'disallow', 'crawl-delay', 'sitemap', 'host', 'clean-param'];
+
+/**
+ * @typedef {Object} RobotsIssue
+ * @property {number} [line] - 1-based line number, when the issue belongs to one line
+ * @property {string} message - What is wrong
+ */
+
+/**
+ * Checks robots.txt content for mistakes crawlers silently ignore: unknown
+ * directives, rules before the first `User-agent:` line, relative `Sitemap:`
+ * URLs and rule paths that start with neither `/` nor `*`.
+ * @param {string} content - robots.txt content
+ * @returns {Array<RobotsIssue>} Issues in line order
+ */
+export function lintRobots(content) {
+  const issues = [];
+  let inGroup = false;
+
+  String(content)
+    .split(/\r\n|\r|\n/)
+    .forEach((rawLine, index) => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      if (!line) {
+        return;
+      }
+
+      const issue = (message) => issues.push({ line: index + 1, message });
+      const colon = line.indexOf(':');
+      if (colon === -1) {
+        issue(`"${line}" is not a "Field: value" directive`);
+        return;
+      }
+
+      const name = line.slice(0, colon).trim();
+      const field = name.toLowerCase();
+      const value = line.slice(colon + 1).trim();
+
+      if (!KNOWN_DIRECTIVES.includes(field)) {
+        issue(`Unknown directive "${name}"`);
+      } else if (field === 'user-agent') {
+        inGroup = true;
+      } else if (field === 'sitemap') {
+        if (!/^https?:\/\//i.test(value)) {
+          issue(`Sitemap URL must be absolute (got "${value}")`);
+        }
+      } else if (['allow', 'disallow', 'crawl-delay'].includes(field) && !inGroup) {
+        issue(`${name} appears before any User-agent line and is ignored`);
+      } else if ((field === 'allow' || field === 'disallow') && value && !/^[/*]/.test(value)) {
+        issue(`${name} path must start with "/" or "*" (got "${value}")`);
+      }
+    });
+
+  return issues;
+}
+
+/**
+ * Finds the rule that decides whether a group lets a crawler fetch a path:
+ * the longest matching pattern wins, and Allow wins a tie (RFC 9309 §2.2.2).
+ * Patterns support `*` (any characters) and a trailing `$` (end of path).
+ * @param {RobotsGroup} group - Group with `allow` and `disallow` arrays
+ * @param {string} path - URL path including the query string
+ * @returns {{field: 'allow'|'disallow', pattern: string}|null} Deciding rule, or null when no rule matches
+ */
+export function findMatchingRule(group, path) {
+  let best = null;
+  for (const field of ['allow', 'disallow']) {
+    for (const pattern of group[field] || []) {
+      if (!pattern || !patternToRegExp(pattern).test(path)) {
+        continue;
+      }
+      if (!best || pattern.length > best.pattern.length) {
+        best = { field, pattern };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Compiles a robots.txt path pattern.
+ * @param {string} pattern - Rule path
+ * @returns {RegExp} Anchored expression
+ */
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Bundled XSL stylesheet for viewing sitemaps in a browser.
+ *
+ * Kept as a JS string so it ships with the package (`files` only includes
+ * `src/**\/*.js`) and can be written into the build without touching the
+ * filesystem. XSLT 1.0 only: it is what browsers implement. The stylesheet
+ * handles both `<urlset>` and `<sitemapindex>` documents and sorts rows by
+ * URL in XSLT, so the rendered page carries no script.
+ */
+
+export const SITEMAP_XSL = `<?xml version="1.0" encoding="UTF-8"?>
+<xsl:stylesheet version="1.0"
+  xmlns:xsl="http://www.w3.org/1999/XSL/Transform"
+  xmlns:s="http://www.sitemaps.org/schemas/sitemap/0.9"
+  xmlns:xhtml="http://www.w3.org/1999/xhtml"
+  exclude-result-prefixes="s xhtml">
+  <xsl:output method="html" encoding="UTF-8" indent="yes"/>
+
+  <xsl:template match="/">
+    <html>
+      <head>
+        <meta charset="UTF-8"/>
+        <title>
+          <xsl:choose>
+            <xsl:when test="s:sitemapindex">Sitemap index</xsl:when>
+            <xsl:otherwise>Sitemap</xsl:otherwise>
+          </xsl:choose>
+        </title>
+        <style>
+          body { font: 14px/1.5 system-ui, sans-serif; margin: 2rem; color: #222; }
+          h1 { font-size: 1.4rem; margin: 0 0 0.25rem; }
+          p { color: #555; margin: 0 0 1rem; }
+          table { border-collapse: collapse; width: 100%; }
+          th, td { text-align: left; padding: 0.4rem 0.6rem; border-bottom: 1px solid #e3e3e3; vertical-align: top; }
+          th { background: #f5f5f5; white-space: nowrap; }
+          td.alt { font-size: 0.85rem; color: #555; }
+          a { color: #0b57d0; word-break: break-all; }
+        </style>
+      </head>
+      <body>
+        <xsl:apply-templates/>
+      </body>
+    </html>
+  </xsl:template>
+
+  <xsl:template match="s:urlset">
+    <h1>Sitemap</h1>
+    <p><xsl:value-of select="count(s:url)"/> URLs, sorted by URL.</p>
+    <table>
+      <thead>
+        <tr><th>URL</th><th>Last modified</th><th>Priority</th><th>Alternates</th></tr>
+      </thead>
+      <tbody>
+        <xsl:for-each select="s:url">
+          <xsl:sort select="s:loc"/>
+          <tr>
+            <td><a href="{s:loc}"><xsl:value-of select="s:loc"/></a></td>
+            <td><xsl:value-of select="substring(s:lastmod, 1, 10)"/></td>
+            <td><xsl:value-of select="s:priority"/></td>
+            <td class="alt">
+              <xsl:for-each select="xhtml:link">
+                <xsl:value-of select="@hreflang"/>: <a href="{@href}"><xsl:value-of select="@href"/></a>
+                <xsl:if test="position() != last()"><br/></xsl:if>
+              </xsl:for-each>
+            </td>
+          </tr>
+        </xsl:for-each>
+      </tbody>
+    </table>
+  </xsl:template>
+
+  <xsl:template match="s:sitemapindex">
+    <h1>Sitemap index</h1>
+    <p><xsl:value-of select="count(s:sitemap)"/> sitemaps, sorted by URL.</p>
+    <table>
+      <thead>
+        <tr><th>Sitemap</th><th>Last modified</th></tr>
+      </thead>
+      <tbody>
+        <xsl:for-each select="s:sitemap">
+          <xsl:sort select="s:loc"/>
+          <tr>
+            <td><a href="{s:loc}"><xsl:value-of select="s:loc"/></a></td>
+            <td><xsl:value-of select="substring(s:lastmod, 1, 10)"/></td>
+          </tr>
+        </xsl:for-each>
+      </tbody>
+    </table>
+  </xsl:template>
+</xsl:stylesheet>
+`;
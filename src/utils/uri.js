@@ -0,0 +1,51 @@
+/**
+ * @fileoverview IRI → URI conversion for every URL the plugin writes.
+ *
+ * File names and frontmatter may contain umlauts, CJK characters or spaces,
+ * but sitemaps (RFC 3986) and crawlers expect ASCII URIs. The WHATWG URL
+ * parser does the heavy lifting: it punycodes internationalized hostnames
+ * and percent-encodes path, query and fragment characters as UTF-8, while
+ * leaving existing `%XX` escapes alone, so already-encoded input is not
+ * encoded twice.
+ */
+
+/**
+ * Converts an IRI (or an already valid URI) to an RFC 3986 URI.
+ * @param {string} url - Absolute URL, or a relative one when `base` is given
+ * @param {string} [base] - Base URL for relative input
+ * @returns {string} Encoded URI; input that cannot be parsed is returned unchanged
+ *
+ * @example
+ * toUri('https://bücher.example/de/über uns.html');
+ * // 'https://xn--bcher-kva.example/de/%C3%BCber%20uns.html'
+ * toUri('https://example.com/%C3%BCber'); // unchanged
+ */
+export function toUri(url, base) {
+  if (typeof url !== 'string' || !url) {
+    return url;
+  }
+
+  // A lone '%' is not an escape; encode it so the parser keeps it literal
+  const escaped = url.replace(/%(?![0-9A-Fa-f]{2})/g, '%25');
+  try {
+    return new URL(escaped, base || undefined).href;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Resolves a URL against the hostname. Absolute URLs (starting with 'http')
+ * pass through; relative ones are joined without doubling slashes. The
+ * sitemap writes its `<loc>` values this way, so processors that compare
+ * URLs reason about the same absolute URL that ends up in the sitemap.
+ * @param {string} url - Relative or absolute URL
+ * @param {string} hostname - Base hostname (e.g., 'https://example.com')
+ * @returns {string} Absolute URL, not yet encoded
+ */
+export function absoluteUrl(url, hostname) {
+  if (url.startsWith('http')) {
+    return url;
+  }
+  return `${String(hostname || '').replace(/\/$/, '')}/${url.replace(/^\//, '')}`;
+}
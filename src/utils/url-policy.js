@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Maps output file paths to public URLs under one policy.
+ *
+ * Every output that names a page (canonical link, og:url, JSON-LD, sitemap
+ * `<loc>`, llms.txt links) asks this module when a `urlPolicy` is set, so a
+ * page has exactly one URL across all of them. Without a policy each output
+ * keeps its historical form.
+ *
+ * Rules, in order:
+ * - `index.html` / `index.htm` always becomes its directory (`blog/index.html` → `blog/`)
+ * - `extension: 'strip'` removes `.html` / `.htm` (`about.html` → `about`);
+ *   `'keep'` leaves file names alone
+ * - `trailingSlash` applies to extensionless URLs only: `'always'` adds one
+ *   (`about/`), `'never'` removes one (`blog`), `'preserve'` keeps what the
+ *   previous rules produced (directories end in `/`, pages do not)
+ */
+
+const TRAILING_SLASH = ['always', 'never', 'preserve'];
+const EXTENSION = ['keep', 'strip'];
+
+/**
+ * @typedef {Object} UrlPolicy
+ * @property {'always'|'never'|'preserve'} [trailingSlash='preserve'] - Trailing slash handling
+ * @property {'keep'|'strip'} [extension='keep'] - Whether `.html` suffixes stay in URLs
+ */
+
+/**
+ * Checks a policy once per build so a typo fails loudly.
+ * @param {UrlPolicy} policy - Policy to check
+ * @throws {Error} When an option has an unknown value
+ */
+export function validateUrlPolicy(policy) {
+  const { trailingSlash = 'preserve', extension = 'keep' } = policy;
+  if (!TRAILING_SLASH.includes(trailingSlash)) {
+    throw new Error(
+      `[metalsmith-seo] urlPolicy.trailingSlash must be one of ${TRAILING_SLASH.join(', ')} (got "${trailingSlash}")`
+    );
+  }
+  if (!EXTENSION.includes(extension)) {
+    throw new Error(`[metalsmith-seo] urlPolicy.extension must be one of ${EXTENSION.join(', ')} (got "${extension}")`);
+  }
+}
+
+/**
+ * Maps a file path to its URL path under the policy, relative to the site
+ * root (no leading slash; the home page is the empty string).
+ * @param {string} file - File path relative to the build directory
+ * @param {UrlPolicy} policy - URL policy
+ * @returns {string} Relative URL path
+ *
+ * @example
+ * applyUrlPolicy('blog/post.html', { extension: 'strip', trailingSlash: 'always' }); // 'blog/post/'
+ * applyUrlPolicy('blog/index.html', { trailingSlash: 'never' }); // 'blog'
+ */
+export function applyUrlPolicy(file, policy) {
+  const { trailingSlash = 'preserve', extension = 'keep' } = policy;
+  let url = file.replace(/\\/g, '/').replace(/^\/+/, '');
+
+  let directory = false;
+  if (/(^|\/)index\.html?$/i.test(url)) {
+    url = url.replace(/index\.html?$/i, '');
+    directory = true;
+  } else if (extension === 'strip') {
+    url = url.replace(/\.html?$/i, '');
+  }
+
+  // The site root and URLs that still end in a file extension are final
+  const lastSegment = url.slice(url.lastIndexOf('/') + 1);
+  if (url === '' || (!directory && lastSegment.includes('.'))) {
+    return url;
+  }
+
+  if (trailingSlash === 'always' && !url.endsWith('/')) {
+    return `${url}/`;
+  }
+  if (trailingSlash === 'never') {
+    return url.replace(/\/+$/, '');
+  }
+  return url;
+}
+
+/**
+ * Builds the absolute URL of a file under the policy.
+ * @param {string} file - File path relative to the build directory
+ * @param {string} hostname - Base hostname, optionally with a path prefix
+ * @param {UrlPolicy} policy - URL policy
+ * @returns {string} Absolute URL
+ */
+export function policyUrl(file, hostname, policy) {
+  return `${String(hostname || '').replace(/\/$/, '')}/${applyUrlPolicy(file, policy)}`;
+}
@@ -8,8 +8,12 @@
  *
  * All XML generation functions in this module prioritize security through proper
  * character escaping to prevent XML injection attacks and ensure valid output.
+ * Every URL is converted to an RFC 3986 URI (`utils/uri.js`) before escaping,
+ * so non-ASCII paths and hostnames are valid in `<loc>` and its siblings.
  */
 
+import { absoluteUrl, toUri } from './uri.js';
+
 /**
  * Escapes special XML characters to prevent XML injection and ensure valid output.
  *
@@ -82,6 +86,8 @@ export function escapeXML(str) {
  * 1. **Absolute URLs**: Used as-is if they start with 'http'
  * 2. **Relative URLs**: Combined with hostname, handling trailing/leading slashes
  * 3. **Path normalization**: Ensures no double slashes in the final URL
+ * 4. **URI encoding**: Non-ASCII and unsafe characters are percent-encoded and
+ *    internationalized hostnames punycoded; existing escapes are kept
  *
  * ## Element Generation Rules
  *
@@ -90,12 +96,16 @@ export function escapeXML(str) {
  * - **`<changefreq>`**: Only included if changefreq is specified
  * - **`<priority>`**: Only included if priority is not undefined/null
  * - **`<xhtml:link>`**: Only included for entries with alternate language links
+ * - **`<image:image>`**: Only included for entries with images (image sitemap extension)
+ * - **`<video:video>`**: Only included for entries with videos (video sitemap extension)
+ * - **`<news:news>`**: Only included for entries with news data (news sitemap)
  *
  * ## Namespace Handling
  *
- * The implementation uses minimal namespace declarations to match the original
- * library behavior. The xhtml namespace is not declared in the root element
- * but is used directly in xhtml:link elements (browsers handle this correctly).
+ * Only the sitemap namespace is always declared. The xhtml, image, video and
+ * news namespaces are declared only when at least one entry uses them, so
+ * sitemaps without them are byte-identical to earlier output while sitemaps
+ * that use them are namespace-well-formed XML.
  *
  * ## Performance Optimizations
  *
@@ -112,7 +122,12 @@ export function escapeXML(str) {
  * @param {Array<Object>} [links[].links] - Array of alternate language links
  * @param {string} links[].links[].lang - Language code (e.g., 'en', 'fr')
  * @param {string} links[].links[].url - Absolute URL for the alternate version
+ * @param {Array<string>} [links[].images] - Absolute image URLs for the image sitemap extension
+ * @param {Array<Object>} [links[].videos] - Video entries for the video sitemap extension
+ * @param {Object} [links[].news] - Google News publication data for the news sitemap
  * @param {string} hostname - Base hostname for relative URL resolution (e.g., 'https://example.com')
+ * @param {Object} [options] - Serialization options
+ * @param {string} [options.stylesheet] - href of an XSL stylesheet for browser rendering
  * @returns {string} Complete XML sitemap content ready for file output
  *
  * @example
@@ -137,55 +152,218 @@ export function escapeXML(str) {
  * ];
  * const xml = generateSitemapXML(links, 'https://example.com');
  */
-export function generateSitemapXML(links, hostname) {
-  // Start building the XML - always use basic namespace like the old library
+export function generateSitemapXML(links, hostname, options = {}) {
+  // Start building the XML - basic namespace like the old library, plus the
+  // xhtml/image/video/news namespaces only when an entry actually uses them
   let xml = '<?xml version="1.0" encoding="UTF-8"?>';
-  xml += '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">';
+  xml += stylesheetPI(options.stylesheet);
+  xml += '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"';
+  if (links.some((link) => Array.isArray(link.links) && link.links.some((alt) => alt.lang && alt.url))) {
+    xml += ' xmlns:xhtml="http://www.w3.org/1999/xhtml"';
+  }
+  if (links.some((link) => Array.isArray(link.images) && link.images.length > 0)) {
+    xml += ' xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"';
+  }
+  if (links.some((link) => Array.isArray(link.videos) && link.videos.length > 0)) {
+    xml += ' xmlns:video="http://www.google.com/schemas/sitemap-video/1.1"';
+  }
+  if (links.some((link) => link.news)) {
+    xml += ' xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"';
+  }
+  xml += '>';
 
   // Process each URL entry
   for (const link of links) {
-    xml += '<url>';
+    xml += generateUrlXML(link, hostname);
+  }
 
-    // Build the complete URL with proper hostname handling
-    const fullUrl = link.url.startsWith('http')
-      ? link.url
-      : `${hostname.replace(/\/$/, '')}/${link.url.replace(/^\//, '')}`;
-    xml += `<loc>${escapeXML(fullUrl)}</loc>`;
+  xml += '</urlset>';
 
-    // Add optional lastmod element
-    if (link.lastmod) {
-      xml += `<lastmod>${escapeXML(String(link.lastmod))}</lastmod>`;
-    }
+  return xml;
+}
+
+/**
+ * Generates the `<url>` element for a single sitemap entry.
+ *
+ * Exposed separately from `generateSitemapXML` so the sitemap processor can
+ * measure the serialized size of each entry when splitting large sitemaps
+ * into several files.
+ *
+ * @param {Object} link - Processed URL entry (see `generateSitemapXML`)
+ * @param {string} hostname - Base hostname for relative URL resolution
+ * @returns {string} Serialized `<url>` element
+ */
+export function generateUrlXML(link, hostname) {
+  let xml = '<url>';
 
-    // Add optional changefreq element
-    if (link.changefreq) {
-      xml += `<changefreq>${escapeXML(String(link.changefreq))}</changefreq>`;
+  // Build the complete URL with proper hostname handling
+  xml += `<loc>${escapeXML(toUri(absoluteUrl(link.url, hostname)))}</loc>`;
+
+  // Add optional lastmod element
+  if (link.lastmod) {
+    xml += `<lastmod>${escapeXML(String(link.lastmod))}</lastmod>`;
+  }
+
+  // Add optional changefreq element
+  if (link.changefreq) {
+    xml += `<changefreq>${escapeXML(String(link.changefreq))}</changefreq>`;
+  }
+
+  // Add optional priority element with proper decimal formatting
+  if (link.priority !== undefined && link.priority !== null) {
+    // Ensure priority is formatted with decimal point (e.g., 1.0 not 1)
+    const priorityStr = typeof link.priority === 'number' ? link.priority.toFixed(1) : String(link.priority);
+    xml += `<priority>${escapeXML(priorityStr)}</priority>`;
+  }
+
+  // Add alternate language links (hreflang) if present
+  if (link.links && Array.isArray(link.links)) {
+    for (const altLink of link.links) {
+      if (altLink.lang && altLink.url) {
+        xml += `<xhtml:link rel="alternate" hreflang="${escapeXML(altLink.lang)}" href="${escapeXML(toUri(altLink.url))}"/>`;
+      }
     }
+  }
 
-    // Add optional priority element with proper decimal formatting
-    if (link.priority !== undefined && link.priority !== null) {
-      // Ensure priority is formatted with decimal point (e.g., 1.0 not 1)
-      const priorityStr = typeof link.priority === 'number' ? link.priority.toFixed(1) : String(link.priority);
-      xml += `<priority>${escapeXML(priorityStr)}</priority>`;
+  // Add image sitemap extension entries if present
+  if (Array.isArray(link.images)) {
+    for (const image of link.images) {
+      xml += `<image:image><image:loc>${escapeXML(toUri(image))}</image:loc></image:image>`;
     }
+  }
 
-    // Add alternate language links (hreflang) if present
-    if (link.links && Array.isArray(link.links)) {
-      for (const altLink of link.links) {
-        if (altLink.lang && altLink.url) {
-          xml += `<xhtml:link rel="alternate" hreflang="${escapeXML(altLink.lang)}" href="${escapeXML(altLink.url)}"/>`;
-        }
-      }
+  // Add video sitemap extension entries if present
+  if (Array.isArray(link.videos)) {
+    for (const video of link.videos) {
+      xml += generateVideoXML(video);
     }
+  }
 
-    xml += '</url>';
+  // Add Google News entry if present
+  if (link.news) {
+    xml += generateNewsXML(link.news);
   }
 
-  xml += '</urlset>';
+  xml += '</url>';
+
+  return xml;
+}
+
+/**
+ * Generates one `<video:video>` block. Element order follows Google's video
+ * sitemap reference; optional elements are omitted when not set.
+ * @param {Object} video - Validated video entry
+ * @param {string} video.thumbnailLoc - Thumbnail URL
+ * @param {string} video.title - Video title
+ * @param {string} video.description - Video description
+ * @param {string} [video.contentLoc] - Media file URL
+ * @param {string} [video.playerLoc] - Player URL
+ * @param {number} [video.duration] - Duration in seconds
+ * @param {string} [video.publicationDate] - ISO 8601 publication date
+ * @returns {string} Serialized `<video:video>` element
+ */
+function generateVideoXML(video) {
+  let xml = '<video:video>';
+  xml += `<video:thumbnail_loc>${escapeXML(toUri(video.thumbnailLoc))}</video:thumbnail_loc>`;
+  xml += `<video:title>${escapeXML(video.title)}</video:title>`;
+  xml += `<video:description>${escapeXML(video.description)}</video:description>`;
+  if (video.contentLoc) {
+    xml += `<video:content_loc>${escapeXML(toUri(video.contentLoc))}</video:content_loc>`;
+  }
+  if (video.playerLoc) {
+    xml += `<video:player_loc>${escapeXML(toUri(video.playerLoc))}</video:player_loc>`;
+  }
+  if (video.duration) {
+    xml += `<video:duration>${escapeXML(String(video.duration))}</video:duration>`;
+  }
+  if (video.publicationDate) {
+    xml += `<video:publication_date>${escapeXML(video.publicationDate)}</video:publication_date>`;
+  }
+  xml += '</video:video>';
+  return xml;
+}
 
+/**
+ * Generates one `<news:news>` block with the elements Google News requires.
+ * @param {Object} news - News entry
+ * @param {string} news.publicationName - Publication name
+ * @param {string} news.language - ISO 639 language code
+ * @param {string} news.publicationDate - ISO 8601 publication date
+ * @param {string} news.title - Article title
+ * @returns {string} Serialized `<news:news>` element
+ */
+function generateNewsXML(news) {
+  let xml = '<news:news>';
+  xml += '<news:publication>';
+  xml += `<news:name>${escapeXML(news.publicationName)}</news:name>`;
+  xml += `<news:language>${escapeXML(news.language)}</news:language>`;
+  xml += '</news:publication>';
+  xml += `<news:publication_date>${escapeXML(news.publicationDate)}</news:publication_date>`;
+  xml += `<news:title>${escapeXML(news.title)}</news:title>`;
+  xml += '</news:news>';
   return xml;
 }
 
+/**
+ * Generates a sitemap index file that points at several child sitemaps.
+ *
+ * Used when a site outgrows the sitemaps.org per-file limits (50,000 URLs or
+ * 50 MB uncompressed). The index itself is written to the configured sitemap
+ * output path so robots.txt and search consoles keep a single entry point.
+ *
+ * ```xml
+ * <?xml version="1.0" encoding="UTF-8"?>
+ * <sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+ *   <sitemap>
+ *     <loc>https://example.com/sitemap-1.xml</loc>
+ *     <lastmod>2024-01-15T00:00:00.000Z</lastmod>
+ *   </sitemap>
+ * </sitemapindex>
+ * ```
+ *
+ * @param {Array<Object>} sitemaps - Child sitemap descriptors
+ * @param {string} sitemaps[].url - Relative or absolute URL of the child sitemap
+ * @param {string} [sitemaps[].lastmod] - Most recent lastmod of the entries in the child sitemap
+ * @param {string} hostname - Base hostname for relative URL resolution
+ * @param {Object} [options] - Serialization options
+ * @param {string} [options.stylesheet] - href of an XSL stylesheet for browser rendering
+ * @returns {string} Complete sitemap index XML
+ *
+ * @example
+ * generateSitemapIndexXML(
+ *   [{ url: 'sitemap-1.xml' }, { url: 'sitemap-2.xml', lastmod: '2024-01-15T00:00:00.000Z' }],
+ *   'https://example.com'
+ * );
+ */
+export function generateSitemapIndexXML(sitemaps, hostname, options = {}) {
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>';
+  xml += stylesheetPI(options.stylesheet);
+  xml += '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">';
+
+  for (const sitemap of sitemaps) {
+    xml += '<sitemap>';
+    xml += `<loc>${escapeXML(toUri(absoluteUrl(sitemap.url, hostname)))}</loc>`;
+    if (sitemap.lastmod) {
+      xml += `<lastmod>${escapeXML(String(sitemap.lastmod))}</lastmod>`;
+    }
+    xml += '</sitemap>';
+  }
+
+  xml += '</sitemapindex>';
+
+  return xml;
+}
+
+/**
+ * Builds the `<?xml-stylesheet?>` processing instruction that lets browsers
+ * render the sitemap through an XSL stylesheet. Crawlers ignore it.
+ * @param {string} [href] - Stylesheet URL
+ * @returns {string} Processing instruction, or an empty string without href
+ */
+function stylesheetPI(href) {
+  return href ? `<?xml-stylesheet type="text/xsl" href="${escapeXML(href)}"?>` : '';
+}
+
 /*
  * ## Implementation Notes & Design Decisions
  *
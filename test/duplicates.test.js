@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+const boilerplate = '<html><head></head><body><p>Welcome to our company website.</p></body></html>';
+
+const pages = {
+  'team.html': { title: 'About us', contents: boilerplate },
+  'company.html': { title: 'About  Us', seo: { description: 'Who we are' }, contents: boilerplate },
+  'history.html': { title: 'History', seo: { description: 'Who we are' }, contents: boilerplate },
+  'print/team.html': { title: 'About us', seo: { noIndex: true }, contents: boilerplate },
+  'copy/team.html': {
+    title: 'About us',
+    seo: { canonicalURL: 'https://example.com/team' },
+    contents: boilerplate
+  },
+  'jobs.html': { title: 'Jobs', seo: { description: 'Open positions' }, contents: boilerplate },
+  'jobs/index.html': { title: 'Careers', seo: { description: 'Work with us' }, contents: boilerplate }
+};
+
+/**
+ * Runs a build with the fixture pages.
+ * @param {Object} options - Plugin options
+ * @param {Function} callback - Receives (err, files)
+ */
+function build(options, callback) {
+  Metalsmith('test/fixtures/html')
+    .use(inject(pages))
+    .use(seo({ hostname: 'https://example.com', urlPolicy: { extension: 'strip' }, ...options }))
+    .process(callback);
+}
+
+describe('metalsmith-seo duplicate detection', () => {
+  it('should report pages sharing a title, description or canonical URL', (_t, done) => {
+    build({ duplicates: { enabled: true } }, (err, files) => {
+      if (err) {
+        return done(err);
+      }
+
+      const report = JSON.parse(files['seo-duplicates.json'].contents.toString());
+      assert.deepStrictEqual(report.titles, [{ value: 'About  Us', files: ['company.html', 'team.html'] }]);
+      assert.deepStrictEqual(report.descriptions, [{ value: 'Who we are', files: ['company.html', 'history.html'] }]);
+      assert.deepStrictEqual(report.canonicals, [
+        { value: 'https://example.com/jobs', files: ['jobs.html', 'jobs/index.html'] }
+      ]);
+      done();
+    });
+  });
+
+  it('should catch identical auto-generated descriptions', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(
+        inject({
+          'a.html': { title: 'A', contents: boilerplate },
+          'b.html': { title: 'B', contents: boilerplate }
+        })
+      )
+      .use(
+        seo({
+          hostname: 'https://example.com',
+          enableDuplicateCheck: true,
+          duplicates: { report: false, strict: true }
+        })
+      )
+      .process((err) => {
+        assert(err, 'should fail the build');
+        assert.match(err.message, /description "Welcome to our company website\.": shared by a\.html, b\.html/);
+        done();
+      });
+  });
+
+  it('should fail the build in strict mode', (_t, done) => {
+    build({ duplicates: { enabled: true, strict: true } }, (err) => {
+      assert(err instanceof AggregateError, 'every group is listed');
+      assert.match(err.message, /Duplicate check failed for 3 duplicate\(s\)/);
+      assert.match(err.message, /title "About {2}Us": shared by company\.html, team\.html/);
+      assert.match(
+        err.message,
+        /canonical URL "https:\/\/example\.com\/jobs": shared by jobs\.html, jobs\/index\.html/
+      );
+      done();
+    });
+  });
+});
@@ -0,0 +1,20 @@
+/**
+ * Build a minimal Metalsmith files-plugin that injects in-memory HTML pages
+ * before metalsmith-seo runs. Keeps tests hermetic without needing on-disk
+ * fixtures.
+ * @param {Object<string,Object>} pages - file path -> partial file object
+ *   (contents may be a string; it is converted to a Buffer)
+ * @returns {Function} Metalsmith plugin
+ */
+export function inject(pages) {
+  return (files, _metalsmith, done) => {
+    for (const [file, data] of Object.entries(pages)) {
+      const { contents, ...rest } = data;
+      files[file] = {
+        ...rest,
+        contents: Buffer.isBuffer(contents) ? contents : Buffer.from(contents || '', 'utf-8')
+      };
+    }
+    done();
+  };
+}
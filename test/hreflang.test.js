@@ -0,0 +1,152 @@
+import { describe, it } from 'node:test';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+/**
+ * Runs a build over the given pages only.
+ * @param {Object} pages - Injected pages
+ * @param {Object} options - Plugin options
+ * @param {Function} callback - Receives (err, files)
+ */
+function build(pages, options, callback) {
+  Metalsmith('test/fixtures/html')
+    .use((files, _metalsmith, done) => {
+      for (const file of Object.keys(files)) {
+        delete files[file];
+      }
+      done();
+    })
+    .use(inject(pages))
+    .use(seo({ hostname: 'https://example.com', social: { locale: 'en_US' }, ...options }))
+    .process(callback);
+}
+
+/**
+ * Lists a page's hreflang links as `lang url` strings, in document order.
+ * @param {Object} file - Metalsmith file
+ * @returns {Array<string>} Links
+ */
+function hreflangs(file) {
+  const html = file.contents.toString();
+  return [...html.matchAll(/<link rel="alternate" href="([^"]+)" hreflang="([^"]+)">/g)].map(
+    ([, href, lang]) => `${lang} ${href}`
+  );
+}
+
+const body = '<body><p>Text</p></body>';
+
+describe('metalsmith-seo hreflang', () => {
+  it('should write reciprocal alternates with a self-reference and x-default for translation groups', (_t, done) => {
+    const pages = {
+      'about.html': {
+        title: 'About',
+        contents: `<html><head><link rel="alternate" type="application/rss+xml" href="/feed.xml"><link rel="alternate" hreflang="es" href="/es/about.html"></head>${body}</html>`
+      },
+      'de/about.html': { title: 'Über uns', contents: `<html><head></head>${body}</html>` },
+      'fr/about.html': { title: 'À propos', contents: `<html><head></head>${body}</html>` },
+      'contact.html': { title: 'Contact', contents: `<html><head></head>${body}</html>` }
+    };
+
+    build(pages, { hreflang: { enabled: true, auto: true }, sitemap: { locales: ['de', 'fr'] } }, (err, files) => {
+      if (err) {
+        return done(err);
+      }
+      const expected = [
+        'en-US https://example.com/about',
+        'de https://example.com/de/about',
+        'fr https://example.com/fr/about',
+        'x-default https://example.com/about'
+      ];
+      assert.deepEqual(hreflangs(files['about.html']), expected);
+      assert.deepEqual(hreflangs(files['de/about.html']), expected);
+      assert.deepEqual(hreflangs(files['contact.html']), [], 'no translations, no alternates');
+
+      const about = files['about.html'].contents.toString();
+      assert(about.includes('<link rel="alternate" type="application/rss+xml" href="/feed.xml">'), 'feed link kept');
+      assert(!about.includes('hreflang="es"'), 'stale alternates are replaced');
+      done();
+    });
+  });
+
+  it('should complete frontmatter alternates and report links that are not returned', (_t, done) => {
+    const pages = {
+      'index.html': {
+        title: 'Home',
+        seo: {
+          alternates: [
+            { lang: 'de', url: '/de/' },
+            { lang: 'es', url: '/es/' }
+          ]
+        },
+        contents: `<html><head></head>${body}</html>`
+      },
+      'de/index.html': {
+        title: 'Startseite',
+        locale: 'de',
+        seo: { alternates: [{ lang: 'en', url: 'https://example.com/' }] },
+        contents: `<html><head></head>${body}</html>`
+      },
+      'fr/index.html': {
+        title: 'Accueil',
+        locale: 'fr',
+        seo: {
+          alternates: [
+            { lang: 'en_US', url: '/' },
+            { lang: 'fr-CA', url: 'https://example.ca/' }
+          ]
+        },
+        contents: `<html><head></head>${body}</html>`
+      }
+    };
+
+    const urlPolicy = { extension: 'strip' };
+    build(pages, { enableHreflang: true, urlPolicy }, (err, files) => {
+      if (err) {
+        return done(err);
+      }
+      assert.deepEqual(hreflangs(files['index.html']), [
+        'en-US https://example.com/',
+        'de https://example.com/de/',
+        'es https://example.com/es/',
+        'x-default https://example.com/'
+      ]);
+      assert.deepEqual(hreflangs(files['fr/index.html']), [
+        'fr https://example.com/fr/',
+        'en-US https://example.com/',
+        'fr-CA https://example.ca/',
+        'x-default https://example.com/'
+      ]);
+
+      build(pages, { hreflang: { enabled: true, strict: true }, urlPolicy }, (err2) => {
+        assert(err2 instanceof AggregateError, 'every problem is listed');
+        assert.match(err2.message, /hreflang validation failed for 2 problem\(s\)/);
+        assert.match(
+          err2.message,
+          /- index\.html: es alternate https:\/\/example\.com\/es\/ is not a page in this build/
+        );
+        assert.match(
+          err2.message,
+          /- fr\/index\.html: en-US alternate https:\/\/example\.com\/ does not link back \(index\.html has no alternate for this page\)/
+        );
+        done();
+      });
+    });
+  });
+
+  it('should reject malformed alternates lists', (_t, done) => {
+    const page = (alternates) => ({
+      'a.html': { title: 'A', seo: { alternates }, contents: `<html><head></head>${body}</html>` }
+    });
+
+    build(page({ lang: 'de', url: '/de/a.html' }), { enableHreflang: true }, (err) => {
+      assert.match(err.message, /a\.html: seo\.alternates must be a list of \{ lang, url \}/);
+
+      build(page([{ lang: 'German', url: '/de/a.html' }]), { enableHreflang: true }, (err2) => {
+        assert.match(err2.message, /a\.html: seo\.alternates\[0\]\.lang "German" is not a language code or x-default/);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, before, after } from 'node:test';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+/**
+ * Returns the <url> element for a page from the sitemap XML.
+ * @param {string} xml - Sitemap XML
+ * @param {string} loc - Absolute page URL
+ * @returns {string} The matching <url>…</url> block
+ */
+function urlBlock(xml, loc) {
+  const start = xml.indexOf(`<url><loc>${loc}</loc>`);
+  assert(start !== -1, `sitemap should contain ${loc}`);
+  return xml.slice(start, xml.indexOf('</url>', start) + '</url>'.length);
+}
+
+const html = '<html><head><title>Page</title></head><body><p>Body</p></body></html>';
+
+describe('metalsmith-seo lastmodSource', () => {
+  it("should use file stats for the sitemap and article:modified_time with 'stats'", (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(
+        inject({
+          'story.html': {
+            title: 'Story',
+            date: '2026-01-01',
+            author: 'Sam Writer',
+            stats: { mtime: new Date('2026-02-03T10:00:00.000Z') },
+            contents: html
+          },
+          'pinned.html': {
+            title: 'Pinned',
+            lastmod: '2025-12-24',
+            stats: { mtime: new Date('2026-02-03T10:00:00.000Z') },
+            contents: html
+          }
+        })
+      )
+      .use(seo({ hostname: 'https://example.com', sitemap: { lastmodSource: 'stats' } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const sitemap = files['sitemap.xml'].contents.toString();
+        assert(
+          urlBlock(sitemap, 'https://example.com/story.html').includes('<lastmod>2026-02-03T00:00:00.000Z</lastmod>')
+        );
+        assert(
+          urlBlock(sitemap, 'https://example.com/pinned.html').includes('<lastmod>2025-12-24T00:00:00.000Z</lastmod>'),
+          'frontmatter lastmod should win over file stats'
+        );
+
+        const story = files['story.html'].contents.toString();
+        assert(story.includes('article:modified_time'), 'head pass should receive the derived date');
+        assert(story.includes('2026-02-03T10:00:00.000Z'));
+        done();
+      });
+  });
+
+  it('should accept a custom function and feed the changefreq heuristic', (_t, done) => {
+    const recent = new Date(Date.now() - 5 * 24 * 60 * 60 * 1000);
+    Metalsmith('test/fixtures/html')
+      .use(
+        inject({
+          'fresh.html': { title: 'Fresh', contents: html },
+          'old.html': { title: 'Old', contents: html }
+        })
+      )
+      .use(
+        seo({
+          hostname: 'https://example.com',
+          sitemap: { lastmodSource: async (file) => (file === 'fresh.html' ? recent : undefined) }
+        })
+      )
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const sitemap = files['sitemap.xml'].contents.toString();
+        const fresh = urlBlock(sitemap, 'https://example.com/fresh.html');
+        assert(fresh.includes('<changefreq>monthly</changefreq>'), 'recently modified pages change monthly');
+        assert(fresh.includes('<lastmod>'));
+        const old = urlBlock(sitemap, 'https://example.com/old.html');
+        assert(old.includes('<changefreq>yearly</changefreq>'));
+        assert(!old.includes('<lastmod>'), 'pages without a date get no lastmod');
+        done();
+      });
+  });
+
+  it('should reject an unknown strategy', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(seo({ hostname: 'https://example.com', sitemap: { lastmodSource: 'mtime' } }))
+      .process((err) => {
+        assert(err, 'should fail the build');
+        assert.match(err.message, /Unknown lastmodSource "mtime"/);
+        done();
+      });
+  });
+
+  describe("with 'git'", () => {
+    let repo;
+
+    before(() => {
+      repo = mkdtempSync(path.join(tmpdir(), 'metalsmith-seo-git-'));
+      mkdirSync(path.join(repo, 'src', 'blog'), { recursive: true });
+      const git = (args, date) =>
+        execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], {
+          cwd: repo,
+          env: { ...process.env, GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date },
+          stdio: 'ignore'
+        });
+
+      git(['init', '-q']);
+      writeFileSync(path.join(repo, 'src', 'about.html'), html);
+      writeFileSync(path.join(repo, 'src', 'blog', 'post.md'), html);
+      git(['add', '.']);
+      git(['commit', '-q', '-m', 'initial'], '2025-06-01T12:00:00Z');
+      writeFileSync(path.join(repo, 'src', 'blog', 'post.md'), `${html}\n`);
+      git(['commit', '-q', '-am', 'edit post'], '2025-09-15T12:00:00Z');
+    });
+
+    after(() => {
+      rmSync(repo, { recursive: true, force: true });
+    });
+
+    it('should use the last commit date, matching renamed sources by stem', (_t, done) => {
+      Metalsmith(repo)
+        .source('src')
+        .use((files, _metalsmith, next) => {
+          // Stand-in for a markdown plugin: post.md -> post.html
+          files[path.join('blog', 'post.html')] = files[path.join('blog', 'post.md')];
+          delete files[path.join('blog', 'post.md')];
+          next();
+        })
+        .use(seo({ hostname: 'https://example.com', sitemap: { lastmodSource: 'git' } }))
+        .process((err, files) => {
+          if (err) {
+            return done(err);
+          }
+          const sitemap = files['sitemap.xml'].contents.toString();
+          assert(
+            urlBlock(sitemap, 'https://example.com/about.html').includes('<lastmod>2025-06-01T00:00:00.000Z</lastmod>')
+          );
+          assert(
+            urlBlock(sitemap, 'https://example.com/blog/post.html').includes(
+              '<lastmod>2025-09-15T00:00:00.000Z</lastmod>'
+            )
+          );
+          done();
+        });
+    });
+  });
+});
@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+const page = (links) =>
+  `<html><head></head><body>${links.map((href) => `<a href="${href}">link</a>`).join('')}</body></html>`;
+
+const site = {
+  'index.html': {
+    title: 'Home',
+    contents: page([
+      '/about/',
+      'blog/',
+      'docs/guide.html#intro',
+      '/missing.html',
+      '/secret.html',
+      '/files/report.pdf',
+      '/sitemap.xml',
+      'https://other.example.org/about.html',
+      'mailto:team@example.com',
+      '#top'
+    ])
+  },
+  'about.html': { title: 'About', contents: page(['index.html', 'https://example.com/blog/?page=2']) },
+  'blog/index.html': { title: 'Blog', contents: page(['post.html', '../about.html', 'draft.html']) },
+  'blog/post.html': { title: 'Post', contents: page(['./', '/blog/post.html']) },
+  'blog/draft.html': { title: 'Draft', seo: { noIndex: true }, contents: page([]) },
+  'docs/guide.html': { title: 'Guide', contents: page([]) },
+  'secret.html': { title: 'Secret', private: true, contents: page([]) },
+  'lonely.html': { title: 'Lonely', contents: page([]) },
+  'files/report.pdf': { contents: '%PDF-1.4' }
+};
+
+/**
+ * Runs a build over the injected site only.
+ * @param {Object} options - Plugin options
+ * @param {Function} callback - Receives (err, files)
+ */
+function build(options, callback) {
+  Metalsmith('test/fixtures/html')
+    .use((files, _metalsmith, done) => {
+      for (const file of Object.keys(files)) {
+        delete files[file];
+      }
+      done();
+    })
+    .use(inject(site))
+    .use(seo({ hostname: 'https://example.com', ...options }))
+    .process(callback);
+}
+
+describe('metalsmith-seo internal links', () => {
+  it('should report broken links, links to hidden pages, orphans and inbound counts', (_t, done) => {
+    build({ links: { enabled: true, ignore: ['sitemap.xml'] } }, (err, files) => {
+      if (err) {
+        return done(err);
+      }
+      const report = JSON.parse(files['seo-links.json'].contents.toString());
+
+      assert.deepEqual(report.broken, [{ file: 'index.html', href: '/missing.html' }]);
+      assert.deepEqual(report.restricted, [
+        { file: 'blog/index.html', href: 'draft.html', target: 'blog/draft.html', reason: 'noindex' },
+        { file: 'index.html', href: '/secret.html', target: 'secret.html', reason: 'private' }
+      ]);
+      assert.deepEqual(report.orphans, ['lonely.html']);
+      assert.deepEqual(report.inbound, {
+        'about.html': 2,
+        'blog/draft.html': 1,
+        'blog/index.html': 3,
+        'blog/post.html': 1,
+        'docs/guide.html': 1,
+        'index.html': 1,
+        'lonely.html': 0,
+        'secret.html': 1
+      });
+      done();
+    });
+  });
+
+  it('should fail on broken links in strict mode', (_t, done) => {
+    build({ enableLinkCheck: true, links: { strict: true } }, (err) => {
+      assert(err instanceof AggregateError, 'every broken link is listed');
+      assert.match(err.message, /Link check failed for 2 broken link\(s\)/);
+      assert.match(err.message, /index\.html: broken link \/missing\.html/);
+      assert.match(err.message, /index\.html: broken link \/sitemap\.xml/);
+      done();
+    });
+  });
+
+  it('should rank sitemap priority by inbound links with priorityBy: links', (_t, done) => {
+    build({ sitemap: { priorityBy: 'links' } }, (err, files) => {
+      if (err) {
+        return done(err);
+      }
+      assert(!files['seo-links.json'], 'the link check itself stays off');
+      const sitemap = files['sitemap.xml'].contents.toString();
+      const priority = (loc) => {
+        const block = sitemap.slice(sitemap.indexOf(`<loc>${loc}</loc>`));
+        return block.slice(block.indexOf('<priority>') + 10, block.indexOf('</priority>'));
+      };
+
+      assert.equal(priority('https://example.com/index.html'), '1.0');
+      assert.equal(priority('https://example.com/blog/index.html'), '0.9', 'most linked');
+      assert.equal(priority('https://example.com/about.html'), '0.8');
+      assert.equal(priority('https://example.com/blog/post.html'), '0.6', 'deep but linked');
+      assert.equal(priority('https://example.com/lonely.html'), '0.3', 'orphan');
+
+      build({ sitemap: { priorityBy: 'popularity' } }, (err2) => {
+        assert.match(err2.message, /sitemap\.priorityBy must be one of depth, links \(got "popularity"\)/);
+        done();
+      });
+    });
+  });
+});
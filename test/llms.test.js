@@ -1,29 +1,9 @@
 import { describe, it } from 'node:test';
 import Metalsmith from 'metalsmith';
 import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
 import assert from 'node:assert/strict';
 
-/**
- * Build a minimal Metalsmith files-plugin that injects in-memory HTML pages
- * before metalsmith-seo runs. Keeps tests hermetic without needing on-disk
- * fixtures, matching the pattern used in robots.test.js.
- * @param {Object<string,Object>} pages - file path -> partial file object
- *   (contents may be a string; it is converted to a Buffer)
- * @returns {Function} Metalsmith plugin
- */
-function inject(pages) {
-  return (files, _metalsmith, done) => {
-    for (const [file, data] of Object.entries(pages)) {
-      const { contents, ...rest } = data;
-      files[file] = {
-        ...rest,
-        contents: Buffer.isBuffer(contents) ? contents : Buffer.from(contents || '', 'utf-8')
-      };
-    }
-    done();
-  };
-}
-
 describe('metalsmith-seo llms.txt functionality', () => {
   it('should not emit llms.txt by default', (_t, done) => {
     Metalsmith('test/fixtures/html')
@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+const buildTime = '2026-03-10T12:00:00.000Z';
+
+const newsroom = {
+  'news/fresh.html': {
+    title: 'Council approves budget',
+    date: '2026-03-10T08:00:00.000Z',
+    author: 'Jo Reporter',
+    contents: '<p>Fresh</p>'
+  },
+  'news/yesterday.html': {
+    title: 'Storm closes schools',
+    date: '2026-03-09T09:30:00.000Z',
+    author: 'Jo Reporter',
+    contents: '<p>Yesterday</p>'
+  },
+  'news/stale.html': {
+    title: 'Old story',
+    date: '2026-03-07T12:00:00.000Z',
+    author: 'Jo Reporter',
+    contents: '<p>Stale</p>'
+  },
+  'news/embargoed.html': {
+    title: 'Tomorrow',
+    date: '2026-03-11T06:00:00.000Z',
+    author: 'Jo Reporter',
+    contents: '<p>Embargoed</p>'
+  },
+  'about.html': { title: 'About us', date: '2026-03-10T08:00:00.000Z', contents: '<p>Not an article</p>' }
+};
+
+describe('metalsmith-seo news sitemap', () => {
+  it('should not emit a news sitemap by default', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(newsroom))
+      .use(seo({ hostname: 'https://example.com' }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        assert(!files['news-sitemap.xml'], 'news sitemap is opt-in');
+        assert(!files['robots.txt'].contents.toString().includes('news-sitemap.xml'));
+        done();
+      });
+  });
+
+  it('should list recent articles with publication data from social', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(newsroom))
+      .use(
+        seo({
+          hostname: 'https://example.com',
+          social: { siteName: 'The Daily Example', locale: 'en_GB' },
+          newsSitemap: { enabled: true, buildTime }
+        })
+      )
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const xml = files['news-sitemap.xml'].contents.toString();
+        assert(xml.includes('xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"'));
+
+        const locs = [...xml.matchAll(/<loc>([^<]+)<\/loc>/g)].map((m) => m[1]);
+        assert.deepEqual(
+          locs,
+          ['https://example.com/news/fresh.html', 'https://example.com/news/yesterday.html'],
+          'only in-window articles, newest first'
+        );
+        assert(
+          xml.includes(
+            '<news:news><news:publication><news:name>The Daily Example</news:name>' +
+              '<news:language>en</news:language></news:publication>' +
+              '<news:publication_date>2026-03-10T08:00:00.000Z</news:publication_date>' +
+              '<news:title>Council approves budget</news:title></news:news>'
+          )
+        );
+
+        const robots = files['robots.txt'].contents.toString();
+        assert(
+          robots.includes('Sitemap: https://example.com/sitemap.xml\nSitemap: https://example.com/news-sitemap.xml')
+        );
+        done();
+      });
+  });
+
+  it('should honor explicit publication settings, window and output', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(newsroom))
+      .use(
+        seo({
+          hostname: 'https://example.com',
+          social: { siteName: 'Ignored', locale: 'zh_TW' },
+          newsSitemap: {
+            enabled: true,
+            buildTime,
+            output: 'feeds/news.xml',
+            publicationName: 'Example News',
+            maxAgeHours: 96
+          }
+        })
+      )
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const xml = files['feeds/news.xml'].contents.toString();
+        assert.equal((xml.match(/<url>/g) || []).length, 3, 'stale article is inside a 96 hour window');
+        assert(xml.includes('<news:name>Example News</news:name>'));
+        assert(xml.includes('<news:language>zh-tw</news:language>'));
+        assert(!xml.includes('embargoed'), 'future-dated articles are not listed');
+        assert(files['robots.txt'].contents.toString().includes('Sitemap: https://example.com/feeds/news.xml'));
+        done();
+      });
+  });
+});
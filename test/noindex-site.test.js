@@ -0,0 +1,83 @@
+import { describe, it, afterEach } from 'node:test';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+const pages = {
+  'about.html': {
+    title: 'About',
+    seo: { robots: 'index,follow' },
+    contents: '<html><head><title>About</title></head><body><p>About</p></body></html>'
+  },
+  'robots.txt': { contents: 'User-agent: *\nAllow: /\n' }
+};
+
+/**
+ * Asserts that a build was produced in staging mode.
+ * @param {Object} files - Metalsmith files object
+ */
+function assertBlocked(files) {
+  assert.equal(files['robots.txt'].contents.toString(), 'User-agent: *\nDisallow: /\n');
+  assert(files['about.html'].contents.toString().includes('<meta name="robots" content="noindex,nofollow">'));
+  assert(!files['sitemap.xml'], 'no sitemap');
+  assert(!files['llms.txt'], 'no llms.txt');
+}
+
+describe('metalsmith-seo noindexSite', () => {
+  afterEach(() => {
+    delete process.env.METALSMITH_ENV;
+  });
+
+  it('should block indexing everywhere with noindexSite: true', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(pages))
+      .use(seo({ hostname: 'https://staging.example.com', noindexSite: true, llms: { enabled: true } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        assertBlocked(files);
+        done();
+      });
+  });
+
+  it('should switch on for a staging METALSMITH_ENV and respect an explicit false', (_t, done) => {
+    process.env.METALSMITH_ENV = 'staging';
+    Metalsmith('test/fixtures/html')
+      .use(inject(pages))
+      .use(seo({ hostname: 'https://staging.example.com', llms: { enabled: true } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        assertBlocked(files);
+
+        Metalsmith('test/fixtures/html')
+          .use(inject(pages))
+          .use(seo({ hostname: 'https://example.com', noindexSite: false }))
+          .process((err2, files2) => {
+            if (err2) {
+              return done(err2);
+            }
+            assert(files2['sitemap.xml'], 'explicit false wins over the environment');
+            assert(files2['about.html'].contents.toString().includes('content="index,follow"'));
+            done();
+          });
+      });
+  });
+
+  it('should read the environment from metalsmith.env() and custom noindexEnvironments', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .env('METALSMITH_ENV', 'qa')
+      .use(inject(pages))
+      .use(seo({ hostname: 'https://qa.example.com', noindexEnvironments: ['qa'] }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        assertBlocked(files);
+        done();
+      });
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it } from 'node:test';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+const page = (title) => `<html><head><title>${title}</title></head><body><p>${title}</p></body></html>`;
+
+const pages = {
+  'drafts/index.html': { title: 'Drafts', seo: { noIndex: true }, contents: page('Drafts') },
+  'about.html': { title: 'About', contents: page('About') },
+  'files/report.pdf': { contents: '%PDF-1.4' },
+  'feed.xml': { contents: '<rss/>' }
+};
+
+const rules = [
+  { pattern: '**/*.pdf', robots: 'noindex' },
+  { pattern: 'feed.xml', robots: 'noindex,noarchive' }
+];
+
+/**
+ * Runs a build with the fixture pages and returns its files.
+ * @param {Object} options - Plugin options
+ * @param {Function} callback - Receives (err, files)
+ */
+function build(options, callback) {
+  Metalsmith('test/fixtures/html')
+    .use(inject(pages))
+    .use(seo({ hostname: 'https://example.com', ...options }))
+    .process(callback);
+}
+
+describe('metalsmith-seo X-Robots-Tag headers', () => {
+  it('should write a _headers file from page directives and glob rules', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject({ ...pages, _headers: { contents: '/*\n  X-Frame-Options: DENY\n' } }))
+      .use(seo({ hostname: 'https://example.com', robotsHeaders: { enabled: true, rules } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+
+        assert.strictEqual(
+          files._headers.contents.toString(),
+          [
+            '/*',
+            '  X-Frame-Options: DENY',
+            '',
+            '/drafts/',
+            '  X-Robots-Tag: noindex,nofollow',
+            '',
+            '/drafts/index.html',
+            '  X-Robots-Tag: noindex,nofollow',
+            '',
+            '/feed.xml',
+            '  X-Robots-Tag: noindex,noarchive',
+            '',
+            '/files/report.pdf',
+            '  X-Robots-Tag: noindex',
+            ''
+          ].join('\n')
+        );
+        done();
+      });
+  });
+
+  it('should write Vercel and nginx formats', (_t, done) => {
+    build({ robotsHeaders: { enabled: true, format: 'vercel', rules } }, (err, files) => {
+      if (err) {
+        return done(err);
+      }
+
+      const vercel = JSON.parse(files['vercel-headers.json'].contents.toString());
+      assert.deepStrictEqual(vercel.headers[0], {
+        source: '/drafts/',
+        headers: [{ key: 'X-Robots-Tag', value: 'noindex,nofollow' }]
+      });
+      assert.strictEqual(vercel.headers.length, 4);
+
+      build(
+        { enableRobotsHeaders: true, robotsHeaders: { format: 'nginx', output: 'conf/robots.conf' } },
+        (err2, files2) => {
+          if (err2) {
+            return done(err2);
+          }
+
+          assert.strictEqual(
+            files2['conf/robots.conf'].contents.toString(),
+            [
+              '# Include in the http block, then add to the server block:',
+              '#   add_header X-Robots-Tag $x_robots_tag always;',
+              'map $uri $x_robots_tag {',
+              '  default "";',
+              '  "/drafts/" "noindex,nofollow";',
+              '  "/drafts/index.html" "noindex,nofollow";',
+              '}',
+              ''
+            ].join('\n')
+          );
+          done();
+        }
+      );
+    });
+  });
+
+  it('should cover every path in noindexSite mode and reject unknown formats', (_t, done) => {
+    build({ noindexSite: true, robotsHeaders: { enabled: true, format: 'cloudflare' } }, (err, files) => {
+      if (err) {
+        return done(err);
+      }
+      assert.strictEqual(files._headers.contents.toString(), '/*\n  X-Robots-Tag: noindex,nofollow\n');
+
+      build({ robotsHeaders: { enabled: true, format: 'apache' } }, (err2) => {
+        assert(err2, 'should fail the build');
+        assert.match(err2.message, /robotsHeaders\.format must be one of netlify, cloudflare, vercel, nginx/);
+        done();
+      });
+    });
+  });
+});
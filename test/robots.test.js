@@ -162,6 +162,76 @@ describe('metalsmith-seo robots.txt functionality', () => {
       });
   });
 
+  it('should write one block per user-agent group', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(
+        seo({
+          hostname: 'https://example.com',
+          robots: {
+            groups: [
+              { userAgent: '*', disallow: ['/admin/'], allow: ['/admin/public/'] },
+              { userAgent: ['Bingbot', 'Slurp'], disallow: ['/search'], crawlDelay: 5 },
+              { userAgent: 'Evil\nBot', disallow: ['/\nAllow: /'] }
+            ]
+          }
+        })
+      )
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+
+        assert.equal(
+          files['robots.txt'].contents.toString(),
+          [
+            'User-agent: *',
+            'Allow: /admin/public/',
+            'Disallow: /admin/',
+            '',
+            'User-agent: Bingbot',
+            'User-agent: Slurp',
+            'Disallow: /search',
+            'Crawl-delay: 5',
+            '',
+            'User-agent: EvilBot',
+            'Disallow: /Allow: /',
+            '',
+            'Sitemap: https://example.com/sitemap.xml',
+            ''
+          ].join('\n')
+        );
+        done();
+      });
+  });
+
+  it('should append AI training crawler groups with the blockAiTraining preset', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(seo({ hostname: 'https://example.com', robots: { presets: ['blockAiTraining'] } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+
+        const content = files['robots.txt'].contents.toString();
+        assert(content.startsWith('User-agent: *\nDisallow:\n\n'), 'default group stays first and open');
+        for (const agent of ['GPTBot', 'CCBot', 'Google-Extended', 'anthropic-ai']) {
+          assert(content.includes(`User-agent: ${agent}\n`), `should block ${agent}`);
+        }
+        assert(content.includes('Disallow: /\n\nSitemap:'), 'preset group disallows everything');
+        done();
+      });
+  });
+
+  it('should reject an unknown preset', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(seo({ hostname: 'https://example.com', robots: { presets: ['blockEverything'] } }))
+      .process((err) => {
+        assert(err, 'should fail the build');
+        assert.match(err.message, /Unknown robots preset "blockEverything"/);
+        done();
+      });
+  });
+
   it('should respect enableRobots=false option', (_t, done) => {
     Metalsmith('test/fixtures/html')
       .use(
@@ -185,6 +255,231 @@ describe('metalsmith-seo robots.txt functionality', () => {
       });
   });
 
+  it('should merge configured rules and private pages into an existing robots.txt in place', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use((files, _metalsmith, done) => {
+        files['robots.txt'] = {
+          contents: Buffer.from(
+            '# Legacy rules\nuser-agent: *\ndisallow: /admin/\n\nUser-agent: Googlebot\nAllow: /\n\nSitemap: http://www.example.com/sitemap.xml\nSitemap: https://example.com/feeds/extra.xml\n'
+          )
+        };
+        files['drafts/index.html'] = { private: true, contents: Buffer.from('<html><head></head></html>') };
+        done();
+      })
+      .use(
+        seo({ hostname: 'https://example.com', robots: { disallowPaths: ['/admin/', '/api/'], disallowPrivate: true } })
+      )
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+
+        assert.strictEqual(
+          files['robots.txt'].contents.toString(),
+          [
+            '# Legacy rules',
+            'user-agent: *',
+            'disallow: /admin/',
+            'Disallow: /api/',
+            'Disallow: /drafts/$',
+            '',
+            'User-agent: Googlebot',
+            'Allow: /',
+            '',
+            'Sitemap: https://example.com/sitemap.xml',
+            'Sitemap: https://example.com/feeds/extra.xml',
+            ''
+          ].join('\n')
+        );
+        done();
+      });
+  });
+
+  it('should keep sitemaps served by other hosts and systems', (_t, done) => {
+    const original =
+      'User-agent: *\nDisallow:\n\nSitemap: https://cdn.example.net/sitemap.xml\nSitemap: https://example.com/app/sitemap.xml\n';
+    Metalsmith('test/fixtures/html')
+      .use((files, _metalsmith, done) => {
+        files['robots.txt'] = { contents: Buffer.from(original) };
+        done();
+      })
+      .use(seo({ hostname: 'https://example.com' }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+
+        assert.strictEqual(files['robots.txt'].contents.toString(), original);
+        done();
+      });
+  });
+
+  it('should keep existing rules that conflict with the configuration', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use((files, _metalsmith, done) => {
+        files['robots.txt'] = {
+          contents: Buffer.from('User-agent: *\nAllow: /api/\nAllow: /tmp/\nDisallow: /tmp/\nHost: example.com\n')
+        };
+        done();
+      })
+      .use(seo({ hostname: 'https://example.com', robots: { disallowPaths: ['/api/'] } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+
+        const content = files['robots.txt'].contents.toString();
+        assert(!content.includes('Disallow: /api/'), 'Allow in the existing file wins');
+        assert(content.includes('Host: example.com\n'), 'unknown directives pass through');
+        done();
+      });
+  });
+
+  it('should leave sitemap references alone when addSitemapReference is false', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use((files, _metalsmith, done) => {
+        files['robots.txt'] = {
+          contents: Buffer.from('User-agent: *\nDisallow:\nSitemap: https://old.example.com/sitemap.xml\n')
+        };
+        done();
+      })
+      .use(seo({ hostname: 'https://example.com', robots: { addSitemapReference: false } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+
+        assert.strictEqual(
+          files['robots.txt'].contents.toString(),
+          'User-agent: *\nDisallow:\nSitemap: https://old.example.com/sitemap.xml\n'
+        );
+        done();
+      });
+  });
+
+  it('should pass an existing robots.txt through untouched when there is nothing to merge', (_t, done) => {
+    const original =
+      '# Legacy rules\nuser-agent: *\ndisallow: /admin/  # keep bots out\n\nSitemap: https://example.com/sitemap.xml\n';
+    Metalsmith('test/fixtures/html')
+      .use((files, _metalsmith, done) => {
+        files['robots.txt'] = { contents: Buffer.from(original) };
+        done();
+      })
+      .use(seo({ hostname: 'https://example.com', robots: { disallowPaths: ['/admin/'] } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+
+        assert.strictEqual(files['robots.txt'].contents.toString(), original);
+        done();
+      });
+  });
+
+  it('should only publish private page paths with disallowPrivate', (_t, done) => {
+    const addDraft = (files, _metalsmith, next) => {
+      files['drafts/index.html'] = { private: true, contents: Buffer.from('<html><head></head></html>') };
+      next();
+    };
+
+    Metalsmith('test/fixtures/html')
+      .use(addDraft)
+      .use(seo({ hostname: 'https://example.com', robots: { disallowPaths: ['/admin/'] } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        assert(!files['robots.txt'].contents.toString().includes('/drafts/'), 'private paths stay unpublished');
+
+        Metalsmith('test/fixtures/html')
+          .use(addDraft)
+          .use(seo({ hostname: 'https://example.com', robots: { disallowPaths: ['/admin/'], disallowPrivate: true } }))
+          .process((err2, files2) => {
+            if (err2) {
+              return done(err2);
+            }
+            assert.strictEqual(
+              files2['robots.txt'].contents.toString(),
+              'User-agent: *\nDisallow: /admin/\nDisallow: /drafts/$\n\nSitemap: https://example.com/sitemap.xml\n'
+            );
+            done();
+          });
+      });
+  });
+
+  it('should fail a strict build listing every robots.txt problem', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use((files, _metalsmith, done) => {
+        files['robots.txt'] = {
+          contents: Buffer.from(
+            'Allow: /public/\nDisalow: /tmp/\nUser-agent: *\nDisallow: private/\nSitemap: /sitemap.xml\n'
+          )
+        };
+        done();
+      })
+      .use(seo({ hostname: 'https://example.com', robots: { addSitemapReference: false, strict: true } }))
+      .process((err) => {
+        assert(err instanceof AggregateError, 'should fail with every problem');
+        assert.match(err.message, /robots\.txt validation failed for 4 problem\(s\)/);
+        assert.match(err.message, /robots\.txt:1: Allow appears before any User-agent line/);
+        assert.match(err.message, /robots\.txt:2: Unknown directive "Disalow"/);
+        assert.match(err.message, /Disallow path must start with "\/" or "\*" \(got "private\/"\)/);
+        assert.match(err.message, /Sitemap URL must be absolute \(got "\/sitemap\.xml"\)/);
+        done();
+      });
+  });
+
+  it('should report problems at their line in the existing robots.txt, not the merged one', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use((files, _metalsmith, done) => {
+        files['robots.txt'] = {
+          contents: Buffer.from('# Staging rules\n# Keep in sync with nginx\nUser-agent: *\nDisallow: private/\n')
+        };
+        done();
+      })
+      .use(seo({ hostname: 'https://example.com', robots: { disallowPaths: ['/api/', 'tmp/'], strict: true } }))
+      .process((err) => {
+        assert(err instanceof AggregateError, 'should fail with every problem');
+        assert.match(err.message, /robots\.txt validation failed for 2 problem\(s\)/);
+        assert.match(err.message, /robots\.txt:4: Disallow path must start with "\/" or "\*" \(got "private\/"\)/);
+        assert.match(err.message, /configured rule: Disallow path must start with "\/" or "\*" \(got "tmp\/"\)/);
+        done();
+      });
+  });
+
+  it('should flag Disallow rules that block sitemap pages', (_t, done) => {
+    const options = { hostname: 'https://example.com', robots: { disallowPaths: ['/*.html$'] } };
+
+    Metalsmith('test/fixtures/html')
+      .use(seo(options))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        assert(
+          files['robots.txt'].contents.toString().includes('Disallow: /*.html$'),
+          'warnings do not fail the build'
+        );
+
+        Metalsmith('test/fixtures/html')
+          .use(seo({ ...options, robots: { ...options.robots, strict: true } }))
+          .process((strictErr) => {
+            assert(strictErr, 'strict mode should fail the build');
+            assert.match(
+              strictErr.message,
+              /robots\.txt: Disallow: \/\*\.html\$ blocks 1 sitemap URL\(s\): https:\/\/example\.com\/index\.html/
+            );
+            done();
+          });
+      });
+  });
+
+  it('should pass strict validation for the default generated file', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(seo({ hostname: 'https://example.com', robots: { strict: true, presets: ['blockAiTraining'] } }))
+      .process((err) => done(err));
+  });
+
   it('should coordinate with custom sitemap filename', (_t, done) => {
     Metalsmith('test/fixtures/html')
       .use(
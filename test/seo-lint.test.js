@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+const body = (inner) =>
+  `<html><head></head><body><p>A paragraph that is long enough to become a useful description.</p>${inner}</body></html>`;
+
+/**
+ * Runs a build over in-memory pages only.
+ * @param {Object} pages - Injected pages
+ * @param {Object} options - Plugin options
+ * @param {Function} callback - Receives (err, files)
+ */
+function build(pages, options, callback) {
+  Metalsmith('test/fixtures/html')
+    .use((files, _metalsmith, done) => {
+      for (const file of Object.keys(files)) {
+        delete files[file];
+      }
+      done();
+    })
+    .use(inject(pages))
+    .use(seo({ hostname: 'https://example.com', defaults: { socialImage: '/og.png' }, ...options }))
+    .process(callback);
+}
+
+describe('metalsmith-seo lint rules', () => {
+  it('should fail the build on rules with error severity', (_t, done) => {
+    const pages = {
+      'no-title.html': { contents: body('') },
+      'relative.html': { title: 'Relative canonical page', seo: { canonicalURL: '/other' }, contents: body('') }
+    };
+
+    build(pages, { lint: { enabled: true } }, (err) => {
+      assert(err instanceof AggregateError, 'should list every error');
+      assert.match(err.message, /SEO lint failed for 2 error\(s\)/);
+      assert.match(err.message, /no-title\.html: \[title-untitled\] title fell back to "Untitled"/);
+      assert.match(err.message, /relative\.html: \[canonical-relative\] canonicalURL "\/other" is not absolute/);
+      done();
+    });
+  });
+
+  it('should apply site, glob and page severities in that order', (_t, done) => {
+    const pages = {
+      'no-title.html': { contents: body('') },
+      'blog/a.html': { title: 'First blog post title', contents: body('<img src="/chart.png">') },
+      'blog/b.html': {
+        title: 'Second blog post title',
+        seo: { lint: { 'img-alt-missing': 'off' } },
+        contents: body('<img src="/photo.png">')
+      },
+      'about.html': { title: 'About this website', contents: body('<img src="/logo.png"><img src="/line.png" alt="">') }
+    };
+    const lint = {
+      enabled: true,
+      rules: { 'title-untitled': 'warn' },
+      overrides: [{ pattern: 'blog/**', rules: { 'img-alt-missing': 'error' } }]
+    };
+
+    build(pages, { lint }, (err) => {
+      assert(err, 'blog/a.html has an image without alt');
+      assert.match(
+        err.message,
+        /SEO lint failed for 1 error\(s\):\n {2}- blog\/a\.html: \[img-alt-missing\] 1 <img> without alt: \/chart\.png/
+      );
+      done();
+    });
+  });
+
+  it('should reject unknown rules and severities', (_t, done) => {
+    build(
+      { 'a.html': { title: 'Page', contents: body('') } },
+      { lint: { enabled: true, rules: { 'title-lenght': 'warn' } } },
+      (err) => {
+        assert.match(err.message, /Unknown lint rule "title-lenght" in lint\.rules/);
+
+        build(
+          { 'a.html': { title: 'Page', seo: { lint: { 'title-length': 'fatal' } }, contents: body('') } },
+          { enableLint: true },
+          (err2) => {
+            assert.match(err2.message, /a\.html: seo\.lint\["title-length"\] must be one of off, warn, error/);
+            done();
+          }
+        );
+      }
+    );
+  });
+});
@@ -0,0 +1,142 @@
+import { describe, it } from 'node:test';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+const pages = {
+  'guide.html': {
+    title: 'A <complete> guide to widgets',
+    author: 'Dana Writer',
+    seo: { type: 'article', description: 'Everything you need to know about choosing and maintaining widgets.' },
+    date: new Date('2024-03-01'),
+    contents: `<html><head></head><body><article><p>${'word '.repeat(450)}</p></article></body></html>`
+  },
+  'draft.html': {
+    title: 'Unfinished draft page',
+    seo: { noIndex: true },
+    contents: '<html><head></head><body><p>Not ready yet.</p><img src="/sketch.png"></body></html>'
+  }
+};
+
+/**
+ * Runs a build over the injected pages only.
+ * @param {Object} options - Plugin options
+ * @param {Function} callback - Receives (err, files)
+ */
+function build(options, callback) {
+  Metalsmith('test/fixtures/html')
+    .use((files, _metalsmith, done) => {
+      for (const file of Object.keys(files)) {
+        delete files[file];
+      }
+      done();
+    })
+    .use(inject(pages))
+    .use(seo({ hostname: 'https://example.com', defaults: { socialImage: '/og.png' }, ...options }))
+    .process(callback);
+}
+
+describe('metalsmith-seo report', () => {
+  it('should list every page with its head values and where it was listed', (_t, done) => {
+    build({ report: { enabled: true }, llms: { enabled: true }, enableLint: true }, (err, files) => {
+      if (err) {
+        return done(err);
+      }
+      const report = JSON.parse(files['seo-report.json'].contents.toString());
+      const [draft, guide] = report.pages;
+
+      const { warnings, ...counts } = report.summary;
+      assert.deepEqual(counts, { pages: 2, sitemap: 1, llms: 2, errors: 0 });
+      assert(warnings > 0, 'the draft has lint warnings');
+      assert.equal(guide.file, 'guide.html');
+      assert.equal(guide.title, 'A <complete> guide to widgets');
+      assert.equal(guide.description, 'Everything you need to know about choosing and maintaining widgets.');
+      assert.equal(guide.robots, 'index,follow');
+      assert.equal(guide.type, 'article');
+      assert.equal(guide.wordCount, 450);
+      assert.equal(guide.readingTime, 3);
+      assert(guide.jsonLdTypes.includes('Article'), `JSON-LD types: ${guide.jsonLdTypes}`);
+      assert.equal(guide.sitemap, true);
+      assert.equal(guide.llms, true);
+
+      assert.equal(draft.robots, 'noindex,nofollow');
+      assert.equal(draft.sitemap, false);
+      assert.equal(draft.sitemapExclusion, 'noindex');
+      assert.deepEqual(
+        draft.lint.find((finding) => finding.rule === 'img-alt-missing'),
+        { rule: 'img-alt-missing', severity: 'warn', message: '1 <img> without alt: /sketch.png' }
+      );
+      done();
+    });
+  });
+
+  it('should write a standalone, escaped HTML table', (_t, done) => {
+    build({ enableReport: true, enableLint: true }, (err, files) => {
+      if (err) {
+        return done(err);
+      }
+      const html = files['seo-report.html'].contents.toString();
+
+      assert(!/<(?:link|img)\b|\ssrc=/.test(html), 'no external assets');
+      assert(html.includes('<input type="search" id="filter"'), 'filter box');
+      assert(html.includes("th.addEventListener('click'"), 'sortable headers');
+      assert(html.includes('<td class="long">A &lt;complete&gt; guide to widgets</td>'), 'escaped title');
+      assert(html.includes('<span class="no">no (noindex)</span>'), 'sitemap exclusion reason');
+      assert(html.includes('<li class="warn">img-alt-missing: 1 &lt;img&gt; without alt: /sketch.png</li>'));
+      assert(html.includes('<tr data-findings="0">'), 'guide.html has no findings');
+      assert(!files['seo-report.html'].seoMetadata, 'the report itself is not optimized');
+      done();
+    });
+  });
+
+  it('should write the report before lint errors fail the build', (_t, done) => {
+    let built;
+    Metalsmith('test/fixtures/html')
+      .use((files, _metalsmith, done) => {
+        for (const file of Object.keys(files)) {
+          delete files[file];
+        }
+        built = files;
+        done();
+      })
+      .use(
+        inject({ ...pages, 'untitled.html': { contents: '<html><head></head><body><p>No title</p></body></html>' } })
+      )
+      .use(seo({ hostname: 'https://example.com', enableReport: true, enableLint: true }))
+      .process((err) => {
+        assert(err, 'the untitled page fails the lint pass');
+        assert.match(err.message, /untitled\.html: \[title-untitled\]/);
+        const report = JSON.parse(built['seo-report.json'].contents.toString());
+        assert.equal(report.summary.errors, 1);
+        assert.deepEqual(
+          report.pages
+            .find((page) => page.file === 'untitled.html')
+            .lint.find((finding) => finding.severity === 'error'),
+          { rule: 'title-untitled', severity: 'error', message: 'title fell back to "Untitled"' }
+        );
+        done();
+      });
+  });
+
+  it('should leave out what was not produced and honor disabled outputs', (_t, done) => {
+    build(
+      { report: { enabled: true, output: 'reports/seo.json', html: false }, enableSitemap: false },
+      (err, files) => {
+        if (err) {
+          return done(err);
+        }
+        assert(!files['seo-report.html'], 'html: false writes no HTML report');
+        const report = JSON.parse(files['reports/seo.json'].contents.toString());
+
+        assert.deepEqual(report.summary, { pages: 2, sitemap: null, llms: null, errors: null, warnings: null });
+        for (const page of report.pages) {
+          assert.equal(page.sitemap, null);
+          assert.equal(page.llms, null);
+          assert.equal(page.lint, null);
+        }
+        done();
+      }
+    );
+  });
+});
@@ -0,0 +1,100 @@
+import { describe, it } from 'node:test';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+/**
+ * Lists the <loc> values of a sitemap in document order.
+ * @param {string} xml - Sitemap XML
+ * @returns {Array<string>} Page URLs
+ */
+function locs(xml) {
+  return [...xml.matchAll(/<url><loc>([^<]+)<\/loc>/g)].map((m) => m[1]);
+}
+
+const site = {
+  'about.html': { title: 'About', contents: '<p>About</p>' },
+  'docs/guide.html': { title: 'Guide', contents: '<p>Guide</p>' }
+};
+
+describe('metalsmith-seo sitemap additionalUrls', () => {
+  it('should merge, de-duplicate and sort additional entries', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(site))
+      .use(
+        seo({
+          hostname: 'https://example.com',
+          sitemap: {
+            auto: false,
+            additionalUrls: [
+              { loc: '/search', changefreq: 'daily' },
+              {
+                loc: 'https://example.com/app/',
+                lastmod: '2026-04-02',
+                priority: 0.9,
+                alternates: [{ lang: 'de', url: 'https://example.com/de/app/' }]
+              },
+              { loc: '/about.html', priority: 0.1 },
+              { loc: 'https://elsewhere.com/docs/' }
+            ]
+          }
+        })
+      )
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const sitemap = files['sitemap.xml'].contents.toString();
+        assert.deepEqual(locs(sitemap), [
+          'https://example.com/about.html',
+          'https://example.com/index.html',
+          'https://example.com/search',
+          'https://example.com/app/',
+          'https://example.com/docs/guide.html'
+        ]);
+        assert(
+          sitemap.includes(
+            '<url><loc>https://example.com/app/</loc><lastmod>2026-04-02T00:00:00.000Z</lastmod><priority>0.9</priority>' +
+              '<xhtml:link rel="alternate" hreflang="de" href="https://example.com/de/app/"/></url>'
+          )
+        );
+        assert(sitemap.includes('<url><loc>https://example.com/search</loc><changefreq>daily</changefreq></url>'));
+        assert(!sitemap.includes('<priority>0.1</priority>'), 'the page wins over a duplicate entry');
+        done();
+      });
+  });
+
+  it('should accept an async function', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(site))
+      .use(
+        seo({
+          hostname: 'https://example.com',
+          sitemap: {
+            additionalUrls: async (files) => {
+              assert(files['about.html'], 'receives the files object');
+              return [{ loc: '/api/reference/' }];
+            }
+          }
+        })
+      )
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        assert(locs(files['sitemap.xml'].contents.toString()).includes('https://example.com/api/reference/'));
+        done();
+      });
+  });
+
+  it('should reject an entry without loc', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(seo({ hostname: 'https://example.com', sitemap: { additionalUrls: [{ priority: 0.5 }] } }))
+      .process((err) => {
+        assert(err, 'should fail the build');
+        assert.match(err.message, /sitemap\.additionalUrls\[0\] needs a loc/);
+        done();
+      });
+  });
+});
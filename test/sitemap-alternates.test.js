@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+/**
+ * Returns the hreflang → href pairs listed for one page.
+ * @param {string} xml - Sitemap XML
+ * @param {string} loc - Absolute page URL
+ * @returns {Object<string,string>} Alternates keyed by hreflang
+ */
+function alternatesFor(xml, loc) {
+  const start = xml.indexOf(`<url><loc>${loc}</loc>`);
+  assert(start !== -1, `sitemap should contain ${loc}`);
+  const block = xml.slice(start, xml.indexOf('</url>', start));
+  return Object.fromEntries(
+    [...block.matchAll(/<xhtml:link rel="alternate" hreflang="([^"]+)" href="([^"]+)"\/>/g)].map((m) => [m[1], m[2]])
+  );
+}
+
+const site = {
+  'about.html': { title: 'About', contents: '<p>About</p>' },
+  'de/about.html': { title: 'Über uns', contents: '<p>Über uns</p>' },
+  'fr/about.html': { title: 'À propos', contents: '<p>À propos</p>' },
+  'contact.html': { title: 'Contact', contents: '<p>Only in English</p>' }
+};
+
+describe('metalsmith-seo sitemap hreflang alternates', () => {
+  it('should leave sitemaps without alternates untouched by default', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(site))
+      .use(seo({ hostname: 'https://example.com', sitemap: { locales: ['de', 'fr'] } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const sitemap = files['sitemap.xml'].contents.toString();
+        assert(!sitemap.includes('xhtml'), 'alternates are opt-in');
+        done();
+      });
+  });
+
+  it('should link path-matched translations reciprocally with x-default', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(site))
+      .use(
+        seo({
+          hostname: 'https://example.com',
+          social: { locale: 'en_US' },
+          sitemap: { alternates: true, locales: ['de', 'fr'] }
+        })
+      )
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const sitemap = files['sitemap.xml'].contents.toString();
+        assert(sitemap.includes('xmlns:xhtml="http://www.w3.org/1999/xhtml"'));
+
+        const expected = {
+          'en-US': 'https://example.com/about.html',
+          de: 'https://example.com/de/about.html',
+          fr: 'https://example.com/fr/about.html',
+          'x-default': 'https://example.com/about.html'
+        };
+        for (const loc of Object.values(expected).slice(0, 3)) {
+          assert.deepEqual(alternatesFor(sitemap, loc), expected, `${loc} should list every translation`);
+        }
+        assert.deepEqual(alternatesFor(sitemap, 'https://example.com/contact.html'), {}, 'untranslated page');
+        done();
+      });
+  });
+
+  it('should group by translationKey and keep hand-written links', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(
+        inject({
+          'blog/hello.html': { title: 'Hello', locale: 'en', translationKey: 'hello', contents: '<p>Hello</p>' },
+          'blog/hallo.html': { title: 'Hallo', locale: 'de', translationKey: 'hello', contents: '<p>Hallo</p>' },
+          'legal.html': {
+            title: 'Legal',
+            links: [{ lang: 'en', url: 'https://example.com/legal.html' }],
+            contents: '<p>Legal</p>'
+          }
+        })
+      )
+      .use(
+        seo({
+          hostname: 'https://example.com',
+          sitemap: { alternates: true, defaultLocale: 'en', links: 'links' }
+        })
+      )
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const sitemap = files['sitemap.xml'].contents.toString();
+        const expected = {
+          en: 'https://example.com/blog/hello.html',
+          de: 'https://example.com/blog/hallo.html',
+          'x-default': 'https://example.com/blog/hello.html'
+        };
+        assert.deepEqual(alternatesFor(sitemap, 'https://example.com/blog/hello.html'), expected);
+        assert.deepEqual(alternatesFor(sitemap, 'https://example.com/blog/hallo.html'), expected);
+        assert.deepEqual(alternatesFor(sitemap, 'https://example.com/legal.html'), {
+          en: 'https://example.com/legal.html'
+        });
+        done();
+      });
+  });
+});
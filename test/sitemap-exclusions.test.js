@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+const html = '<html><head><title>Page</title></head><body><p>Body</p></body></html>';
+
+const site = {
+  'about.html': { title: 'About', contents: html },
+  'thanks.html': { title: 'Thanks', seo: { noIndex: true }, contents: html },
+  'search.html': { title: 'Search', seo: { robots: 'noindex, follow' }, contents: html },
+  'print/about.html': {
+    title: 'About (print)',
+    seo: { canonicalURL: 'https://example.com/about' },
+    contents: html
+  },
+  'blog/index.html': { title: 'Blog', seo: { canonicalURL: '/blog/' }, contents: html }
+};
+
+describe('metalsmith-seo sitemap indexing exclusions', () => {
+  it('should leave out pages the head marks noindex or canonicalises elsewhere', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(site))
+      .use(seo({ hostname: 'https://example.com', sitemap: { exclusionReport: 'sitemap-excluded.json' } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const sitemap = files['sitemap.xml'].contents.toString();
+        assert(sitemap.includes('<loc>https://example.com/about.html</loc>'));
+        assert(sitemap.includes('<loc>https://example.com/blog/index.html</loc>'), 'self-canonical is kept');
+        assert(!sitemap.includes('thanks.html'));
+        assert(!sitemap.includes('search.html'));
+        assert(!sitemap.includes('print/about.html'));
+
+        // The head says the same thing
+        assert(files['thanks.html'].contents.toString().includes('content="noindex,nofollow"'));
+
+        const report = JSON.parse(files['sitemap-excluded.json'].contents.toString());
+        const byFile = Object.fromEntries(report.map((entry) => [entry.file, entry]));
+        assert.deepEqual(Object.keys(byFile).sort(), ['print/about.html', 'search.html', 'thanks.html']);
+        assert.deepEqual(byFile['thanks.html'], {
+          file: 'thanks.html',
+          url: 'https://example.com/thanks.html',
+          reason: 'noindex',
+          detail: 'noindex,nofollow'
+        });
+        assert.equal(byFile['search.html'].detail, 'noindex, follow');
+        assert.equal(byFile['print/about.html'].reason, 'canonical');
+        assert.equal(byFile['print/about.html'].detail, 'https://example.com/about');
+        done();
+      });
+  });
+
+  it('should apply a site-wide defaults.robots noindex to every page', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject({ 'about.html': site['about.html'] }))
+      .use(seo({ hostname: 'https://example.com', defaults: { robots: 'noindex' } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const sitemap = files['sitemap.xml'].contents.toString();
+        assert(!sitemap.includes('<url>'), 'no page should be listed');
+        assert(!files['sitemap-excluded.json'], 'the report is opt-in');
+        done();
+      });
+  });
+
+  it('should keep noindex articles out of the news sitemap', (_t, done) => {
+    const article = (extra) => ({
+      title: 'Story',
+      author: 'Sam Writer',
+      date: new Date(Date.now() - 60 * 60 * 1000).toISOString(),
+      contents: html,
+      ...extra
+    });
+    Metalsmith('test/fixtures/html')
+      .use(
+        inject({
+          'news/open.html': article({}),
+          'news/hidden.html': article({ seo: { robots: 'none' } })
+        })
+      )
+      .use(seo({ hostname: 'https://example.com', newsSitemap: { enabled: true, publicationName: 'Daily' } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const news = files['news-sitemap.xml'].contents.toString();
+        assert(news.includes('news/open.html'));
+        assert(!news.includes('news/hidden.html'));
+        done();
+      });
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import { gunzipSync } from 'node:zlib';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+const pages = {
+  'a.html': { title: 'A', contents: '<p>A</p>' },
+  'b.html': { title: 'B', contents: '<p>B</p>' },
+  'c.html': { title: 'C', contents: '<p>C</p>' }
+};
+
+describe('metalsmith-seo gzip sitemap output', () => {
+  it('should write a gzipped copy and reference it from robots.txt', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(pages))
+      .use(seo({ hostname: 'https://example.com', sitemap: { gzip: true } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const plain = files['sitemap.xml'].contents.toString();
+        assert.equal(gunzipSync(files['sitemap.xml.gz'].contents).toString(), plain, 'copy should match the XML');
+
+        const robots = files['robots.txt'].contents.toString();
+        assert(robots.includes('Sitemap: https://example.com/sitemap.xml.gz'));
+        assert(!robots.includes('Sitemap: https://example.com/sitemap.xml\n'));
+        done();
+      });
+  });
+
+  it("should write only gzipped files, index included, with gzip: 'only'", (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(pages))
+      .use(seo({ hostname: 'https://example.com', sitemap: { gzip: 'only', maxUrls: 2 } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        assert(!files['sitemap.xml'], 'plain index should not be written');
+        assert(!files['sitemap-1.xml'], 'plain chunks should not be written');
+
+        const index = gunzipSync(files['sitemap.xml.gz'].contents).toString();
+        assert(index.includes('<loc>https://example.com/sitemap-1.xml.gz</loc>'));
+        assert(index.includes('<loc>https://example.com/sitemap-2.xml.gz</loc>'));
+        assert(gunzipSync(files['sitemap-2.xml.gz'].contents).toString().includes('<urlset'));
+
+        assert(files['robots.txt'].contents.toString().includes('Sitemap: https://example.com/sitemap.xml.gz'));
+        done();
+      });
+  });
+});
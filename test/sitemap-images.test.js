@@ -0,0 +1,80 @@
+import { describe, it } from 'node:test';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+const gallery = {
+  'photos/gallery.html': {
+    title: 'Gallery',
+    seo: { image: '/images/cover.jpg' },
+    images: ['/images/extra.jpg', { url: 'https://cdn.example.net/remote.png' }],
+    contents: [
+      '<html><head><title>Gallery</title></head><body>',
+      '<img src="thumbs/one.jpg" alt="One">',
+      '<img src="/images/cover.jpg" alt="Cover again">',
+      '<img src="data:image/png;base64,AAAA" alt="Inline">',
+      '</body></html>'
+    ].join('')
+  }
+};
+
+describe('metalsmith-seo image sitemap', () => {
+  it('should not emit image entries by default', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(gallery))
+      .use(seo({ hostname: 'https://example.com' }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const sitemap = files['sitemap.xml'].contents.toString();
+        assert(!sitemap.includes('image:'), 'should not use the image extension');
+        done();
+      });
+  });
+
+  it('should collect the social image, frontmatter images and body images', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(gallery))
+      .use(seo({ hostname: 'https://example.com', sitemap: { images: true } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const sitemap = files['sitemap.xml'].contents.toString();
+        assert(sitemap.includes('xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"'));
+
+        const entry = sitemap.slice(sitemap.indexOf('photos/gallery.html'));
+        const locs = [...entry.matchAll(/<image:loc>([^<]+)<\/image:loc>/g)].map((m) => m[1]);
+        assert.deepEqual(locs, [
+          'https://example.com/images/cover.jpg',
+          'https://example.com/images/extra.jpg',
+          'https://cdn.example.net/remote.png',
+          'https://example.com/photos/thumbs/one.jpg'
+        ]);
+        done();
+      });
+  });
+
+  it('should honor a custom imagesProperty and skip pages without images', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(
+        inject({
+          'plain.html': { title: 'Plain', contents: '<p>No pictures here.</p>' },
+          'product.html': { title: 'Product', gallery: 'shots/front.jpg', contents: '<p>Product</p>' }
+        })
+      )
+      .use(seo({ hostname: 'https://example.com', sitemap: { images: true, imagesProperty: 'gallery' } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const sitemap = files['sitemap.xml'].contents.toString();
+        const plain = sitemap.match(/<url><loc>https:\/\/example\.com\/plain\.html<\/loc>.*?<\/url>/)[0];
+        assert(!plain.includes('image:image'), 'page without images should have no image entries');
+        assert(sitemap.includes('<image:loc>https://example.com/shots/front.jpg</image:loc>'));
+        done();
+      });
+  });
+});
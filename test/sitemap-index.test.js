@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+const pages = {
+  'a.html': { title: 'A', lastmod: '2026-01-01', contents: '<p>A</p>' },
+  'b.html': { title: 'B', lastmod: '2026-03-01', contents: '<p>B</p>' },
+  'c.html': { title: 'C', lastmod: '2026-02-01', contents: '<p>C</p>' },
+  'd.html': { title: 'D', contents: '<p>D</p>' }
+};
+
+describe('metalsmith-seo sitemap index splitting', () => {
+  it('should write a single sitemap while under the limits', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(pages))
+      .use(seo({ hostname: 'https://example.com' }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const sitemap = files['sitemap.xml'].contents.toString();
+        assert(sitemap.includes('<urlset'), 'should be a plain urlset');
+        assert(!files['sitemap-1.xml'], 'should not write numbered sitemaps');
+        done();
+      });
+  });
+
+  it('should split into numbered sitemaps plus an index when maxUrls is exceeded', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(pages))
+      .use(seo({ hostname: 'https://example.com', sitemap: { maxUrls: 2 } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        // index.html from the fixture plus four injected pages -> 3 chunks
+        assert(files['sitemap-1.xml'], 'should write sitemap-1.xml');
+        assert(files['sitemap-2.xml'], 'should write sitemap-2.xml');
+        assert(files['sitemap-3.xml'], 'should write sitemap-3.xml');
+        assert(!files['sitemap-4.xml'], 'should not write an empty chunk');
+
+        for (const chunk of ['sitemap-1.xml', 'sitemap-2.xml', 'sitemap-3.xml']) {
+          const urls = files[chunk].contents.toString().match(/<url>/g) || [];
+          assert(urls.length <= 2, `${chunk} should respect maxUrls`);
+        }
+
+        const index = files['sitemap.xml'].contents.toString();
+        assert(index.includes('<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">'));
+        assert(index.includes('<loc>https://example.com/sitemap-1.xml</loc>'));
+        assert(index.includes('<loc>https://example.com/sitemap-3.xml</loc>'));
+        // Chunk 2 holds a.html and b.html; the newer lastmod wins
+        assert(index.includes('<lastmod>2026-03-01T00:00:00.000Z</lastmod>'), 'should carry the latest lastmod');
+        done();
+      });
+  });
+
+  it('should split on uncompressed byte size', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(pages))
+      .use(seo({ hostname: 'https://example.com', sitemap: { maxBytes: 400 } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        assert(files['sitemap-1.xml'], 'should split by size');
+        for (const [file, data] of Object.entries(files)) {
+          if (/^sitemap-\d+\.xml$/.test(file)) {
+            assert(data.contents.length <= 400, `${file} should respect maxBytes`);
+          }
+        }
+        done();
+      });
+  });
+
+  it('should name chunks after a custom output and point robots.txt at the index', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(pages))
+      .use(seo({ hostname: 'https://example.com', sitemap: { output: 'maps/site.xml', maxUrls: 3 } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        assert(files['maps/site-1.xml'], 'should write maps/site-1.xml');
+        assert(files['maps/site-2.xml'], 'should write maps/site-2.xml');
+        const index = files['maps/site.xml'].contents.toString();
+        assert(index.includes('<loc>https://example.com/maps/site-2.xml</loc>'));
+
+        const robots = files['robots.txt'].contents.toString();
+        assert(robots.includes('Sitemap: https://example.com/maps/site.xml'), 'robots should reference the index');
+        assert(!robots.includes('site-1.xml'), 'robots should not list child sitemaps');
+        done();
+      });
+  });
+});
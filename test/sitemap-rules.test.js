@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import path from 'node:path';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+/**
+ * Returns the <url> element for a page from the sitemap XML.
+ * @param {string} xml - Sitemap XML
+ * @param {string} loc - Absolute page URL
+ * @returns {string} The matching <url>…</url> block
+ */
+function urlBlock(xml, loc) {
+  const start = xml.indexOf(`<url><loc>${loc}</loc>`);
+  assert(start !== -1, `sitemap should contain ${loc}`);
+  return xml.slice(start, xml.indexOf('</url>', start) + '</url>'.length);
+}
+
+const site = {
+  [path.join('docs', 'api', 'v2', 'client.html')]: { title: 'Client', contents: '<p>API</p>' },
+  'terms.html': { title: 'Terms', changefreq: 'daily', priority: 0.9, contents: '<p>Terms</p>' },
+  'about.html': { title: 'About', contents: '<p>About</p>' },
+  [path.join('blog', 'post.html')]: { title: 'Post', featured: true, contents: '<p>Post</p>' }
+};
+
+const rules = [
+  { match: 'docs/api/**', priority: 0.9, changefreq: 'weekly' },
+  { match: (_file, frontmatter) => frontmatter.featured === true, priority: 0.7 },
+  { match: '{terms,privacy}.html', priority: 0.1, changefreq: 'never' }
+];
+
+describe('metalsmith-seo sitemap auto rules', () => {
+  it('should apply the first matching rule and fall back to the heuristics', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(site))
+      .use(seo({ hostname: 'https://example.com', sitemap: { rules } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const sitemap = files['sitemap.xml'].contents.toString();
+        const api = urlBlock(sitemap, 'https://example.com/docs/api/v2/client.html');
+        assert(api.includes('<priority>0.9</priority>'), 'deep API page should outrank the depth heuristic');
+        assert(api.includes('<changefreq>weekly</changefreq>'));
+
+        const post = urlBlock(sitemap, 'https://example.com/blog/post.html');
+        assert(post.includes('<priority>0.7</priority>'), 'predicate rule');
+        assert(post.includes('<changefreq>yearly</changefreq>'), 'heuristic fills what the rule leaves unset');
+
+        const terms = urlBlock(sitemap, 'https://example.com/terms.html');
+        assert(terms.includes('<priority>0.1</priority>'), 'auto mode ignores frontmatter by default');
+        assert(terms.includes('<changefreq>never</changefreq>'));
+
+        assert(urlBlock(sitemap, 'https://example.com/about.html').includes('<priority>0.8</priority>'));
+        done();
+      });
+  });
+
+  it('should let frontmatter win with preferFrontmatter', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(site))
+      .use(seo({ hostname: 'https://example.com', sitemap: { rules, preferFrontmatter: true } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const sitemap = files['sitemap.xml'].contents.toString();
+        const terms = urlBlock(sitemap, 'https://example.com/terms.html');
+        assert(terms.includes('<priority>0.9</priority>'));
+        assert(terms.includes('<changefreq>daily</changefreq>'));
+        assert(
+          urlBlock(sitemap, 'https://example.com/docs/api/v2/client.html').includes('<priority>0.9</priority>'),
+          'pages without frontmatter values keep the rule values'
+        );
+        done();
+      });
+  });
+
+  it('should reject an invalid rule', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(seo({ hostname: 'https://example.com', sitemap: { rules: [{ match: 'docs/**', priority: 2 }] } }))
+      .process((err) => {
+        assert(err, 'should fail the build');
+        assert.match(err.message, /sitemap\.rules\[0\]\.priority must be a number from 0\.0 to 1\.0/);
+        done();
+      });
+  });
+});
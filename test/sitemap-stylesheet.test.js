@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+const pages = {
+  'a.html': { title: 'A', contents: '<p>A</p>' },
+  'b.html': { title: 'B', contents: '<p>B</p>' }
+};
+
+describe('metalsmith-seo sitemap stylesheet', () => {
+  it('should not reference a stylesheet by default', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(pages))
+      .use(seo({ hostname: 'https://example.com' }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        assert(!files['sitemap.xsl']);
+        assert(!files['sitemap.xml'].contents.toString().includes('xml-stylesheet'));
+        done();
+      });
+  });
+
+  it('should emit the bundled stylesheet and reference it from the sitemap and the index', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(pages))
+      .use(seo({ hostname: 'https://example.com/docs/', sitemap: { stylesheet: true, maxUrls: 2 } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const xsl = files['sitemap.xsl'].contents.toString();
+        assert(xsl.includes('<xsl:template match="s:urlset">'), 'should render urlsets');
+        assert(xsl.includes('<xsl:template match="s:sitemapindex">'), 'should render sitemap indexes');
+        assert(xsl.includes('<xsl:sort select="s:loc"/>'), 'should sort rows by URL');
+        assert(!xsl.includes('<script'), 'should ship no JavaScript');
+
+        const pi = '<?xml version="1.0" encoding="UTF-8"?><?xml-stylesheet type="text/xsl" href="/docs/sitemap.xsl"?>';
+        assert(files['sitemap.xml'].contents.toString().startsWith(`${pi}<sitemapindex`));
+        assert(files['sitemap-1.xml'].contents.toString().startsWith(`${pi}<urlset`));
+        done();
+      });
+  });
+
+  it('should reference a custom stylesheet without emitting the bundled one', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(inject(pages))
+      .use(seo({ hostname: 'https://example.com', sitemap: { stylesheet: '/assets/sitemap.xsl' } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        assert(!files['sitemap.xsl']);
+        assert(
+          files['sitemap.xml'].contents
+            .toString()
+            .includes('<?xml-stylesheet type="text/xsl" href="/assets/sitemap.xsl"?>')
+        );
+        done();
+      });
+  });
+});
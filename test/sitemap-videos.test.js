@@ -0,0 +1,184 @@
+import { describe, it } from 'node:test';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+/**
+ * Returns the <url> element for a page from the sitemap XML.
+ * @param {string} xml - Sitemap XML
+ * @param {string} loc - Absolute page URL
+ * @returns {string} The matching <url>…</url> block
+ */
+function urlBlock(xml, loc) {
+  const start = xml.indexOf(`<url><loc>${loc}</loc>`);
+  assert(start !== -1, `sitemap should contain ${loc}`);
+  return xml.slice(start, xml.indexOf('</url>', start) + '</url>'.length);
+}
+
+describe('metalsmith-seo video sitemap', () => {
+  it('should build video entries from frontmatter', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(
+        inject({
+          'talks/keynote.html': {
+            title: 'Keynote',
+            videos: [
+              {
+                title: 'Opening keynote',
+                description: 'The full opening keynote & Q&A.',
+                thumbnail: '/thumbs/keynote.jpg',
+                contentUrl: '/media/keynote.mp4',
+                duration: 3600,
+                publicationDate: '2026-04-01'
+              }
+            ],
+            contents: '<p>Watch the talk.</p>'
+          }
+        })
+      )
+      .use(seo({ hostname: 'https://example.com', sitemap: { videos: true } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const sitemap = files['sitemap.xml'].contents.toString();
+        assert(sitemap.includes('xmlns:video="http://www.google.com/schemas/sitemap-video/1.1"'));
+        const block = urlBlock(sitemap, 'https://example.com/talks/keynote.html');
+        assert(
+          block.includes(
+            '<video:video>' +
+              '<video:thumbnail_loc>https://example.com/thumbs/keynote.jpg</video:thumbnail_loc>' +
+              '<video:title>Opening keynote</video:title>' +
+              '<video:description>The full opening keynote &amp; Q&amp;A.</video:description>' +
+              '<video:content_loc>https://example.com/media/keynote.mp4</video:content_loc>' +
+              '<video:duration>3600</video:duration>' +
+              '<video:publication_date>2026-04-01T00:00:00.000Z</video:publication_date>' +
+              '</video:video>'
+          ),
+          'should serialize every field in protocol order'
+        );
+        done();
+      });
+  });
+
+  it('should detect <video> and YouTube embeds and fill page-level fallbacks', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(
+        inject({
+          'demo.html': {
+            title: 'Product demo',
+            seo: { description: 'See the product in action.', image: '/images/demo.jpg' },
+            contents: [
+              '<video src="clips/demo.mp4" poster="clips/demo.jpg" title="Demo clip"></video>',
+              '<iframe src="https://www.youtube.com/embed/abc123XYZ" title="Walkthrough"></iframe>',
+              '<iframe src="https://maps.example.com/embed?q=office"></iframe>'
+            ].join('')
+          }
+        })
+      )
+      .use(seo({ hostname: 'https://example.com', sitemap: { videos: true } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const block = urlBlock(files['sitemap.xml'].contents.toString(), 'https://example.com/demo.html');
+        assert.equal((block.match(/<video:video>/g) || []).length, 2, 'map iframe should not count as a video');
+        assert(block.includes('<video:content_loc>https://example.com/clips/demo.mp4</video:content_loc>'));
+        assert(block.includes('<video:thumbnail_loc>https://example.com/clips/demo.jpg</video:thumbnail_loc>'));
+        assert(block.includes('<video:title>Demo clip</video:title>'));
+        assert(block.includes('<video:player_loc>https://www.youtube.com/embed/abc123XYZ</video:player_loc>'));
+        assert(
+          block.includes('<video:thumbnail_loc>https://i.ytimg.com/vi/abc123XYZ/hqdefault.jpg</video:thumbnail_loc>')
+        );
+        assert(block.includes('<video:description>See the product in action.</video:description>'));
+        done();
+      });
+  });
+
+  it('should use seo.videoUrl as the player location', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(
+        inject({
+          'episode.html': {
+            title: 'Episode 1',
+            seo: { description: 'Pilot.', image: '/images/ep1.jpg', videoUrl: 'https://player.example.com/ep1' },
+            contents: '<p>Episode page</p>'
+          }
+        })
+      )
+      .use(seo({ hostname: 'https://example.com', sitemap: { videos: true } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const block = urlBlock(files['sitemap.xml'].contents.toString(), 'https://example.com/episode.html');
+        assert(block.includes('<video:player_loc>https://player.example.com/ep1</video:player_loc>'));
+        assert(block.includes('<video:thumbnail_loc>https://example.com/images/ep1.jpg</video:thumbnail_loc>'));
+        assert(block.includes('<video:title>Episode 1</video:title>'));
+        done();
+      });
+  });
+
+  it('should skip videos missing required fields and drop invalid optional values', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(
+        inject({
+          'broken.html': {
+            title: 'Broken',
+            videos: [
+              { title: 'No location', description: 'x', thumbnail: '/t.jpg' },
+              { description: 'No thumbnail anywhere', contentUrl: '/v.mp4' },
+              { thumbnail: '/ok.jpg', contentUrl: '/ok.mp4', duration: 99999, publicationDate: 'not a date' }
+            ],
+            contents: '<p>Broken videos, but a description exists.</p>'
+          }
+        })
+      )
+      .use(seo({ hostname: 'https://example.com', sitemap: { videos: true } }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const block = urlBlock(files['sitemap.xml'].contents.toString(), 'https://example.com/broken.html');
+        assert.equal((block.match(/<video:video>/g) || []).length, 1, 'only the complete video should remain');
+        assert(block.includes('<video:content_loc>https://example.com/ok.mp4</video:content_loc>'));
+        assert(!block.includes('<video:duration>'), 'out-of-range duration should be dropped');
+        assert(!block.includes('<video:publication_date>'), 'invalid date should be dropped');
+        done();
+      });
+  });
+
+  it('should read page bodies from before the head pass while additionalUrls resolves', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(
+        inject({
+          'walkthrough.html': {
+            title: 'Walkthrough',
+            contents: '<p>Watch the walkthrough.</p><iframe src="https://www.youtube.com/embed/abc123XYZ"></iframe>'
+          }
+        })
+      )
+      .use(
+        seo({
+          hostname: 'https://example.com',
+          sitemap: {
+            videos: true,
+            // Resolves after the head pass has rewritten every page
+            additionalUrls: () => new Promise((resolve) => setTimeout(() => resolve([]), 50))
+          }
+        })
+      )
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const block = urlBlock(files['sitemap.xml'].contents.toString(), 'https://example.com/walkthrough.html');
+        assert(
+          block.includes('<video:description>Watch the walkthrough.</video:description>'),
+          'description should come from the body, not from the injected <head>'
+        );
+        done();
+      });
+  });
+});
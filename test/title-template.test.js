@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+const html = '<html><head></head><body><p>Content</p></body></html>';
+
+const pages = {
+  'index.html': { title: 'Acme', contents: html },
+  'about.html': { title: 'About', contents: html },
+  'blog/first-post.html': { title: 'First post', contents: html },
+  'blog/long-post.html': { title: 'A rather long post title that only just fits the limit', contents: html },
+  'blog/endless-post.html': {
+    title: 'An endless post title that keeps going far beyond what any search result would ever show',
+    contents: html
+  },
+  'landing.html': { title: 'Landing', seo: { titleTemplate: false }, contents: html }
+};
+
+/**
+ * Reads the <title> of a built page.
+ * @param {Object} files - Metalsmith files object
+ * @param {string} file - File path
+ * @returns {string} Title text
+ */
+function titleOf(files, file) {
+  return files[file].contents.toString().match(/<title>([^<]*)<\/title>/)[1];
+}
+
+/**
+ * Runs a build with the fixture pages.
+ * @param {Object} options - Plugin options
+ * @param {Function} callback - Receives (err, files)
+ */
+function build(options, callback) {
+  Metalsmith('test/fixtures/html')
+    .use(inject(pages))
+    .use(seo({ hostname: 'https://example.com', social: { siteName: 'Acme' }, ...options }))
+    .process(callback);
+}
+
+describe('metalsmith-seo title templates', () => {
+  it('should apply the template to <title> only and leave the home page bare', (_t, done) => {
+    build({ titleTemplate: '%s | %site%' }, (err, files) => {
+      if (err) {
+        return done(err);
+      }
+
+      const about = files['about.html'].contents.toString();
+      assert.strictEqual(titleOf(files, 'about.html'), 'About | Acme');
+      assert(about.includes('<meta property="og:title" content="About">'), 'og:title keeps the bare title');
+      assert(about.includes('<meta name="twitter:title" content="About">'), 'twitter:title keeps the bare title');
+      assert(about.includes('"name": "About"') && !about.includes('About | Acme"'), 'JSON-LD keeps the bare title');
+      assert.strictEqual(titleOf(files, 'index.html'), 'Acme');
+      assert.strictEqual(titleOf(files, 'landing.html'), 'Landing');
+      done();
+    });
+  });
+
+  it('should use section overrides and drop the suffix of a title over the limit', (_t, done) => {
+    const titleTemplate = {
+      template: '%s | %site%',
+      home: '%site% – Tools for builders',
+      sections: [{ pattern: 'blog/**', template: '%s – Blog | %site%' }]
+    };
+
+    build({ titleTemplate }, (err, files) => {
+      if (err) {
+        return done(err);
+      }
+
+      assert.strictEqual(titleOf(files, 'index.html'), 'Acme – Tools for builders');
+      assert.strictEqual(titleOf(files, 'blog/first-post.html'), 'First post – Blog | Acme');
+      assert.strictEqual(
+        titleOf(files, 'blog/long-post.html'),
+        'A rather long post title that only just fits the limit',
+        'suffix dropped'
+      );
+      assert.strictEqual(
+        titleOf(files, 'blog/endless-post.html'),
+        pages['blog/endless-post.html'].title,
+        'a bare title over the limit is left to the title-length lint rule'
+      );
+      done();
+    });
+  });
+
+  it('should reject an incomplete section override', (_t, done) => {
+    build({ titleTemplate: { template: '%s | %site%', sections: [{ pattern: 'blog/**' }] } }, (err) => {
+      assert(err, 'should fail the build');
+      assert.match(err.message, /titleTemplate\.sections\[0\] needs a pattern and template/);
+      done();
+    });
+  });
+});
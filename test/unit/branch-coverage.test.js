@@ -2,6 +2,7 @@ import { describe, it, beforeEach } from 'node:test';
 import assert from 'node:assert/strict';
 import Metalsmith from 'metalsmith';
 import seo from '../../src/index.js';
+import { omitUndefined } from '../../src/utils/object-utils.js';
 describe('Branch Coverage Tests', () => {
   beforeEach(() => {
     process.env.NODE_ENV = 'test';
@@ -283,6 +284,18 @@ describe('Branch Coverage Tests', () => {
           done();
         });
     });
+
+    it('should drop only undefined properties with omitUndefined', () => {
+      const entry = omitUndefined({
+        changefreq: undefined,
+        priority: 0,
+        lastmod: null,
+        links: undefined,
+        url: 'a.html'
+      });
+      assert.deepEqual(entry, { priority: 0, lastmod: null, url: 'a.html' });
+      assert(!('links' in entry), 'should not keep undefined keys');
+    });
   });
 
   describe('Robots and configuration edge cases', () => {
@@ -293,6 +293,19 @@ describe('HTML Injector Branch Coverage Tests', () => {
       );
     });
 
+    it('should match an existing alternate by hreflang value, quotes and brackets included', () => {
+      const html = '<head><link rel="alternate" hreflang="en" href="/en/"></head>';
+      const odd = 'x"]';
+      const added = updateLinkTag(html, 'alternate', '/odd/', { hreflang: odd });
+      assert(added.includes('hreflang="en" href="/en/"'), 'Should keep the other alternate');
+      assert(added.includes('href="/odd/"'), 'Should add the new alternate');
+
+      const replaced = updateLinkTag(added, 'alternate', '/odd-2/', { hreflang: odd });
+      assert(!replaced.includes('href="/odd/"'), 'Should replace the alternate with the same hreflang');
+      assert(replaced.includes('href="/odd-2/"'), 'Should write the new href');
+      assert(replaced.includes('href="/en/"'), 'Should leave other languages alone');
+    });
+
     it('should handle HTML characters in link attributes', () => {
       const html = '<head></head>';
       const result = updateLinkTag(html, 'test<script>', 'https://example.com?param="value"&other=<test>', {
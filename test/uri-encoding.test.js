@@ -0,0 +1,48 @@
+import { describe, it } from 'node:test';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import { toUri } from '../src/utils/uri.js';
+import assert from 'node:assert/strict';
+
+const html = '<html><head><title>Page</title></head><body><p>Body</p></body></html>';
+
+describe('metalsmith-seo IRI to URI encoding', () => {
+  it('should percent-encode paths, punycode hosts and keep existing escapes', () => {
+    assert.equal(toUri('https://example.com/de/über uns.html'), 'https://example.com/de/%C3%BCber%20uns.html');
+    assert.equal(toUri('https://bücher.example/'), 'https://xn--bcher-kva.example/');
+    assert.equal(toUri('https://example.com/de/%C3%BCber.html'), 'https://example.com/de/%C3%BCber.html');
+    assert.equal(toUri('https://example.com/100%.html'), 'https://example.com/100%25.html');
+    assert.equal(toUri('not a url'), 'not a url');
+  });
+
+  it('should emit encoded URLs in the sitemap, canonical tag and robots.txt', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(
+        inject({
+          'de/über-uns.html': { title: 'Über uns', contents: html },
+          'ja/会社概要.html': { title: '会社概要', contents: html },
+          'de/ready.html': { title: 'Ready', canonical: 'https://example.com/de/%C3%BCber-uns.html', contents: html }
+        })
+      )
+      .use(seo({ hostname: 'https://bücher.example' }))
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const sitemap = files['sitemap.xml'].contents.toString();
+        assert(sitemap.includes('<loc>https://xn--bcher-kva.example/de/%C3%BCber-uns.html</loc>'));
+        assert(
+          sitemap.includes('<loc>https://xn--bcher-kva.example/ja/%E4%BC%9A%E7%A4%BE%E6%A6%82%E8%A6%81.html</loc>')
+        );
+        assert(sitemap.includes('<loc>https://example.com/de/%C3%BCber-uns.html</loc>'), 'no double encoding');
+        assert(/^[ -~]*$/.test(sitemap.match(/<loc>[^<]*<\/loc>/g).join('')), 'every loc is ASCII');
+
+        const page = files['de/über-uns.html'].contents.toString();
+        assert(page.includes('<link rel="canonical" href="https://xn--bcher-kva.example/de/%C3%BCber-uns">'));
+
+        assert(files['robots.txt'].contents.toString().includes('Sitemap: https://xn--bcher-kva.example/sitemap.xml'));
+        done();
+      });
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import { applyUrlPolicy } from '../src/utils/url-policy.js';
+import assert from 'node:assert/strict';
+
+const html = '<html><head><title>Page</title></head><body><p>Body</p></body></html>';
+
+describe('metalsmith-seo urlPolicy', () => {
+  it('should map file paths according to the policy', () => {
+    const strip = { extension: 'strip', trailingSlash: 'always' };
+    assert.equal(applyUrlPolicy('index.html', strip), '');
+    assert.equal(applyUrlPolicy('blog/index.html', strip), 'blog/');
+    assert.equal(applyUrlPolicy('blog/post.html', strip), 'blog/post/');
+    assert.equal(applyUrlPolicy('feed.xml', strip), 'feed.xml');
+
+    assert.equal(applyUrlPolicy('blog/index.html', { trailingSlash: 'never' }), 'blog');
+    assert.equal(applyUrlPolicy('blog/post.html', { trailingSlash: 'never' }), 'blog/post.html');
+    assert.equal(applyUrlPolicy('blog/post.html', { extension: 'strip' }), 'blog/post');
+    assert.equal(applyUrlPolicy('blog/index.html', {}), 'blog/');
+  });
+
+  it('should give a page the same URL in every output', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(
+        inject({
+          'guides/setup.html': { title: 'Setup', description: 'How to set up', contents: html },
+          'guides/index.html': { title: 'Guides', description: 'All guides', contents: html }
+        })
+      )
+      .use(
+        seo({
+          hostname: 'https://example.com',
+          urlPolicy: { extension: 'strip', trailingSlash: 'always' },
+          llms: { enabled: true }
+        })
+      )
+      .process((err, files) => {
+        if (err) {
+          return done(err);
+        }
+        const url = 'https://example.com/guides/setup/';
+        const page = files['guides/setup.html'].contents.toString();
+        assert(page.includes(`<link rel="canonical" href="${url}">`));
+        assert(page.includes(`<meta property="og:url" content="${url}">`));
+
+        const jsonLd = JSON.parse(page.match(/<script type="application\/ld\+json">([\s\S]*?)<\/script>/)[1]);
+        const graph = jsonLd['@graph'] || [jsonLd];
+        assert(graph.some((schema) => schema.url === url));
+        const crumbs = graph.find((schema) => schema['@type'] === 'BreadcrumbList').itemListElement;
+        assert.deepEqual(
+          crumbs.map((crumb) => crumb.item),
+          ['https://example.com/', 'https://example.com/guides/', url]
+        );
+
+        const sitemap = files['sitemap.xml'].contents.toString();
+        assert(sitemap.includes(`<loc>${url}</loc>`));
+        assert(sitemap.includes('<loc>https://example.com/guides/</loc>'));
+        assert(files['llms.txt'].contents.toString().includes(`](${url})`));
+        done();
+      });
+  });
+
+  it('should reject an unknown option value', (_t, done) => {
+    Metalsmith('test/fixtures/html')
+      .use(seo({ hostname: 'https://example.com', urlPolicy: { trailingSlash: 'sometimes' } }))
+      .process((err) => {
+        assert(err, 'should fail the build');
+        assert.match(err.message, /urlPolicy\.trailingSlash must be one of always, never, preserve/);
+        done();
+      });
+  });
+});
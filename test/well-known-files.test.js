@@ -0,0 +1,194 @@
+import { describe, it } from 'node:test';
+import Metalsmith from 'metalsmith';
+import seo from '../src/index.js';
+import { inject } from './helpers/inject.js';
+import assert from 'node:assert/strict';
+
+const now = new Date('2026-01-15T10:00:00Z');
+
+/**
+ * Runs a build with the given source files and plugin options.
+ * @param {Object} pages - Injected files
+ * @param {Object} options - Plugin options
+ * @param {Function} callback - Receives (err, files)
+ */
+function build(pages, options, callback) {
+  Metalsmith('test/fixtures/html')
+    .use(inject(pages))
+    .use(seo({ hostname: 'https://example.com', ...options }))
+    .process(callback);
+}
+
+describe('metalsmith-seo root text files', () => {
+  it('should write security.txt with an Expires date relative to the build', (_t, done) => {
+    const securityTxt = {
+      enabled: true,
+      now,
+      contact: ['security@example.com', 'https://example.com/security\nContact: mailto:evil@example.net'],
+      preferredLanguages: ['en', 'de'],
+      policy: 'https://example.com/disclosure'
+    };
+
+    build({}, { securityTxt }, (err, files) => {
+      if (err) {
+        return done(err);
+      }
+
+      assert.strictEqual(
+        files['.well-known/security.txt'].contents.toString(),
+        [
+          'Contact: mailto:security@example.com',
+          'Contact: https://example.com/securityContact: mailto:evil@example.net',
+          'Expires: 2026-07-14T10:00:00Z',
+          'Preferred-Languages: en, de',
+          'Canonical: https://example.com/.well-known/security.txt',
+          'Policy: https://example.com/disclosure',
+          ''
+        ].join('\n')
+      );
+
+      build({}, { enableSecurityTxt: true }, (err2) => {
+        assert(err2, 'should fail without a contact');
+        assert.match(err2.message, /securityTxt\.contact is required/);
+        done();
+      });
+    });
+  });
+
+  it('should merge into an existing security.txt and leave signed files alone', (_t, done) => {
+    const existing = {
+      '.well-known/security.txt': {
+        contents:
+          '# Our policy\nContact: https://example.com/report\nExpires: 2020-01-01T00:00:00Z\nHiring: https://example.com/jobs\n'
+      }
+    };
+
+    build(
+      existing,
+      { securityTxt: { enabled: true, now, expiresInDays: 30, canonical: false, contact: 'sec@example.com' } },
+      (err, files) => {
+        if (err) {
+          return done(err);
+        }
+
+        assert.strictEqual(
+          files['.well-known/security.txt'].contents.toString(),
+          [
+            'Contact: https://example.com/report',
+            'Contact: mailto:sec@example.com',
+            'Expires: 2026-02-14T10:00:00Z',
+            'Hiring: https://example.com/jobs',
+            ''
+          ].join('\n')
+        );
+
+        const signed = '-----BEGIN PGP SIGNED MESSAGE-----\nHash: SHA256\n\nContact: mailto:a@example.com\n';
+        build(
+          { '.well-known/security.txt': { contents: signed } },
+          { securityTxt: { enabled: true, contact: 'b@example.com' } },
+          (err2, files2) => {
+            if (err2) {
+              return done(err2);
+            }
+            assert.strictEqual(files2['.well-known/security.txt'].contents.toString(), signed);
+            done();
+          }
+        );
+      }
+    );
+  });
+
+  it('should write and merge humans.txt', (_t, done) => {
+    const existing = {
+      'humans.txt': {
+        contents:
+          '/* TEAM */\nDeveloper: Ada Lovelace\nLocation: London\n\n/* SITE */\nLast update: 2020/01/01\nLanguage: English\n'
+      }
+    };
+    const humansTxt = {
+      enabled: true,
+      now,
+      team: [
+        { name: 'Ada Lovelace', role: 'Developer' },
+        { name: 'Grace Hopper', role: 'Editor', contact: 'grace@example.com' }
+      ],
+      thanks: [{ name: 'Metalsmith' }],
+      site: { language: 'German', standards: ['HTML5', 'CSS3'] }
+    };
+
+    build(existing, { humansTxt }, (err, files) => {
+      if (err) {
+        return done(err);
+      }
+
+      assert.strictEqual(
+        files['humans.txt'].contents.toString(),
+        [
+          '/* TEAM */',
+          'Developer: Ada Lovelace',
+          'Location: London',
+          '',
+          'Name: Grace Hopper',
+          'Role: Editor',
+          'Contact: grace@example.com',
+          '',
+          '/* SITE */',
+          'Last update: 2026/01/15',
+          'Language: English',
+          'Standards: HTML5, CSS3',
+          '',
+          '/* THANKS */',
+          'Name: Metalsmith',
+          ''
+        ].join('\n')
+      );
+      done();
+    });
+  });
+
+  it('should write and merge ads.txt and app-ads.txt', (_t, done) => {
+    const existing = {
+      'ads.txt': { contents: '# Sellers\ngoogle.com, pub-1, RESELLER\ncontact=ads@example.com\n' }
+    };
+    const options = {
+      adsTxt: {
+        enabled: true,
+        records: [
+          { domain: 'Google.com', publisherId: 'pub-1' },
+          { domain: 'appnexus.com', publisherId: '42', relationship: 'reseller', certificationId: 'f5ab79cb980f11d1' }
+        ],
+        contact: 'other@example.com',
+        subdomains: ['shop.example.com']
+      },
+      appAdsTxt: { enabled: true, records: [{ domain: 'unity.com', publisherId: '7\nevil.com, 1, DIRECT' }] }
+    };
+
+    build(existing, options, (err, files) => {
+      if (err) {
+        return done(err);
+      }
+
+      assert.strictEqual(
+        files['ads.txt'].contents.toString(),
+        [
+          'google.com, pub-1, RESELLER',
+          'appnexus.com, 42, RESELLER, f5ab79cb980f11d1',
+          'contact=ads@example.com',
+          'subdomain=shop.example.com',
+          ''
+        ].join('\n')
+      );
+      assert.strictEqual(files['app-ads.txt'].contents.toString(), 'unity.com, 7evil.com 1 DIRECT, DIRECT\n');
+
+      build(
+        {},
+        { adsTxt: { enabled: true, records: [{ domain: 'google.com', publisherId: '1', relationship: 'OWNER' }] } },
+        (err2) => {
+          assert(err2, 'should fail the build');
+          assert.match(err2.message, /adsTxt\.records\[0\]\.relationship must be DIRECT or RESELLER/);
+          done();
+        }
+      );
+    });
+  });
+});